@@ -0,0 +1,433 @@
+/**
+ * Audit trail of PHI access, recorded as FHIR AuditEvent resources.
+ *
+ * - auditAccess() is route middleware: once the response is done it records who
+ *   (session user), which patient, which resource types, the outcome, the source
+ *   IP and the correlation id
+ * - Events are appended to <AUDIT_LOG_FILE> as NDJSON records
+ *   { seq, prevHash, hash, event }, where hash = SHA-256 over seq, prevHash and
+ *   the event; editing, removing or reordering a line breaks the chain
+ *   (verifyChain() finds the first broken record)
+ * - The file is only ever appended to. Appends are asynchronous and queued in
+ *   order; each holds <AUDIT_LOG_FILE>.lock (owner token checked on release) and
+ *   re-reads the chain's end if another process wrote since, so several app
+ *   instances can share one file without forking the chain. A lock left by a dead
+ *   writer is broken at once on the same host, after LOCK_STALE_MS elsewhere
+ * - recordLogout() records the end of a session, with the token revocation result
+ * - queryEvents() filters by patient, user and recorded date (FHIR date prefixes)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const { setTimeout: sleep } = require('timers/promises');
+const { getCorrelationId } = require('./request-context');
+const { matchesDateFilters } = require('./observation-trends');
+const logger = require('./logger');
+
+const AUDIT_FILE = path.resolve(process.env.AUDIT_LOG_FILE || 'data/audit/audit-log.ndjson');
+const GENESIS_HASH = '0'.repeat(64);
+// Enough of the file's tail to hold the last record
+const TAIL_BYTES = 64 * 1024;
+const LOCK_FILE = `${AUDIT_FILE}.lock`;
+const BREAK_LOCK_FILE = `${AUDIT_FILE}.lock.break`;
+// Appends take milliseconds; a lock older than this was left by a writer that died
+const LOCK_STALE_MS = 10000;
+const LOCK_TIMEOUT_MS = 10000;
+const LOCK_RETRY_MS = 10;
+
+const AUDIT_EVENT_TYPE = 'http://terminology.hl7.org/CodeSystem/audit-event-type';
+const RESTFUL_INTERACTION = 'http://hl7.org/fhir/restful-interaction';
+const DICOM = 'http://dicom.nema.org/resources/ontology/DCM';
+const SECURITY_ROLE_TYPE = 'http://terminology.hl7.org/CodeSystem/extra-security-role-type';
+const SOURCE_TYPE = 'http://terminology.hl7.org/CodeSystem/security-source-type';
+const ENTITY_TYPE = 'http://terminology.hl7.org/CodeSystem/audit-entity-type';
+const OBJECT_ROLE = 'http://terminology.hl7.org/CodeSystem/object-role';
+
+// End of the chain as of this process's last append: { seq, hash, size }. Only trusted
+// while the file still has that size, i.e. no other process has appended since
+let chainHead = null;
+// Tail of this process's appends; each waits for the one before
+let writeQueue = Promise.resolve();
+
+function hashRecord(seq, prevHash, event) {
+  return crypto.createHash('sha256').update(JSON.stringify({ seq, prevHash, event })).digest('hex');
+}
+
+async function fileSize() {
+  try {
+    return (await fs.promises.stat(AUDIT_FILE)).size;
+  } catch (error) {
+    if (error.code === 'ENOENT') return 0;
+    throw error;
+  }
+}
+
+async function readLastRecord(size) {
+  if (!size) return null;
+  const file = await fs.promises.open(AUDIT_FILE, 'r');
+  try {
+    const length = Math.min(size, TAIL_BYTES);
+    const buffer = Buffer.alloc(length);
+    await file.read(buffer, 0, length, size - length);
+    const lines = buffer.toString('utf8').split('\n').filter(Boolean);
+    return lines.length ? JSON.parse(lines[lines.length - 1]) : null;
+  } finally {
+    await file.close();
+  }
+}
+
+async function getChainHead() {
+  const size = await fileSize();
+  if (chainHead?.size === size) return chainHead;
+  const last = await readLastRecord(size);
+  return last ? { seq: last.seq, hash: last.hash, size } : { seq: 0, hash: GENESIS_HASH, size };
+}
+
+function ignoreMissing(error) {
+  if (error.code !== 'ENOENT') throw error;
+}
+
+// Creates `file` holding `owner` unless it already exists
+async function tryCreate(file, owner) {
+  try {
+    await fs.promises.writeFile(file, JSON.stringify(owner), { flag: 'wx', mode: 0o600 });
+    return true;
+  } catch (error) {
+    if (error.code === 'EEXIST') return false;
+    throw error;
+  }
+}
+
+// { token, pid, host } of a lock file; null when it is gone or not written yet
+async function readOwner(file) {
+  try {
+    return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT' || error instanceof SyntaxError) return null;
+    throw error;
+  }
+}
+
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+// Left behind by a writer that died: its process on this host is gone, or (other hosts) it is too old
+async function isStale(file) {
+  let stat;
+  try {
+    stat = await fs.promises.stat(file);
+  } catch (error) {
+    if (error.code === 'ENOENT') return false;
+    throw error;
+  }
+  const owner = await readOwner(file);
+  if (owner?.host === os.hostname() && Number.isInteger(owner.pid) && !isRunning(owner.pid)) return true;
+  return Date.now() - stat.mtimeMs > LOCK_STALE_MS;
+}
+
+// Only the holder of BREAK_LOCK_FILE removes a stale lock, and it checks again first,
+// so a waiter can't delete a lock another waiter has just taken
+async function breakStaleLock(owner) {
+  if (!(await isStale(LOCK_FILE))) return;
+  if (!(await tryCreate(BREAK_LOCK_FILE, owner))) {
+    if (await isStale(BREAK_LOCK_FILE)) await fs.promises.unlink(BREAK_LOCK_FILE).catch(ignoreMissing);
+    return;
+  }
+  try {
+    if (await isStale(LOCK_FILE)) {
+      logger.warn('Removing stale audit log lock', { lockFile: LOCK_FILE, owner: await readOwner(LOCK_FILE) });
+      await fs.promises.unlink(LOCK_FILE).catch(ignoreMissing);
+    }
+  } finally {
+    await fs.promises.unlink(BREAK_LOCK_FILE).catch(ignoreMissing);
+  }
+}
+
+// Exclusive lock shared by every process that writes AUDIT_FILE; returns the owner token
+async function acquireLock() {
+  const owner = { token: crypto.randomUUID(), pid: process.pid, host: os.hostname() };
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+  while (!(await tryCreate(LOCK_FILE, owner))) {
+    await breakStaleLock(owner);
+    if (Date.now() >= deadline) throw new Error(`Timed out waiting for the audit log lock ${LOCK_FILE}`);
+    await sleep(LOCK_RETRY_MS);
+  }
+  return owner.token;
+}
+
+// Removes the lock only while it is still ours
+async function releaseLock(token) {
+  const owner = await readOwner(LOCK_FILE);
+  if (owner?.token !== token) {
+    logger.warn('Audit log lock was removed by another writer before release', { lockFile: LOCK_FILE });
+    return;
+  }
+  await fs.promises.unlink(LOCK_FILE).catch(ignoreMissing);
+}
+
+async function writeRecord(event) {
+  await fs.promises.mkdir(path.dirname(AUDIT_FILE), { recursive: true });
+  const token = await acquireLock();
+  try {
+    const head = await getChainHead();
+    const seq = head.seq + 1;
+    const hash = hashRecord(seq, head.hash, event);
+    const line = `${JSON.stringify({ seq, prevHash: head.hash, hash, event })}\n`;
+    await fs.promises.appendFile(AUDIT_FILE, line, { mode: 0o600 });
+    chainHead = { seq, hash, size: head.size + Buffer.byteLength(line) };
+  } finally {
+    await releaseLock(token);
+  }
+  return event;
+}
+
+// Resolves with the event once it is written. This process's appends run one at a
+// time in call order, so its records are chained in the order events happen
+function appendEvent(event) {
+  const written = writeQueue.then(() => writeRecord(event));
+  writeQueue = written.catch(() => {});
+  return written;
+}
+
+// AuditEvent.outcome: 0 success, 4 minor failure (request refused), 8 serious failure
+function outcomeFor(status) {
+  if (status < 400) return '0';
+  return status < 500 ? '4' : '8';
+}
+
+function userAgent(session, sourceIp) {
+  const user = session.user;
+  const who = {};
+  if (user?.fhirUser) who.reference = user.fhirUser;
+  if (user?.subject) who.identifier = { system: user.issuer || undefined, value: user.subject };
+  who.display = user?.name || (session.demoMode ? 'Demo user' : 'Unidentified user');
+  return {
+    type: { coding: [{ system: SECURITY_ROLE_TYPE, code: 'humanuser', display: 'human user' }] },
+    who,
+    requestor: true,
+    network: sourceIp ? { address: sourceIp, type: '2' } : undefined
+  };
+}
+
+function sourceFor(session) {
+  return {
+    site: session.demoMode ? 'demo' : (session.serverName || undefined),
+    observer: { display: 'smart-epic-salesforce' },
+    type: [{ system: SOURCE_TYPE, code: '4', display: 'Application Server' }]
+  };
+}
+
+function patientEntity(session) {
+  return {
+    what: { reference: `Patient/${session.patientId}` },
+    type: { system: ENTITY_TYPE, code: '1', display: 'Person' },
+    role: { system: OBJECT_ROLE, code: '1', display: 'Patient' }
+  };
+}
+
+function correlationDetail() {
+  const correlationId = getCorrelationId();
+  return correlationId ? [{ type: 'correlationId', valueString: correlationId }] : [];
+}
+
+/**
+ * Build an AuditEvent for one API request.
+ * - session: the express session (user, patientId, serverName, demoMode)
+ * - resourceTypes: FHIR types the request returned
+ * - interaction: 'read' or 'search-type'
+ * - status: HTTP status sent; aborted: the client went away before the response finished
+ */
+function buildAuditEvent({ session, resourceTypes, interaction, route, status, aborted, sourceIp }) {
+  const outcome = aborted ? '4' : outcomeFor(status);
+  const entity = [];
+  if (session.patientId) entity.push(patientEntity(session));
+  for (const resourceType of resourceTypes) {
+    entity.push({
+      what: { type: resourceType },
+      type: { system: ENTITY_TYPE, code: '2', display: 'System Object' },
+      role: { system: OBJECT_ROLE, code: '4', display: 'Domain Resource' },
+      name: resourceType
+    });
+  }
+  entity.push({
+    type: { system: ENTITY_TYPE, code: '2', display: 'System Object' },
+    role: { system: OBJECT_ROLE, code: '24', display: 'Query' },
+    name: route,
+    detail: [
+      { type: 'status', valueString: aborted ? 'aborted' : String(status) },
+      ...correlationDetail()
+    ]
+  });
+
+  return {
+    resourceType: 'AuditEvent',
+    id: crypto.randomUUID(),
+    type: { system: AUDIT_EVENT_TYPE, code: 'rest', display: 'RESTful Operation' },
+    subtype: [{ system: RESTFUL_INTERACTION, code: interaction }],
+    // Reads are R; FHIR records searches as E (execute)
+    action: interaction === 'read' ? 'R' : 'E',
+    recorded: new Date().toISOString(),
+    outcome,
+    outcomeDesc: outcome === '0' ? undefined : (aborted ? 'Client disconnected' : `HTTP ${status}`),
+    agent: [userAgent(session, sourceIp)],
+    source: sourceFor(session),
+    entity
+  };
+}
+
+/**
+ * Record a logout. `revocation` is the result of revokeSessionTokens() (lib/token-revocation.js);
+ * a token the server failed to revoke makes the outcome a minor failure.
+ * Resolves once the event is written.
+ */
+function recordLogout({ session, revocation, sourceIp }) {
+  const results = revocation?.results || [];
+  const failed = results.filter(r => !r.revoked);
+  const detail = [
+    {
+      type: 'revocation',
+      valueString: !revocation?.endpoint
+        ? 'not advertised'
+        : results.map(r => `${r.tokenType}: ${r.revoked ? 'revoked' : `failed (${r.error || r.status})`}`).join(', ') || 'no tokens'
+    },
+    ...correlationDetail()
+  ];
+  return appendEvent({
+    resourceType: 'AuditEvent',
+    id: crypto.randomUUID(),
+    type: { system: DICOM, code: '110114', display: 'User Authentication' },
+    subtype: [{ system: DICOM, code: '110123', display: 'Logout' }],
+    action: 'E',
+    recorded: new Date().toISOString(),
+    outcome: failed.length ? '4' : '0',
+    outcomeDesc: failed.length ? 'Token revocation failed' : undefined,
+    agent: [userAgent(session, sourceIp)],
+    source: sourceFor(session),
+    entity: [
+      ...(session.patientId ? [patientEntity(session)] : []),
+      {
+        type: { system: ENTITY_TYPE, code: '2', display: 'System Object' },
+        role: { system: OBJECT_ROLE, code: '24', display: 'Query' },
+        name: 'GET /logout',
+        detail
+      }
+    ]
+  });
+}
+
+/**
+ * Route middleware that records an AuditEvent when the response is done.
+ * resourceTypes is a list of types, or a function of req for routes like the proxy.
+ * Requests without a session are not audited (no PHI can be returned to them).
+ */
+function auditAccess(resourceTypes, { interaction = 'search-type' } = {}) {
+  return (req, res, next) => {
+    if (!req.session?.accessToken) return next();
+    // Captured now: logout or a relaunch can change the session before 'close'
+    const session = {
+      user: req.session.user || null,
+      patientId: req.session.patientId || null,
+      serverName: req.session.serverName || null,
+      demoMode: Boolean(req.session.demoMode)
+    };
+    res.on('close', () => {
+      // A lost audit record is an operational alarm, not something to hide
+      const failed = error => logger.error('Audit write failed', { error });
+      try {
+        const types = typeof resourceTypes === 'function' ? resourceTypes(req) : resourceTypes;
+        appendEvent(buildAuditEvent({
+          session,
+          resourceTypes: types,
+          interaction: typeof interaction === 'function' ? interaction(req) : interaction,
+          route: `${req.method} ${req.baseUrl}${req.route?.path || req.path}`,
+          status: res.statusCode,
+          aborted: !res.writableFinished,
+          sourceIp: req.ip
+        })).catch(failed);
+      } catch (error) {
+        failed(error);
+      }
+    });
+    next();
+  };
+}
+
+async function* readRecords() {
+  if (!fs.existsSync(AUDIT_FILE)) return;
+  const lines = readline.createInterface({ input: fs.createReadStream(AUDIT_FILE), crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (line) yield JSON.parse(line);
+  }
+}
+
+function agentMatches(event, user) {
+  return (event.agent || []).some(agent =>
+    agent.who?.reference === user || agent.who?.identifier?.value === user
+  );
+}
+
+function patientMatches(event, patient) {
+  const reference = patient.startsWith('Patient/') ? patient : `Patient/${patient}`;
+  return (event.entity || []).some(entity => entity.what?.reference === reference);
+}
+
+/**
+ * Events matching every given filter, oldest first.
+ * - patient: "123" or "Patient/123"
+ * - user: fhirUser reference ("Practitioner/abc") or id_token subject
+ * - dateFilters: parsed FHIR date filters on `recorded` (ge2026-01-01, ...)
+ * - limit: stop after this many matches
+ */
+async function queryEvents({ patient, user, dateFilters = [], limit = Infinity } = {}) {
+  const events = [];
+  for await (const record of readRecords()) {
+    const { event } = record;
+    if (patient && !patientMatches(event, patient)) continue;
+    if (user && !agentMatches(event, user)) continue;
+    if (dateFilters.length && !matchesDateFilters(event.recorded, dateFilters)) continue;
+    events.push(event);
+    if (events.length >= limit) break;
+  }
+  return events;
+}
+
+// Recompute the whole chain; reports the first record that doesn't match
+async function verifyChain() {
+  let prevHash = GENESIS_HASH;
+  let expectedSeq = 1;
+  let count = 0;
+  try {
+    for await (const record of readRecords()) {
+      const problem = record.seq !== expectedSeq ? `expected seq ${expectedSeq}`
+        : record.prevHash !== prevHash ? 'prevHash does not match the previous record'
+          : hashRecord(record.seq, record.prevHash, record.event) !== record.hash ? 'hash does not match the record'
+            : null;
+      if (problem) return { valid: false, count, brokenAt: { seq: record.seq ?? null, line: count + 1, problem } };
+      prevHash = record.hash;
+      expectedSeq += 1;
+      count += 1;
+    }
+  } catch (error) {
+    return { valid: false, count, brokenAt: { seq: null, line: count + 1, problem: `unreadable record: ${error.message}` } };
+  }
+  return { valid: true, count, lastHash: prevHash };
+}
+
+module.exports = {
+  AUDIT_FILE,
+  auditAccess,
+  buildAuditEvent,
+  appendEvent,
+  recordLogout,
+  queryEvents,
+  verifyChain
+};
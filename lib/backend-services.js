@@ -0,0 +1,150 @@
+/**
+ * SMART Backend Services client (system-level access, no user present).
+ *
+ * - Signs a private_key_jwt client assertion with the server's backend key
+ * - Exchanges it for a `system/*` token with the client_credentials grant
+ * - Caches tokens per server and scope until shortly before they expire
+ * - Shares one in-flight token request between concurrent callers
+ *
+ * Server-side jobs call getSystemToken() or systemRequest() with a FHIR server
+ * name from the registry. Point `backendServices.tokenEndpoint` at a local mock
+ * to exercise the flow without Epic.
+ */
+
+const axios = require('axios');
+const { getServer } = require('./server-registry');
+const { createClientAssertion } = require('./client-auth');
+const { getSmartConfiguration } = require('./smart-configuration');
+
+const DEFAULT_SYSTEM_SCOPE = 'system/*.read';
+// Treat tokens as expired this long before they actually expire
+const EXPIRY_SKEW_MS = 60 * 1000;
+
+// "<server>|<scope>" -> { accessToken, expiresAt, scope, tokenType }
+const tokenCache = new Map();
+// "<server>|<scope>" -> in-flight token promise
+const pendingRequests = new Map();
+// server name -> discovered token endpoint
+const tokenEndpoints = new Map();
+
+function getBackendConfig(serverName) {
+  const server = getServer(serverName);
+  if (!server) {
+    throw new Error(`Unknown FHIR server: ${serverName}`);
+  }
+  const backend = server.backendServices;
+  if (!backend?.clientId || !backend?.privateKeyFile) {
+    throw new Error(`FHIR server "${server.name}" has no backendServices clientId/privateKeyFile configured`);
+  }
+  return { server, backend };
+}
+
+async function resolveTokenEndpoint(server, backend) {
+  if (backend.tokenEndpoint) return backend.tokenEndpoint;
+  if (tokenEndpoints.has(server.name)) return tokenEndpoints.get(server.name);
+  const smartConfig = await getSmartConfiguration(server.fhirBaseUrl);
+  if (!smartConfig.token_endpoint) {
+    throw new Error(`FHIR server "${server.name}" does not advertise a token_endpoint`);
+  }
+  tokenEndpoints.set(server.name, smartConfig.token_endpoint);
+  return smartConfig.token_endpoint;
+}
+
+async function requestSystemToken(server, backend, scope) {
+  const tokenEndpoint = await resolveTokenEndpoint(server, backend);
+  // The assertion is signed as the backend client, not the user-facing one
+  const assertion = createClientAssertion({ name: `${server.name} (backend)`, ...backend }, tokenEndpoint);
+
+  try {
+    const response = await axios.post(
+      tokenEndpoint,
+      new URLSearchParams({
+        grant_type: 'client_credentials',
+        scope,
+        client_assertion_type: 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer',
+        client_assertion: assertion
+      }),
+      {
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded'
+        }
+      }
+    );
+    const data = response.data || {};
+    if (!data.access_token) {
+      throw new Error('Token endpoint response did not include an access_token');
+    }
+    return {
+      accessToken: data.access_token,
+      tokenType: data.token_type || 'Bearer',
+      scope: data.scope || scope,
+      expiresAt: Date.now() + Number(data.expires_in || 300) * 1000
+    };
+  } catch (error) {
+    if (error.response) {
+      const details = error.response.data?.error_description || error.response.data?.error || error.message;
+      const wrapped = new Error(`Backend services token request failed (${error.response.status}): ${details}`);
+      wrapped.status = error.response.status;
+      wrapped.details = error.response.data;
+      throw wrapped;
+    }
+    throw error;
+  }
+}
+
+// Returns a cached system token for the server, requesting a new one when needed
+async function getSystemToken(serverName, { scope, forceRefresh = false } = {}) {
+  const { server, backend } = getBackendConfig(serverName);
+  const requestedScope = scope || backend.scope || DEFAULT_SYSTEM_SCOPE;
+  const key = `${server.name}|${requestedScope}`;
+
+  const cached = tokenCache.get(key);
+  if (!forceRefresh && cached && Date.now() < cached.expiresAt - EXPIRY_SKEW_MS) {
+    return cached;
+  }
+
+  let pending = pendingRequests.get(key);
+  if (!pending) {
+    pending = requestSystemToken(server, backend, requestedScope)
+      .then(token => {
+        tokenCache.set(key, token);
+        return token;
+      })
+      .finally(() => pendingRequests.delete(key));
+    pendingRequests.set(key, pending);
+  }
+  return pending;
+}
+
+// Authenticated request with a system token; retries once with a new token on 401
+async function systemRequest(serverName, config, { scope } = {}) {
+  const send = token => axios({
+    method: 'GET',
+    ...config,
+    headers: {
+      'Accept': 'application/fhir+json',
+      ...(config.headers || {}),
+      'Authorization': `${token.tokenType} ${token.accessToken}`
+    }
+  });
+
+  const token = await getSystemToken(serverName, { scope });
+  try {
+    return await send(token);
+  } catch (error) {
+    if (error?.response?.status !== 401) throw error;
+    return send(await getSystemToken(serverName, { scope, forceRefresh: true }));
+  }
+}
+
+function clearSystemTokenCache(serverName) {
+  for (const key of tokenCache.keys()) {
+    if (!serverName || key.startsWith(`${serverName}|`)) tokenCache.delete(key);
+  }
+}
+
+module.exports = {
+  getSystemToken,
+  systemRequest,
+  clearSystemTokenCache
+};
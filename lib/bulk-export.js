@@ -0,0 +1,258 @@
+/**
+ * FHIR Bulk Data ($export) client.
+ *
+ * - Kicks off Group/[id]/$export or Patient/$export with a backend services token
+ * - Polls the Content-Location status URL, honoring Retry-After and X-Progress
+ * - Streams each NDJSON output file to local storage
+ * - Keeps job state in memory and in <BULK_EXPORT_DIR>/<jobId>/job.json so
+ *   in-progress jobs resume polling after a restart
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { getServer } = require('./server-registry');
+const { systemRequest } = require('./backend-services');
+const { httpError } = require('./errors');
+const logger = require('./logger');
+
+const EXPORT_DIR = path.resolve(process.env.BULK_EXPORT_DIR || 'data/bulk-export');
+const DEFAULT_POLL_SECONDS = 10;
+const MAX_POLL_SECONDS = 300;
+// Give up on a job that hasn't completed after this long
+const MAX_JOB_DURATION_MS = 24 * 60 * 60 * 1000;
+
+const ACTIVE_STATUSES = new Set(['accepted', 'in-progress', 'downloading']);
+const OUTPUT_TYPE_PATTERN = /^[A-Za-z]+$/;
+
+// jobId -> job
+const jobs = new Map();
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function jobDir(jobId) {
+  return path.join(EXPORT_DIR, jobId);
+}
+
+function saveJob(job) {
+  job.updatedAt = new Date().toISOString();
+  fs.mkdirSync(jobDir(job.id), { recursive: true });
+  fs.writeFileSync(path.join(jobDir(job.id), 'job.json'), JSON.stringify(job, null, 2));
+}
+
+// Public view of a job: no status/output URLs (they can carry server-side tokens)
+function toJobSummary(job) {
+  const { statusUrl, ...rest } = job;
+  return {
+    ...rest,
+    files: job.files.map(({ url, ...file }) => file)
+  };
+}
+
+// Retry-After is either delta-seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (!value) return DEFAULT_POLL_SECONDS;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.min(Math.max(seconds, 1), MAX_POLL_SECONDS);
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) return DEFAULT_POLL_SECONDS;
+  return Math.min(Math.max((date - Date.now()) / 1000, 1), MAX_POLL_SECONDS);
+}
+
+function buildKickoffUrl(server, { groupId }) {
+  return groupId
+    ? `${server.fhirBaseUrl}/Group/${encodeURIComponent(groupId)}/$export`
+    : `${server.fhirBaseUrl}/Patient/$export`;
+}
+
+async function downloadOutput(job, output, index, requiresAccessToken) {
+  // output.type comes from the server; only a plain type name may become part of a path
+  const fileType = OUTPUT_TYPE_PATTERN.test(output.type || '') ? output.type : 'Resource';
+  const fileName = `${fileType}-${index + 1}.ndjson`;
+  const target = path.join(jobDir(job.id), fileName);
+  const config = {
+    url: output.url,
+    responseType: 'stream',
+    headers: { 'Accept': 'application/fhir+ndjson' }
+  };
+  // Servers that hand out pre-signed storage URLs set requiresAccessToken: false
+  const response = requiresAccessToken
+    ? await systemRequest(job.serverName, config)
+    : await axios(config);
+
+  let lines = 0;
+  let bytes = 0;
+  response.data.on('data', chunk => {
+    bytes += chunk.length;
+    for (let i = 0; i < chunk.length; i++) {
+      if (chunk[i] === 10) lines++;
+    }
+  });
+  await pipeline(response.data, fs.createWriteStream(target));
+  return { type: output.type || null, file: fileName, url: output.url, resources: lines, bytes };
+}
+
+async function pollJob(job) {
+  const startedAt = Date.parse(job.createdAt);
+  while (ACTIVE_STATUSES.has(job.status)) {
+    if (Date.now() - startedAt > MAX_JOB_DURATION_MS) {
+      throw new Error('Export did not complete within 24 hours');
+    }
+
+    const response = await systemRequest(job.serverName, {
+      url: job.statusUrl,
+      validateStatus: status => status === 200 || status === 202
+    });
+    if (job.status === 'cancelled') return;
+
+    if (response.status === 202) {
+      job.status = 'in-progress';
+      job.progress = response.headers['x-progress'] || null;
+      saveJob(job);
+      await sleep(parseRetryAfter(response.headers['retry-after']) * 1000);
+      continue;
+    }
+
+    const manifest = response.data || {};
+    job.status = 'downloading';
+    job.progress = null;
+    job.transactionTime = manifest.transactionTime || null;
+    job.outputErrors = Array.isArray(manifest.error) ? manifest.error.map(e => ({ type: e.type, url: e.url })) : [];
+    saveJob(job);
+
+    const outputs = Array.isArray(manifest.output) ? manifest.output : [];
+    for (let i = 0; i < outputs.length; i++) {
+      if (job.status === 'cancelled') return;
+      job.files.push(await downloadOutput(job, outputs[i], i, manifest.requiresAccessToken !== false));
+      saveJob(job);
+    }
+    job.status = 'completed';
+    saveJob(job);
+  }
+}
+
+function runJob(job) {
+  pollJob(job).catch(error => {
+    if (job.status === 'cancelled') return;
+    logger.error('Bulk export failed', { jobId: job.id, error });
+    job.status = 'failed';
+    job.error = {
+      message: error.message,
+      status: error.response?.status || null,
+      operationOutcome: error.response?.data?.resourceType === 'OperationOutcome' ? error.response.data : null
+    };
+    saveJob(job);
+  });
+}
+
+// Kick off an export; resolves once the server has accepted it (202 + Content-Location)
+async function startExport({ serverName, groupId, types, since, typeFilter }) {
+  const server = getServer(serverName);
+  if (!server) {
+    throw httpError(400, 'UNKNOWN_SERVER', `Unknown FHIR server: ${serverName}`);
+  }
+
+  const params = {};
+  if (types?.length) params._type = types.join(',');
+  if (since) params._since = since;
+  if (typeFilter) params._typeFilter = typeFilter;
+
+  const response = await systemRequest(server.name, {
+    url: buildKickoffUrl(server, { groupId }),
+    params,
+    headers: { 'Prefer': 'respond-async' },
+    validateStatus: status => status === 202
+  });
+  const statusUrl = response.headers['content-location'];
+  if (!statusUrl) {
+    throw new Error('Export kick-off response did not include a Content-Location header');
+  }
+
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    serverName: server.name,
+    level: groupId ? 'group' : 'patient',
+    groupId: groupId || null,
+    types: types || [],
+    since: since || null,
+    status: 'accepted',
+    progress: null,
+    statusUrl,
+    transactionTime: null,
+    files: [],
+    outputErrors: [],
+    error: null,
+    createdAt: now,
+    updatedAt: now
+  };
+  jobs.set(job.id, job);
+  saveJob(job);
+  runJob(job);
+  return toJobSummary(job);
+}
+
+// Cancel an active job: DELETE on the status URL tells the server to stop work
+async function cancelExport(jobId) {
+  const job = jobs.get(jobId);
+  if (!job) return null;
+  if (ACTIVE_STATUSES.has(job.status)) {
+    job.status = 'cancelled';
+    saveJob(job);
+    try {
+      await systemRequest(job.serverName, { method: 'DELETE', url: job.statusUrl });
+    } catch (error) {
+      logger.warn('Bulk export cancel request failed', { jobId: job.id, error });
+    }
+  }
+  return toJobSummary(job);
+}
+
+function getJob(jobId) {
+  const job = jobs.get(jobId);
+  return job ? toJobSummary(job) : null;
+}
+
+function listJobs() {
+  return Array.from(jobs.values())
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(toJobSummary);
+}
+
+// Absolute path of a downloaded output file, or null when it doesn't belong to the job
+function getOutputFilePath(jobId, fileName) {
+  const job = jobs.get(jobId);
+  if (!job || !job.files.some(f => f.file === fileName)) return null;
+  return path.join(jobDir(job.id), fileName);
+}
+
+// Reload persisted jobs and resume polling the ones that were still running
+function resumeJobs() {
+  if (!fs.existsSync(EXPORT_DIR)) return;
+  for (const entry of fs.readdirSync(EXPORT_DIR, { withFileTypes: true })) {
+    if (!entry.isDirectory()) continue;
+    try {
+      const job = JSON.parse(fs.readFileSync(path.join(EXPORT_DIR, entry.name, 'job.json'), 'utf8'));
+      jobs.set(job.id, job);
+      if (ACTIVE_STATUSES.has(job.status)) {
+        // Partially downloaded outputs are fetched again from the manifest
+        job.status = 'in-progress';
+        job.files = [];
+        runJob(job);
+      }
+    } catch (error) {
+      logger.warn('Skipping unreadable bulk export job', { file: entry.name, error });
+    }
+  }
+}
+
+module.exports = {
+  startExport,
+  cancelExport,
+  getJob,
+  listJobs,
+  getOutputFilePath,
+  resumeJobs
+};
@@ -0,0 +1,150 @@
+/**
+ * Per-section capability report for the dashboard.
+ *
+ * Combines three sources for every dashboard section:
+ * - the scopes the app requested at launch
+ * - the scopes the token actually granted (lib/smart-scopes.js)
+ * - the server's CapabilityStatement (`GET /metadata`): resource types and interactions it supports
+ *
+ * Each section gets a status:
+ *   available      granted, and supported (or /metadata was unavailable)
+ *   not-granted    requested at launch but missing from the token
+ *   not-requested  neither requested nor granted
+ *   unsupported    the CapabilityStatement doesn't list the type or interaction
+ */
+
+const { parseScopes, scopesAllow, requiredScopes, scopeVersion } = require('./smart-scopes');
+
+// Dashboard sections and the FHIR access each one needs
+const SECTIONS = [
+  { key: 'patient', label: 'Patient', resourceType: 'Patient', interaction: 'read' },
+  { key: 'observations', label: 'Lab results & vitals', resourceType: 'Observation', interaction: 'search', byCategory: true },
+  { key: 'conditions', label: 'Conditions', resourceType: 'Condition', interaction: 'search' },
+  { key: 'medications', label: 'Medications', resourceType: 'MedicationRequest', interaction: 'search' },
+  { key: 'allergies', label: 'Allergies', resourceType: 'AllergyIntolerance', interaction: 'search' },
+  { key: 'immunizations', label: 'Immunizations', resourceType: 'Immunization', interaction: 'search' },
+  { key: 'encounters', label: 'Encounters', resourceType: 'Encounter', interaction: 'search' },
+  { key: 'procedures', label: 'Procedures', resourceType: 'Procedure', interaction: 'search' },
+  { key: 'diagnosticReports', label: 'Diagnostic reports', resourceType: 'DiagnosticReport', interaction: 'search' },
+  { key: 'documents', label: 'Clinical notes', resourceType: 'DocumentReference', interaction: 'search' }
+];
+
+// CapabilityStatement interaction codes for our interactions
+const CAPABILITY_INTERACTIONS = { read: 'read', search: 'search-type' };
+
+/**
+ * Map of resourceType -> Set of interaction codes from a CapabilityStatement,
+ * or null when there is no usable statement.
+ */
+function supportedInteractions(capabilityStatement) {
+  if (capabilityStatement?.resourceType !== 'CapabilityStatement') return null;
+  const rest = (Array.isArray(capabilityStatement.rest) ? capabilityStatement.rest : [])
+    .find(r => r?.mode === 'server');
+  if (!rest) return null;
+  const supported = new Map();
+  for (const resource of Array.isArray(rest.resource) ? rest.resource : []) {
+    if (!resource?.type) continue;
+    const interactions = (Array.isArray(resource.interaction) ? resource.interaction : []).map(i => i?.code);
+    supported.set(resource.type, new Set(interactions));
+  }
+  return supported;
+}
+
+// true / false, or null when unknown
+function isSupported(supported, resourceType, interaction) {
+  if (!supported) return null;
+  const interactions = supported.get(resourceType);
+  if (!interactions) return false;
+  // Some statements list types without interactions; treat that as supported
+  return !interactions.size || interactions.has(CAPABILITY_INTERACTIONS[interaction]);
+}
+
+function statusFor({ supported, granted, requested }) {
+  if (supported === false) return 'unsupported';
+  if (granted) return 'available';
+  return requested ? 'not-granted' : 'not-requested';
+}
+
+function reasonFor(status, { resourceType, interaction }) {
+  switch (status) {
+    case 'unsupported':
+      return `This FHIR server does not support ${interaction} on ${resourceType}.`;
+    case 'not-granted':
+      return `${resourceType} access was requested at launch but not granted. Check the app's API list in the Epic developer portal, then re-launch.`;
+    case 'not-requested':
+      return `The app did not request ${resourceType} access. Add one of the required scopes to SMART_SCOPES and re-launch.`;
+    default:
+      return null;
+  }
+}
+
+function evaluate(section, { requested, granted, supported }, params) {
+  const result = {
+    supported: isSupported(supported, section.resourceType, section.interaction),
+    granted: scopesAllow(granted, section.resourceType, section.interaction, params),
+    requested: scopesAllow(requested, section.resourceType, section.interaction, params)
+  };
+  return { ...result, status: statusFor(result) };
+}
+
+/**
+ * Build the report.
+ * - requestedScope / grantedScope: space-separated scope strings
+ * - capabilityStatement: the /metadata response, or null when it couldn't be fetched
+ * - observationCategories: categories the dashboard searches (from the server registry)
+ */
+function buildCapabilityReport({ requestedScope, grantedScope, capabilityStatement, observationCategories = [] }) {
+  const scopes = {
+    requested: parseScopes(requestedScope),
+    granted: parseScopes(grantedScope),
+    supported: supportedInteractions(capabilityStatement)
+  };
+
+  const sections = SECTIONS.map(section => {
+    const report = {
+      key: section.key,
+      label: section.label,
+      resourceType: section.resourceType,
+      interaction: section.interaction,
+      ...evaluate(section, scopes),
+      requiredScopes: requiredScopes(section.resourceType, section.interaction)
+    };
+    if (section.byCategory && observationCategories.length) {
+      report.categories = observationCategories.map(category => ({
+        category,
+        ...evaluate(section, scopes, { category })
+      }));
+      // v2 scopes can grant some categories only
+      const available = report.categories.filter(c => c.status === 'available');
+      report.granted = available.length > 0;
+      report.requested = report.categories.some(c => c.requested);
+      report.status = statusFor(report);
+      if (report.status === 'available' && available.length < report.categories.length) report.partial = true;
+    }
+    report.reason = reasonFor(report.status, section);
+    return report;
+  });
+
+  const listBy = status => sections.filter(s => s.status === status).map(s => s.key);
+  return {
+    scopeVersion: scopeVersion(scopes.granted),
+    grantedScopes: scopes.granted.map(s => s.scope),
+    capabilityStatement: capabilityStatement?.resourceType === 'CapabilityStatement'
+      ? {
+          fhirVersion: capabilityStatement.fhirVersion || null,
+          software: capabilityStatement.software?.name || null,
+          version: capabilityStatement.software?.version || null
+        }
+      : null,
+    readable: listBy('available'),
+    notGranted: listBy('not-granted'),
+    notRequested: listBy('not-requested'),
+    unsupported: listBy('unsupported'),
+    sections
+  };
+}
+
+module.exports = {
+  SECTIONS,
+  buildCapabilityReport
+};
@@ -0,0 +1,150 @@
+/**
+ * OAuth client authentication for token endpoint requests.
+ *
+ * Supported methods (per FHIR server, `tokenEndpointAuthMethod`):
+ * - none                 public client, posts client_id only (PKCE still applies)
+ * - client_secret_basic  HTTP Basic with client_id:client_secret
+ * - private_key_jwt      signed client assertion (RS384 or ES384), as Epic requires
+ *                        for backend and confidential asymmetric clients
+ *
+ * Public keys for private_key_jwt are published at /.well-known/jwks.json
+ * so the authorization server can fetch them.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Epic rejects assertions that live longer than 5 minutes
+const ASSERTION_LIFETIME_SECONDS = 300;
+
+const ASSERTION_ALGORITHMS = {
+  RS384: { hash: 'sha384', keyType: 'rsa' },
+  ES384: { hash: 'sha384', keyType: 'ec', namedCurve: 'P-384', dsaEncoding: 'ieee-p1363' }
+};
+
+// "<privateKeyFile>#<alg>" -> { privateKey, publicJwk, alg }
+const signingKeys = new Map();
+
+// RFC 7638 thumbprint, used as the default `kid`
+function jwkThumbprint(jwk) {
+  const members = jwk.kty === 'EC'
+    ? { crv: jwk.crv, kty: jwk.kty, x: jwk.x, y: jwk.y }
+    : { e: jwk.e, kty: jwk.kty, n: jwk.n };
+  return crypto.createHash('sha256').update(JSON.stringify(members)).digest('base64url');
+}
+
+function loadSigningKey(server) {
+  const file = path.resolve(server.privateKeyFile);
+  const alg = server.privateKeyAlg || 'RS384';
+  const cacheKey = `${file}#${alg}`;
+  if (signingKeys.has(cacheKey)) return signingKeys.get(cacheKey);
+
+  const algorithm = ASSERTION_ALGORITHMS[alg];
+  if (!algorithm) {
+    throw new Error(`Unsupported client assertion algorithm "${alg}" for server "${server.name}" (use RS384 or ES384)`);
+  }
+
+  const privateKey = crypto.createPrivateKey(fs.readFileSync(file, 'utf8'));
+  if (privateKey.asymmetricKeyType !== algorithm.keyType ||
+      (algorithm.namedCurve && privateKey.asymmetricKeyDetails?.namedCurve !== 'secp384r1')) {
+    throw new Error(`Private key for server "${server.name}" does not match ${alg}`);
+  }
+
+  const jwk = crypto.createPublicKey(privateKey).export({ format: 'jwk' });
+  const publicJwk = { ...jwk, kid: server.keyId || jwkThumbprint(jwk), alg, use: 'sig' };
+  const key = { privateKey, publicJwk, alg };
+  signingKeys.set(cacheKey, key);
+  return key;
+}
+
+function signJwt(payload, { privateKey, alg, kid }) {
+  const algorithm = ASSERTION_ALGORITHMS[alg];
+  const header = { alg, typ: 'JWT', kid };
+  const encode = part => Buffer.from(JSON.stringify(part)).toString('base64url');
+  const signingInput = `${encode(header)}.${encode(payload)}`;
+  const signature = crypto.sign(
+    algorithm.hash,
+    Buffer.from(signingInput),
+    algorithm.dsaEncoding ? { key: privateKey, dsaEncoding: algorithm.dsaEncoding } : privateKey
+  );
+  return `${signingInput}.${signature.toString('base64url')}`;
+}
+
+// Client assertion for private_key_jwt (RFC 7523): iss = sub = client_id, aud = token endpoint
+function createClientAssertion(server, tokenEndpoint) {
+  const { privateKey, publicJwk, alg } = loadSigningKey(server);
+  const now = Math.floor(Date.now() / 1000);
+  return signJwt({
+    iss: server.clientId,
+    sub: server.clientId,
+    aud: tokenEndpoint,
+    jti: crypto.randomUUID(),
+    iat: now,
+    nbf: now,
+    exp: now + ASSERTION_LIFETIME_SECONDS
+  }, { privateKey, alg, kid: publicJwk.kid });
+}
+
+function getAuthMethod(server) {
+  if (server.tokenEndpointAuthMethod) return server.tokenEndpointAuthMethod;
+  if (server.privateKeyFile) return 'private_key_jwt';
+  if (server.clientSecret) return 'client_secret_basic';
+  return 'none';
+}
+
+// Build the form body and headers for a token endpoint request
+function buildTokenRequest(server, tokenEndpoint, params) {
+  const body = new URLSearchParams(params);
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+  switch (getAuthMethod(server)) {
+    case 'client_secret_basic': {
+      if (!server.clientSecret) {
+        throw new Error(`Server "${server.name}" uses client_secret_basic but has no clientSecret`);
+      }
+      const credentials = `${encodeURIComponent(server.clientId)}:${encodeURIComponent(server.clientSecret)}`;
+      headers['Authorization'] = `Basic ${Buffer.from(credentials).toString('base64')}`;
+      break;
+    }
+    case 'private_key_jwt':
+      if (!server.privateKeyFile) {
+        throw new Error(`Server "${server.name}" uses private_key_jwt but has no privateKeyFile`);
+      }
+      body.set('client_assertion_type', 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer');
+      body.set('client_assertion', createClientAssertion(server, tokenEndpoint));
+      break;
+    case 'none':
+      body.set('client_id', server.clientId);
+      break;
+    default:
+      throw new Error(`Unsupported tokenEndpointAuthMethod "${server.tokenEndpointAuthMethod}" for server "${server.name}"`);
+  }
+  return { body, headers };
+}
+
+// Public keys of every server that authenticates with private_key_jwt,
+// including SMART Backend Services clients
+function getPublicJwks(servers) {
+  const keys = new Map();
+  for (const server of servers) {
+    if (getAuthMethod(server) === 'private_key_jwt' && server.privateKeyFile) {
+      const { publicJwk } = loadSigningKey(server);
+      keys.set(publicJwk.kid, publicJwk);
+    }
+    if (server.backendServices?.privateKeyFile) {
+      const { publicJwk } = loadSigningKey({ name: `${server.name} (backend)`, ...server.backendServices });
+      keys.set(publicJwk.kid, publicJwk);
+    }
+  }
+  return { keys: Array.from(keys.values()) };
+}
+
+module.exports = {
+  buildTokenRequest,
+  createClientAssertion,
+  getAuthMethod,
+  getPublicJwks,
+  loadSigningKey,
+  signJwt
+};
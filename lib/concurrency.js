@@ -0,0 +1,44 @@
+/**
+ * Concurrency helpers for fan-out FHIR requests.
+ */
+
+const DEFAULT_CONCURRENCY = Number(process.env.FHIR_CONCURRENCY) || 4;
+
+// Like Promise.all(items.map(fn)) but runs at most `limit` tasks at a time.
+// Results keep the order of `items`; the first rejection rejects the whole call.
+async function mapWithConcurrency(items, fn, { limit = DEFAULT_CONCURRENCY, signal } = {}) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  async function worker() {
+    while (nextIndex < items.length) {
+      if (signal?.aborted) throw signal.reason || new Error('Aborted');
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workers = Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+// AbortSignal that fires when the client goes away before the response is sent,
+// so in-flight upstream requests for it can be cancelled.
+function abortOnClientDisconnect(req, res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort(new Error('Client disconnected'));
+  });
+  return controller.signal;
+}
+
+function isAbortError(error) {
+  return error?.code === 'ERR_CANCELED' || error?.name === 'CanceledError' || error?.name === 'AbortError';
+}
+
+module.exports = {
+  mapWithConcurrency,
+  abortOnClientDisconnect,
+  isAbortError
+};
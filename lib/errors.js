@@ -0,0 +1,224 @@
+/**
+ * Error model for the app's API routes.
+ *
+ * Every failed /api request is answered with a FHIR OperationOutcome:
+ * - issue[0] is the app's error: severity "error", a FHIR issue code derived from
+ *   the HTTP status, the app error code in details.coding (ERROR_CODE_SYSTEM),
+ *   what failed in details.text, and Epic's diagnostics when Epic caused it
+ * - the upstream OperationOutcome's issues follow unchanged
+ * - each remediation hint is an "information" issue
+ * - `id` is the request's correlation id (lib/request-context.js)
+ *
+ * Routes pass errors built with httpError() or upstreamError() to next();
+ * errorHandler() renders them, and anything else as a 500.
+ */
+
+const { isRelaunchRequired, isTimeoutError } = require('./token-manager');
+const { isAbortError } = require('./concurrency');
+const logger = require('./logger');
+
+const ERROR_CODE_SYSTEM = 'urn:smart-epic-salesforce:error-code';
+
+// HTTP status -> FHIR IssueType
+const ISSUE_CODES = {
+  400: 'invalid',
+  401: 'login',
+  403: 'forbidden',
+  404: 'not-found',
+  408: 'timeout',
+  409: 'conflict',
+  410: 'deleted',
+  412: 'conflict',
+  422: 'processing',
+  429: 'throttled',
+  502: 'transient',
+  503: 'transient',
+  504: 'timeout'
+};
+
+function issueCodeFor(status) {
+  return ISSUE_CODES[status] || (status >= 500 ? 'exception' : 'processing');
+}
+
+function extractOperationOutcomeDiagnostics(operationOutcome) {
+  try {
+    if (!operationOutcome || operationOutcome.resourceType !== 'OperationOutcome') {
+      return null;
+    }
+    const issues = Array.isArray(operationOutcome.issue) ? operationOutcome.issue : [];
+    const diags = issues
+      .map(i => i?.diagnostics || i?.details?.text)
+      .filter(Boolean);
+    return diags.length ? diags : null;
+  } catch {
+    return null;
+  }
+}
+
+function extractNotAuthorizedTargets(diagnostics) {
+  if (!Array.isArray(diagnostics)) return [];
+  const targets = new Set();
+  for (const msg of diagnostics) {
+    if (typeof msg !== 'string') continue;
+    const match = msg.match(/Client not authorized for ([^.]+)\./i);
+    if (match && match[1]) targets.add(match[1].trim());
+  }
+  return Array.from(targets);
+}
+
+// What to do about a denied search: names the Epic APIs to enable when Epic says which
+function remediationHint(resourceType, diagnostics) {
+  const targets = extractNotAuthorizedTargets(diagnostics || []);
+  return targets.length
+    ? `Epic app is not authorized for: ${targets.join(', ')}. Enable those APIs in the Epic developer portal, then re-launch to get a fresh token.`
+    : `Check /api/debug/epic for the exact Epic denial message, then enable the matching ${resourceType} APIs in your Epic app registration.`;
+}
+
+/**
+ * An error the app itself raises.
+ * `code` is an UPPER_SNAKE app error code; options: hints (strings), diagnostics (strings).
+ */
+function httpError(status, code, message, { hints = [], diagnostics = [] } = {}) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  error.hints = hints;
+  error.diagnostics = diagnostics;
+  error.operationOutcomeError = true;
+  return error;
+}
+
+function notAuthenticated() {
+  return httpError(401, 'NOT_AUTHENTICATED', 'Not authenticated', {
+    hints: ['Launch the app from /launch (or /demo) to start a session.']
+  });
+}
+
+// Patient-compartment calls without a patient in the session (e.g. a provider login
+// without launch/patient) must not go out unfiltered
+function noPatientContext() {
+  return httpError(409, 'NO_PATIENT_CONTEXT', 'No patient selected', {
+    diagnostics: ['The session has no patient context, so patient data cannot be requested.'],
+    hints: ['Launch with the launch/patient scope (or from a patient chart) to pick a patient.']
+  });
+}
+
+// Arraybuffer and string responses carry the OperationOutcome as text
+function parseUpstreamBody(data) {
+  if (data instanceof ArrayBuffer || Buffer.isBuffer(data) || typeof data === 'string') {
+    try { return JSON.parse(Buffer.from(data).toString('utf8')); } catch { return null; }
+  }
+  return data || null;
+}
+
+/**
+ * Wrap a failed FHIR / token call. `message` says what the route was doing
+ * ("Failed to fetch medications"); `hints` are added to the ones derived from
+ * Epic's "Client not authorized for ..." diagnostics.
+ */
+function upstreamError(cause, message, { hints = [] } = {}) {
+  if (cause?.operationOutcomeError) return cause;
+
+  let error;
+  if (isRelaunchRequired(cause)) {
+    error = httpError(401, 'RELAUNCH_REQUIRED', 'Re-launch required', {
+      diagnostics: [cause.message || 'Your Epic session has expired'],
+      hints: ['Re-launch the app from /launch to get a new access token.']
+    });
+  } else if (isTimeoutError(cause) || isAbortError(cause)) {
+    error = httpError(504, 'UPSTREAM_TIMEOUT', message, {
+      diagnostics: [cause.message],
+      hints: [...hints, 'The FHIR server did not answer in time (FHIR_REQUEST_TIMEOUT_MS). Try again.']
+    });
+  } else if (cause?.response) {
+    const outcome = parseUpstreamBody(cause.response.data);
+    const diagnostics = extractOperationOutcomeDiagnostics(outcome) || [`FHIR server responded with HTTP ${cause.response.status}`];
+    const targets = extractNotAuthorizedTargets(diagnostics);
+    const status = cause.response.status;
+    const code = status === 401 || status === 403 ? 'UPSTREAM_FORBIDDEN'
+      : status === 404 || status === 410 ? 'UPSTREAM_NOT_FOUND'
+        : 'UPSTREAM_ERROR';
+    error = httpError(status >= 400 ? status : 502, code, message, {
+      diagnostics,
+      hints: [
+        ...hints,
+        ...(targets.length && !hints.length ? [remediationHint(null, diagnostics)] : [])
+      ]
+    });
+    if (outcome?.resourceType === 'OperationOutcome') error.upstreamOutcome = outcome;
+  } else {
+    error = httpError(502, 'UPSTREAM_UNAVAILABLE', message, {
+      diagnostics: [cause?.message || 'FHIR server unreachable'],
+      hints
+    });
+  }
+  error.cause = cause;
+  return error;
+}
+
+function issue(severity, code, diagnostics, details) {
+  const result = { severity, code };
+  if (details) result.details = details;
+  if (diagnostics) result.diagnostics = diagnostics;
+  return result;
+}
+
+// Render any error as an OperationOutcome
+function toOperationOutcome(error, correlationId) {
+  const status = error.status || 500;
+  const diagnostics = Array.isArray(error.diagnostics) ? error.diagnostics.filter(Boolean) : [];
+  const upstreamIssues = Array.isArray(error.upstreamOutcome?.issue) ? error.upstreamOutcome.issue : [];
+  return {
+    resourceType: 'OperationOutcome',
+    id: correlationId || undefined,
+    issue: [
+      issue('error', issueCodeFor(status), diagnostics.join(' ') || undefined, {
+        coding: [{ system: ERROR_CODE_SYSTEM, code: error.code || 'INTERNAL_ERROR' }],
+        text: error.message
+      }),
+      ...upstreamIssues,
+      ...(error.hints || []).map(hint => issue('information', 'informational', hint))
+    ]
+  };
+}
+
+// Unknown /api routes
+function apiNotFound(req, res, next) {
+  next(httpError(404, 'NOT_FOUND', `No API route for ${req.method} ${req.originalUrl.split('?')[0]}`));
+}
+
+// Express error middleware (registered last; Express needs all four arguments)
+function errorHandler(err, req, res, next) {
+  if (res.headersSent) return next(err);
+
+  let error = err;
+  if (!err?.operationOutcomeError) {
+    if (err?.response || isRelaunchRequired(err) || isTimeoutError(err)) {
+      error = upstreamError(err, 'FHIR request failed');
+    } else if (err?.status >= 400 && err.status < 500 && err.expose) {
+      // body-parser and other http-errors style failures
+      error = httpError(err.status, 'INVALID_REQUEST', err.message);
+    } else {
+      logger.error('Unhandled error', { error: err });
+      error = httpError(500, 'INTERNAL_ERROR', 'Internal server error', { diagnostics: [err?.message] });
+    }
+  }
+
+  res.status(error.status || 500)
+    .type('application/fhir+json')
+    .send(JSON.stringify(toOperationOutcome(error, req.correlationId)));
+}
+
+module.exports = {
+  ERROR_CODE_SYSTEM,
+  extractOperationOutcomeDiagnostics,
+  extractNotAuthorizedTargets,
+  remediationHint,
+  httpError,
+  notAuthenticated,
+  noPatientContext,
+  upstreamError,
+  toOperationOutcome,
+  apiNotFound,
+  errorHandler
+};
@@ -0,0 +1,147 @@
+/**
+ * Server-side cache for FHIR reads.
+ *
+ * - Entries are scoped to the session, server and patient, so one session's
+ *   data is never served to another
+ * - Fresh entries (younger than FHIR_CACHE_TTL_SECONDS) are served directly
+ * - Stale entries are revalidated with If-None-Match / If-Modified-Since;
+ *   a 304 from the server renews the entry without re-downloading it
+ * - Storage is pluggable: any object with async get/set/delete/deleteByPrefix
+ *   can replace the default in-memory store via setCacheStore()
+ */
+
+const crypto = require('crypto');
+const { fhirGet } = require('./token-manager');
+
+const TTL_MS = (Number(process.env.FHIR_CACHE_TTL_SECONDS) || 60) * 1000;
+const ENABLED = process.env.FHIR_CACHE_ENABLED !== 'false';
+// Stale entries are kept this long for revalidation before they're evicted
+const RETAIN_MS = 30 * 60 * 1000;
+
+// In-memory store with LRU eviction (Map keeps insertion order)
+function createMemoryStore({ maxEntries = 1000 } = {}) {
+  const entries = new Map();
+  return {
+    async get(key) {
+      const item = entries.get(key);
+      if (!item) return undefined;
+      if (Date.now() > item.expiresAt) {
+        entries.delete(key);
+        return undefined;
+      }
+      entries.delete(key);
+      entries.set(key, item);
+      return item.value;
+    },
+    async set(key, value, ttlMs) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+    async deleteByPrefix(prefix) {
+      for (const key of entries.keys()) {
+        if (key.startsWith(prefix)) entries.delete(key);
+      }
+    }
+  };
+}
+
+let store = createMemoryStore();
+
+function setCacheStore(customStore) {
+  store = customStore;
+}
+
+// Session id stays readable as a prefix so a session's entries can be cleared;
+// the rest (patient id, query) is hashed to keep identifiers out of the store.
+function cacheKey(req, url, params) {
+  const query = params
+    ? Object.keys(params).sort().map(k => `${k}=${params[k]}`).join('&')
+    : '';
+  const scope = [req.session.serverName || '', req.session.patientId || '', url, query].join('|');
+  const digest = crypto.createHash('sha256').update(scope).digest('hex');
+  return `${req.sessionID}|${digest}`;
+}
+
+function toResponse(entry, cacheStatus) {
+  return {
+    status: entry.status,
+    headers: { ...entry.headers, 'x-cache': cacheStatus },
+    data: entry.data,
+    cacheStatus
+  };
+}
+
+// Clients can force revalidation with `Cache-Control: no-cache`
+function wantsRevalidation(req) {
+  return /no-cache|max-age=0/i.test(req.get?.('cache-control') || '');
+}
+
+/**
+ * Cached GET for patient-scoped FHIR reads. Returns an axios-like response
+ * ({ status, headers, data }) plus cacheStatus: HIT, REVALIDATED, MISS or BYPASS.
+ */
+async function cachedFhirGet(req, url, config = {}) {
+  if (!ENABLED) {
+    const response = await fhirGet(req, url, config);
+    response.cacheStatus = 'BYPASS';
+    return response;
+  }
+
+  const key = cacheKey(req, url, config.params);
+  const entry = await store.get(key);
+
+  if (entry && !wantsRevalidation(req) && Date.now() - entry.storedAt < TTL_MS) {
+    return toResponse(entry, 'HIT');
+  }
+
+  const conditionalHeaders = {};
+  if (entry?.headers.etag) conditionalHeaders['If-None-Match'] = entry.headers.etag;
+  if (entry?.headers['last-modified']) conditionalHeaders['If-Modified-Since'] = entry.headers['last-modified'];
+
+  const response = await fhirGet(req, url, {
+    ...config,
+    headers: { ...(config.headers || {}), ...conditionalHeaders },
+    validateStatus: status => (status >= 200 && status < 300) || (status === 304 && Boolean(entry))
+  });
+
+  if (response.status === 304) {
+    const renewed = { ...entry, storedAt: Date.now() };
+    await store.set(key, renewed, TTL_MS + RETAIN_MS);
+    return toResponse(renewed, 'REVALIDATED');
+  }
+
+  response.cacheStatus = 'MISS';
+  if (response.status === 200 && !/no-store/i.test(response.headers['cache-control'] || '')) {
+    await store.set(key, {
+      status: response.status,
+      // Only validators and content metadata are kept, never cookies or auth headers
+      headers: {
+        'content-type': response.headers['content-type'],
+        etag: response.headers.etag,
+        'last-modified': response.headers['last-modified'],
+        date: response.headers.date
+      },
+      data: response.data,
+      storedAt: Date.now()
+    }, TTL_MS + RETAIN_MS);
+  }
+  return response;
+}
+
+// Drop everything cached for a session (e.g. on logout)
+function clearSessionCache(sessionID) {
+  return store.deleteByPrefix(`${sessionID}|`);
+}
+
+module.exports = {
+  cachedFhirGet,
+  clearSessionCache,
+  createMemoryStore,
+  setCacheStore
+};
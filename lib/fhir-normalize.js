@@ -0,0 +1,444 @@
+/**
+ * Normalizes FHIR resources into flat view models for display.
+ *
+ * Every view model has the same core fields so consumers don't need to know
+ * which FHIR element each value came from:
+ * - reference  "<resourceType>/<id>" of the source resource
+ * - title      human-readable name (never empty; falls back like the dashboard did)
+ * - value      raw value (number for quantities, string otherwise) or null
+ * - unit       unit of `value`, or null
+ * - display    value and unit as one string, or null
+ * - date       ISO date the entry is about (effective, onset, authored, performed, ...)
+ * - status     the resource status (clinical status for conditions)
+ * - codings    [{ system, code, display }] from the resource's main code
+ *
+ * Observation view models (and their components) also carry `flag`, `flagSource`
+ * and `referenceRange` from lib/observation-flags.js.
+ *
+ * MedicationRequest view models also carry the resolved Medication (RxNorm
+ * codes, form, strength, ingredients) when the Bundle includes it.
+ *
+ * Used by `?view=summary` on the resource routes and by the dashboard.
+ */
+
+const { flagElement, flagObservation, formatReferenceRange } = require('./observation-flags');
+
+const RXNORM_SYSTEM = 'http://www.nlm.nih.gov/research/umls/rxnorm';
+
+function getCodeableConceptDisplay(cc) {
+  if (!cc) return null;
+  if (typeof cc.text === 'string' && cc.text.trim()) return cc.text.trim();
+  const coding = Array.isArray(cc.coding) ? cc.coding : [];
+  const first = coding.find(c => c && (c.display || c.code)) || coding[0];
+  if (!first) return null;
+  return (first.display || first.code || '').toString().trim() || null;
+}
+
+function getCodings(cc) {
+  const coding = Array.isArray(cc?.coding) ? cc.coding : [];
+  return coding
+    .filter(c => c && (c.code || c.display))
+    .map(c => ({ system: c.system || null, code: c.code || null, display: c.display || null }));
+}
+
+function nonEmptyString(value) {
+  return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+function capitalize(value) {
+  return value.charAt(0).toUpperCase() + value.slice(1);
+}
+
+function sourceReference(resource) {
+  return resource?.id ? `${resource.resourceType}/${resource.id}` : null;
+}
+
+// "Medication/123", "https://host/fhir/Medication/123/_history/2" -> { type, id }
+function parseReference(reference) {
+  if (typeof reference !== 'string') return null;
+  const match = reference.match(/(?:^|\/)([A-Z][A-Za-z]+)\/([A-Za-z0-9\-.]{1,64})(?:\/_history\/[^/]+)?$/);
+  return match ? { type: match[1], id: match[2] } : null;
+}
+
+function formatQuantity(q) {
+  if (!q || q.value === undefined || q.value === null) return null;
+  const unit = q.unit || q.code || '';
+  return `${q.value}${unit ? ` ${unit}` : ''}`;
+}
+
+// Ratio -> "10 mg", "5 mg/mL" or "250 mg/5 mL"; "{tbl}"-style annotation units are dropped
+function formatRatio(ratio) {
+  const numerator = formatQuantity(ratio?.numerator);
+  if (!numerator) return null;
+  const denominator = ratio.denominator;
+  if (!denominator || denominator.value === undefined || denominator.value === null) return numerator;
+  const unit = denominator.unit || denominator.code || '';
+  if (Number(denominator.value) !== 1) return `${numerator}/${formatQuantity(denominator)}`;
+  return unit && !unit.startsWith('{') ? `${numerator}/${unit}` : numerator;
+}
+
+function getRxNormCodes(cc) {
+  return getCodings(cc).filter(c => c.system === RXNORM_SYSTEM && c.code);
+}
+
+// value[x] of an Observation or Observation.component -> { value, unit, display }
+function normalizeValue(element) {
+  const quantity = element?.valueQuantity;
+  if (quantity && quantity.value !== undefined && quantity.value !== null) {
+    return { value: quantity.value, unit: quantity.unit || quantity.code || null, display: formatQuantity(quantity) };
+  }
+
+  const text =
+    getCodeableConceptDisplay(element?.valueCodeableConcept) ||
+    nonEmptyString(element?.valueString) ||
+    (typeof element?.valueBoolean === 'boolean' ? String(element.valueBoolean) : null) ||
+    (typeof element?.valueInteger === 'number' ? String(element.valueInteger) : null);
+  return { value: text, unit: null, display: text };
+}
+
+function getObservationTitle(obs) {
+  const direct = getCodeableConceptDisplay(obs?.code);
+  if (direct) return direct;
+
+  const category = getCodeableConceptDisplay(obs?.category?.[0]);
+  if (category) return category;
+
+  const components = Array.isArray(obs?.component) ? obs.component : [];
+  if (components.length) return 'Composite Observation';
+
+  if (Array.isArray(obs?.hasMember) && obs.hasMember.length) {
+    return `Observation Panel (${obs.hasMember.length})`;
+  }
+
+  return 'Observation';
+}
+
+function getObservationDate(obs) {
+  return (
+    obs?.effectiveDateTime ||
+    obs?.effectiveInstant ||
+    obs?.effectivePeriod?.start ||
+    obs?.issued ||
+    obs?.meta?.lastUpdated ||
+    null
+  );
+}
+
+function normalizeObservation(obs) {
+  // Many vital signs use Observation.component (e.g., BP systolic/diastolic)
+  const components = (Array.isArray(obs?.component) ? obs.component : []).map(c => ({
+    title: getCodeableConceptDisplay(c.code) || 'Component',
+    ...normalizeValue(c),
+    ...flagElement(c),
+    referenceRange: formatReferenceRange(c.referenceRange),
+    codings: getCodings(c.code)
+  }));
+  const memberCount = Array.isArray(obs?.hasMember) ? obs.hasMember.length : 0;
+
+  let { value, unit, display } = normalizeValue(obs);
+  if (!display) {
+    const parts = components.filter(c => c.display).map(c => `${c.title}: ${c.display}`);
+    if (parts.length) display = parts.join(' / ');
+    else if (memberCount) display = `Panel (${memberCount} items)`;
+  }
+
+  return {
+    resourceType: 'Observation',
+    reference: sourceReference(obs),
+    title: getObservationTitle(obs),
+    value,
+    unit,
+    display,
+    date: getObservationDate(obs),
+    status: obs?.status || 'unknown',
+    ...flagObservation(obs),
+    referenceRange: formatReferenceRange(obs?.referenceRange),
+    category: getCodeableConceptDisplay(obs?.category?.[0]),
+    codings: getCodings(obs?.code),
+    components,
+    memberCount
+  };
+}
+
+function getConditionTitle(cond) {
+  const name =
+    getCodeableConceptDisplay(cond?.code) ||
+    getCodeableConceptDisplay(cond?.bodySite?.[0]);
+  if (name) return name;
+
+  const severity = getCodeableConceptDisplay(cond?.severity);
+  if (severity) return `${severity} Condition`;
+
+  const category = getCodeableConceptDisplay(cond?.category?.[0]);
+  if (category) return category;
+
+  const statusCode = cond?.clinicalStatus?.coding?.[0]?.code;
+  return statusCode ? `${capitalize(statusCode)} Condition` : 'Condition';
+}
+
+function normalizeCondition(cond) {
+  return {
+    resourceType: 'Condition',
+    reference: sourceReference(cond),
+    title: getConditionTitle(cond),
+    value: null,
+    unit: null,
+    display: null,
+    date: cond?.onsetDateTime || cond?.onsetPeriod?.start || null,
+    status: cond?.clinicalStatus?.coding?.[0]?.code || 'unknown',
+    verificationStatus: cond?.verificationStatus?.coding?.[0]?.code || null,
+    category: cond?.category?.[0]?.coding?.[0]?.display || getCodeableConceptDisplay(cond?.category?.[0]),
+    codings: getCodings(cond?.code)
+  };
+}
+
+function normalizeMedication(medication) {
+  const ingredients = (Array.isArray(medication?.ingredient) ? medication.ingredient : []).map(i => ({
+    title: getCodeableConceptDisplay(i.itemCodeableConcept) || nonEmptyString(i.itemReference?.display) || 'Ingredient',
+    rxnorm: getRxNormCodes(i.itemCodeableConcept),
+    strength: formatRatio(i.strength),
+    active: typeof i.isActive === 'boolean' ? i.isActive : null
+  }));
+  const strengths = ingredients.map(i => i.strength).filter(Boolean);
+
+  return {
+    reference: sourceReference(medication),
+    title: getCodeableConceptDisplay(medication?.code),
+    rxnorm: getRxNormCodes(medication?.code),
+    form: getCodeableConceptDisplay(medication?.form),
+    strength: strengths.length ? strengths.join(' / ') : null,
+    ingredients
+  };
+}
+
+// medication[x] can be a CodeableConcept or a Reference to a contained or
+// resolved Medication (`medications` maps "Medication/<id>" -> resource)
+function findMedication(med, medications) {
+  const ref = med?.medicationReference?.reference;
+  if (typeof ref === 'string' && ref.startsWith('#')) {
+    const contained = Array.isArray(med?.contained) ? med.contained : [];
+    return contained.find(r => r && r.id === ref.slice(1)) || null;
+  }
+  const parsed = parseReference(ref);
+  return parsed?.type === 'Medication' ? medications?.get(`Medication/${parsed.id}`) || null : null;
+}
+
+function getMedicationRequestTitle(med, medication) {
+  const fromCC = getCodeableConceptDisplay(med?.medicationCodeableConcept);
+  if (fromCC) return fromCC;
+
+  const fromMedication = getCodeableConceptDisplay(medication?.code);
+  if (fromMedication) return fromMedication;
+
+  const refDisplay = nonEmptyString(med?.medicationReference?.display);
+  if (refDisplay) return refDisplay;
+
+  // Fallback: try to extract from identifier
+  const identifier = med?.identifier?.[0];
+  if (identifier?.value && typeof identifier.value === 'string') {
+    return `Medication (ID: ${identifier.value.slice(0, 20)})`;
+  }
+
+  const reason = getCodeableConceptDisplay(med?.reasonCode?.[0]);
+  if (reason) return `Medication for ${reason}`;
+
+  const category = getCodeableConceptDisplay(med?.category?.[0]);
+  if (category) return `${category} Medication`;
+
+  if (med?.status) return `${capitalize(med.status)} Medication`;
+
+  return 'Unknown Medication';
+}
+
+function normalizeMedicationRequest(med, { medications } = {}) {
+  const medication = findMedication(med, medications);
+  const concept = med?.medicationCodeableConcept || medication?.code;
+  const dosage = nonEmptyString(med?.dosageInstruction?.[0]?.text);
+  return {
+    resourceType: 'MedicationRequest',
+    reference: sourceReference(med),
+    title: getMedicationRequestTitle(med, medication),
+    value: dosage,
+    unit: null,
+    display: dosage,
+    date: med?.authoredOn || null,
+    status: med?.status || 'unknown',
+    intent: med?.intent || null,
+    codings: getCodings(concept),
+    rxnorm: getRxNormCodes(concept),
+    medication: medication ? normalizeMedication(medication) : null
+  };
+}
+
+function firstDisplay(list) {
+  return getCodeableConceptDisplay(Array.isArray(list) ? list[0] : null);
+}
+
+function normalizeAllergyIntolerance(allergy) {
+  const reactions = (Array.isArray(allergy?.reaction) ? allergy.reaction : []).map(r => ({
+    manifestations: (Array.isArray(r.manifestation) ? r.manifestation : []).map(getCodeableConceptDisplay).filter(Boolean),
+    severity: r.severity || null
+  }));
+  const manifestations = reactions.flatMap(r => r.manifestations);
+  return {
+    resourceType: 'AllergyIntolerance',
+    reference: sourceReference(allergy),
+    title: getCodeableConceptDisplay(allergy?.code) || 'Allergy',
+    value: null,
+    unit: null,
+    display: manifestations.length ? manifestations.join(', ') : null,
+    date: allergy?.onsetDateTime || allergy?.recordedDate || null,
+    status: allergy?.clinicalStatus?.coding?.[0]?.code || 'unknown',
+    verificationStatus: allergy?.verificationStatus?.coding?.[0]?.code || null,
+    criticality: allergy?.criticality || null,
+    category: Array.isArray(allergy?.category) ? allergy.category[0] || null : null,
+    reactions,
+    codings: getCodings(allergy?.code)
+  };
+}
+
+function normalizeImmunization(immunization) {
+  const dose = immunization?.doseQuantity;
+  return {
+    resourceType: 'Immunization',
+    reference: sourceReference(immunization),
+    title: getCodeableConceptDisplay(immunization?.vaccineCode) || 'Immunization',
+    value: dose?.value ?? null,
+    unit: dose ? dose.unit || dose.code || null : null,
+    display: formatQuantity(dose),
+    date: immunization?.occurrenceDateTime || immunization?.recorded || null,
+    status: immunization?.status || 'unknown',
+    site: getCodeableConceptDisplay(immunization?.site),
+    route: getCodeableConceptDisplay(immunization?.route),
+    codings: getCodings(immunization?.vaccineCode)
+  };
+}
+
+function normalizeEncounter(encounter) {
+  const location = (Array.isArray(encounter?.location) ? encounter.location : [])
+    .map(l => nonEmptyString(l.location?.display))
+    .find(Boolean) || null;
+  const reason = firstDisplay(encounter?.reasonCode);
+  return {
+    resourceType: 'Encounter',
+    reference: sourceReference(encounter),
+    title: firstDisplay(encounter?.type) || encounter?.class?.display || encounter?.class?.code || 'Encounter',
+    value: null,
+    unit: null,
+    display: reason,
+    date: encounter?.period?.start || null,
+    endDate: encounter?.period?.end || null,
+    status: encounter?.status || 'unknown',
+    encounterClass: encounter?.class?.display || encounter?.class?.code || null,
+    location,
+    codings: getCodings(encounter?.type?.[0])
+  };
+}
+
+function normalizeProcedure(procedure) {
+  return {
+    resourceType: 'Procedure',
+    reference: sourceReference(procedure),
+    title: getCodeableConceptDisplay(procedure?.code) || 'Procedure',
+    value: null,
+    unit: null,
+    display: firstDisplay(procedure?.reasonCode),
+    date: procedure?.performedDateTime || procedure?.performedPeriod?.start || null,
+    status: procedure?.status || 'unknown',
+    category: getCodeableConceptDisplay(procedure?.category),
+    codings: getCodings(procedure?.code)
+  };
+}
+
+function normalizeDiagnosticReport(report) {
+  const conclusion = nonEmptyString(report?.conclusion);
+  return {
+    resourceType: 'DiagnosticReport',
+    reference: sourceReference(report),
+    title: getCodeableConceptDisplay(report?.code) || 'Diagnostic Report',
+    value: conclusion,
+    unit: null,
+    display: conclusion,
+    date: report?.effectiveDateTime || report?.effectivePeriod?.start || report?.issued || null,
+    status: report?.status || 'unknown',
+    category: firstDisplay(report?.category),
+    resultCount: Array.isArray(report?.result) ? report.result.length : 0,
+    codings: getCodings(report?.code)
+  };
+}
+
+// Attachments are listed by index; the content itself is fetched separately (Binary)
+function normalizeDocumentReference(doc) {
+  const attachments = (Array.isArray(doc?.content) ? doc.content : []).map((c, index) => ({
+    index,
+    contentType: c.attachment?.contentType || null,
+    title: c.attachment?.title || null,
+    size: c.attachment?.size ?? null,
+    inline: Boolean(c.attachment?.data),
+    format: c.format?.display || c.format?.code || null
+  }));
+  const author = (Array.isArray(doc?.author) ? doc.author : [])
+    .map(a => nonEmptyString(a.display))
+    .find(Boolean) || null;
+  return {
+    resourceType: 'DocumentReference',
+    reference: sourceReference(doc),
+    title: getCodeableConceptDisplay(doc?.type) || nonEmptyString(doc?.description) || 'Document',
+    value: null,
+    unit: null,
+    display: nonEmptyString(doc?.description),
+    date: doc?.date || doc?.context?.period?.start || null,
+    status: doc?.docStatus || doc?.status || 'unknown',
+    category: firstDisplay(doc?.category),
+    author,
+    attachments,
+    codings: getCodings(doc?.type)
+  };
+}
+
+const NORMALIZERS = {
+  Observation: normalizeObservation,
+  Condition: normalizeCondition,
+  MedicationRequest: normalizeMedicationRequest,
+  AllergyIntolerance: normalizeAllergyIntolerance,
+  Immunization: normalizeImmunization,
+  Encounter: normalizeEncounter,
+  Procedure: normalizeProcedure,
+  DiagnosticReport: normalizeDiagnosticReport,
+  DocumentReference: normalizeDocumentReference
+};
+
+function normalizeResource(resource, context) {
+  const normalize = NORMALIZERS[resource?.resourceType];
+  return normalize ? normalize(resource, context) : null;
+}
+
+// `?view=summary` response: the bundle's metadata with view models instead of entries.
+// Entries with search.mode "include" (e.g. Medications) are only used to resolve references.
+function toSummaryView(bundle) {
+  const { resourceType, type, entry, ...meta } = bundle || {};
+  const entries = Array.isArray(entry) ? entry : [];
+  const medications = new Map();
+  for (const e of entries) {
+    if (e?.search?.mode === 'include' && e.resource?.resourceType === 'Medication') {
+      medications.set(`Medication/${e.resource.id}`, e.resource);
+    }
+  }
+  const items = entries
+    .filter(e => e?.search?.mode !== 'include')
+    .map(e => normalizeResource(e?.resource, { medications }))
+    .filter(Boolean);
+  return { view: 'summary', ...meta, total: items.length, items };
+}
+
+module.exports = {
+  getCodeableConceptDisplay,
+  getCodings,
+  parseReference,
+  normalizeObservation,
+  normalizeCondition,
+  normalizeMedication,
+  normalizeMedicationRequest,
+  normalizeResource,
+  toSummaryView
+};
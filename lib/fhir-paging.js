@@ -0,0 +1,115 @@
+/**
+ * Bundle paging for FHIR searches.
+ *
+ * Follows Bundle.link[relation=next] until the search is exhausted or a
+ * resource/page limit is reached, merging entries of the requested type and
+ * keeping the OperationOutcome warnings Epic embeds in each page.
+ */
+
+const { cachedFhirGet } = require('./fhir-cache');
+
+const DEFAULT_MAX_PAGES = Number(process.env.FHIR_MAX_PAGES) || 10;
+const DEFAULT_MAX_RESOURCES = Number(process.env.FHIR_MAX_RESOURCES) || 500;
+
+function getNextLink(bundle) {
+  const links = Array.isArray(bundle?.link) ? bundle.link : [];
+  return links.find(l => l?.relation === 'next' && l.url)?.url || null;
+}
+
+// Never send the session's bearer token to a host other than the FHIR server
+function isSameOrigin(url, fhirBaseUrl) {
+  try {
+    return new URL(url).origin === new URL(fhirBaseUrl).origin;
+  } catch {
+    return false;
+  }
+}
+
+function outcomeDiagnostics(resource) {
+  const issues = Array.isArray(resource?.issue) ? resource.issue : [];
+  return issues.map(i => i?.diagnostics || i?.details?.text).filter(Boolean);
+}
+
+/**
+ * Search `url` and follow next links. Returns:
+ * - entries:   Bundle entries whose resource is `resourceType`
+ * - included:  entries of other types (e.g. from _include), deduplicated by type/id
+ * - outcomes:  [{ page, diagnostics }] for OperationOutcome entries per page
+ * - pages:     [{ page, status, headers, cacheStatus, bundleTotal, entryCount }] for tracing
+ * - total:     Bundle.total from the first page (when the server reports it)
+ * - truncated: true when a limit stopped paging before the last page
+ *
+ * Pass an AbortSignal as `signal` to cancel the remaining pages.
+ */
+async function searchAllPages(req, url, {
+  params,
+  resourceType,
+  maxPages = DEFAULT_MAX_PAGES,
+  maxResources = DEFAULT_MAX_RESOURCES,
+  signal
+} = {}) {
+  const entries = [];
+  const included = new Map();
+  const outcomes = [];
+  const pages = [];
+  let total = null;
+  let truncated = false;
+  let truncatedReason = null;
+
+  let response = await cachedFhirGet(req, url, { params, signal });
+  for (let page = 1; ; page++) {
+    const bundle = response.data || {};
+    const pageEntries = Array.isArray(bundle.entry) ? bundle.entry : [];
+    if (page === 1 && typeof bundle.total === 'number') total = bundle.total;
+
+    pages.push({
+      page,
+      status: response.status,
+      headers: response.headers,
+      cacheStatus: response.cacheStatus || null,
+      bundleTotal: bundle.total ?? null,
+      entryCount: pageEntries.length
+    });
+
+    const diagnostics = pageEntries
+      .filter(e => e.resource?.resourceType === 'OperationOutcome')
+      .flatMap(e => outcomeDiagnostics(e.resource));
+    if (diagnostics.length) outcomes.push({ page, diagnostics });
+
+    for (const entry of pageEntries) {
+      const type = entry.resource?.resourceType;
+      if (type && type !== resourceType && type !== 'OperationOutcome') {
+        included.set(`${type}/${entry.resource.id}`, entry);
+        continue;
+      }
+      if (type !== resourceType) continue;
+      if (entries.length >= maxResources) {
+        truncated = true;
+        truncatedReason = `resource limit (${maxResources}) reached`;
+        break;
+      }
+      entries.push(entry);
+    }
+
+    const next = getNextLink(bundle);
+    if (truncated || !next) break;
+    if (page >= maxPages) {
+      truncated = true;
+      truncatedReason = `page limit (${maxPages}) reached`;
+      break;
+    }
+    if (!isSameOrigin(next, req.session.fhirBaseUrl)) {
+      truncated = true;
+      truncatedReason = 'next link points outside the FHIR server';
+      break;
+    }
+    response = await cachedFhirGet(req, next, { signal });
+  }
+
+  return { entries, included: Array.from(included.values()), outcomes, pages, total, truncated, truncatedReason };
+}
+
+module.exports = {
+  searchAllPages,
+  getNextLink
+};
@@ -0,0 +1,109 @@
+/**
+ * Rules for the generic /api/fhir/:resourceType proxy.
+ *
+ * - Only resource types listed in SEARCH_PARAMS can be reached, and only with
+ *   their listed search parameters (plus the common ones)
+ * - `patient` (or `_id` for Patient) is always the session's patient, never the caller's;
+ *   without a patient in the session nothing is requested (NO_PATIENT_CONTEXT)
+ * - The token's granted scopes must cover the resource type before Epic is called
+ *   (SMART v1 and v2 syntax, see lib/smart-scopes.js)
+ * - A resource read by id must belong to the session's patient
+ */
+
+const { noPatientContext } = require('./errors');
+const { parseReference } = require('./fhir-normalize');
+const { parseScopes, scopesAllow, requiredScopes } = require('./smart-scopes');
+
+const COMMON_PARAMS = ['_count', '_id', '_lastUpdated', '_sort'];
+
+// Search parameters the proxy forwards, per resource type
+const SEARCH_PARAMS = {
+  Patient: [],
+  AllergyIntolerance: ['clinical-status', 'category', 'date'],
+  CarePlan: ['category', 'date', 'status'],
+  CareTeam: ['status'],
+  Condition: ['category', 'clinical-status', 'code', 'onset-date', 'encounter'],
+  Coverage: [],
+  Device: ['type'],
+  DiagnosticReport: ['category', 'code', 'date', 'status', 'encounter'],
+  DocumentReference: ['category', 'type', 'date', 'period', 'status', 'encounter'],
+  Encounter: ['class', 'date', 'status', 'type'],
+  FamilyMemberHistory: [],
+  Goal: ['lifecycle-status', 'target-date'],
+  Immunization: ['date', 'status', 'vaccine-code'],
+  MedicationRequest: ['status', 'intent', 'authoredon', 'category', 'encounter'],
+  MedicationStatement: ['status', 'effective'],
+  Observation: ['category', 'code', 'date', 'status', 'encounter'],
+  Procedure: ['category', 'code', 'date', 'status', 'encounter'],
+  ServiceRequest: ['category', 'code', 'authored', 'status', 'encounter']
+};
+
+// Where each type points at its patient (Patient itself is matched on id)
+const PATIENT_REFERENCE = {
+  AllergyIntolerance: 'patient',
+  Coverage: 'beneficiary',
+  Device: 'patient',
+  Immunization: 'patient'
+};
+
+function isProxiedType(resourceType) {
+  return Object.prototype.hasOwnProperty.call(SEARCH_PARAMS, resourceType);
+}
+
+/**
+ * Split the caller's query into forwarded FHIR params and rejected names.
+ * `view` is an app option and `patient`/`subject` are pinned by the proxy, so
+ * those are dropped silently. Modifiers (`code:text`) and repeated params are kept as sent.
+ */
+function filterSearchParams(resourceType, query) {
+  const allowed = new Set([...COMMON_PARAMS, ...SEARCH_PARAMS[resourceType]]);
+  const params = {};
+  const rejected = [];
+  for (const [name, value] of Object.entries(query || {})) {
+    if (name === 'view' || name === 'patient' || name === 'subject') continue;
+    const base = name.split(':')[0];
+    if (allowed.has(base) && (typeof value === 'string' || (Array.isArray(value) && value.every(v => typeof v === 'string')))) {
+      params[name] = value;
+    } else {
+      rejected.push(name);
+    }
+  }
+  return { params, rejected, allowed: Array.from(allowed) };
+}
+
+/**
+ * Whether `grantedScope` (space-separated) allows `interaction` ('read' or 'search')
+ * on `resourceType` with these search `params`. Returns { allowed, required } where
+ * `required` lists scopes that would have been enough.
+ */
+function checkScope(grantedScope, resourceType, interaction, params) {
+  return {
+    allowed: scopesAllow(parseScopes(grantedScope), resourceType, interaction, params),
+    required: requiredScopes(resourceType, interaction)
+  };
+}
+
+// True when a resource is about `patientId`
+function belongsToPatient(resource, patientId) {
+  if (!resource || !patientId) return false;
+  if (resource.resourceType === 'Patient') return resource.id === patientId;
+  const field = PATIENT_REFERENCE[resource.resourceType] || 'subject';
+  const ref = parseReference((resource[field] || resource.patient || resource.subject)?.reference);
+  return ref?.type === 'Patient' && ref.id === patientId;
+}
+
+// Pin the search to the session's patient. Without one the search would match every
+// patient (axios drops undefined params), so this throws instead
+function patientParams(resourceType, patientId) {
+  if (!patientId) throw noPatientContext();
+  return resourceType === 'Patient' ? { _id: patientId } : { patient: patientId };
+}
+
+module.exports = {
+  SEARCH_PARAMS,
+  isProxiedType,
+  filterSearchParams,
+  checkScope,
+  belongsToPatient,
+  patientParams
+};
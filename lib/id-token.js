@@ -0,0 +1,204 @@
+/**
+ * OpenID Connect id_token validation for SMART launches.
+ *
+ * - Verifies the JWT signature against the issuer's JWKS
+ * - Caches each JWKS and re-fetches it when an unknown `kid` appears (key rotation)
+ * - Validates iss, aud, exp and nonce claims
+ * - Resolves the fhirUser claim to a FHIR resource reference on the session's FHIR server
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+
+const JWKS_CACHE_TTL_MS = 60 * 60 * 1000;
+// Don't hammer the issuer when tokens arrive with a kid it doesn't publish
+const JWKS_MIN_REFETCH_MS = 30 * 1000;
+const CLOCK_SKEW_SECONDS = 60;
+
+// kty: the JWK key type each algorithm needs
+const SIGNING_ALGORITHMS = {
+  RS256: { hash: 'sha256', kty: 'RSA' },
+  RS384: { hash: 'sha384', kty: 'RSA' },
+  RS512: { hash: 'sha512', kty: 'RSA' },
+  ES256: { hash: 'sha256', kty: 'EC', dsaEncoding: 'ieee-p1363' },
+  ES384: { hash: 'sha384', kty: 'EC', dsaEncoding: 'ieee-p1363' },
+  ES512: { hash: 'sha512', kty: 'EC', dsaEncoding: 'ieee-p1363' }
+};
+
+const FHIR_USER_TYPES = new Set(['Patient', 'Practitioner', 'RelatedPerson', 'Person']);
+
+// jwksUri -> { keys, fetchedAt }
+const jwksCache = new Map();
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+function decodeJwt(token) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) {
+    throw new Error('id_token is not a compact JWS');
+  }
+  try {
+    return {
+      header: decodeSegment(parts[0]),
+      payload: decodeSegment(parts[1]),
+      signingInput: `${parts[0]}.${parts[1]}`,
+      signature: Buffer.from(parts[2], 'base64url')
+    };
+  } catch {
+    throw new Error('id_token could not be decoded');
+  }
+}
+
+async function fetchJwks(jwksUri) {
+  const response = await axios.get(jwksUri, { headers: { 'Accept': 'application/json' } });
+  const keys = Array.isArray(response.data?.keys) ? response.data.keys : [];
+  const entry = { keys, fetchedAt: Date.now() };
+  jwksCache.set(jwksUri, entry);
+  return entry;
+}
+
+// Without a kid, only keys of the algorithm's type are candidates
+async function getSigningKey(jwksUri, kid, kty) {
+  let entry = jwksCache.get(jwksUri);
+  if (!entry || Date.now() - entry.fetchedAt > JWKS_CACHE_TTL_MS) {
+    entry = await fetchJwks(jwksUri);
+  }
+
+  const match = keys => keys.find(k => (kid ? k.kid === kid : k.kty === kty) && (!k.use || k.use === 'sig'));
+  let jwk = match(entry.keys);
+  if (!jwk && Date.now() - entry.fetchedAt > JWKS_MIN_REFETCH_MS) {
+    // Issuer may have rotated its keys since we cached them
+    entry = await fetchJwks(jwksUri);
+    jwk = match(entry.keys);
+  }
+  if (!jwk) {
+    throw new Error(`No signing key found in JWKS for kid "${kid || '(none)'}"`);
+  }
+  // An RSA key must not verify an ES* signature (or the reverse)
+  if (jwk.kty !== kty) {
+    throw new Error(`JWKS key "${jwk.kid || '(no kid)'}" is ${jwk.kty}, but the id_token algorithm needs ${kty}`);
+  }
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+}
+
+// Epic publishes jwks_uri in its OpenID configuration (next to the token endpoint)
+// rather than in the SMART configuration, so look in both places.
+async function discoverOpenIdConfiguration(smartConfig, fhirBaseUrl) {
+  if (smartConfig?.jwks_uri && smartConfig?.issuer) {
+    return {
+      issuer: smartConfig.issuer,
+      jwksUri: smartConfig.jwks_uri,
+      endSessionEndpoint: smartConfig.end_session_endpoint || null
+    };
+  }
+  const candidates = [
+    smartConfig?.issuer,
+    smartConfig?.token_endpoint ? smartConfig.token_endpoint.replace(/\/[^/]+\/?$/, '') : null,
+    fhirBaseUrl
+  ].filter(Boolean).map(url => url.replace(/\/+$/, ''));
+
+  for (const base of new Set(candidates)) {
+    try {
+      const response = await axios.get(`${base}/.well-known/openid-configuration`);
+      if (response.data?.jwks_uri) {
+        return {
+          issuer: response.data.issuer || smartConfig?.issuer || null,
+          jwksUri: response.data.jwks_uri,
+          endSessionEndpoint: response.data.end_session_endpoint || smartConfig?.end_session_endpoint || null
+        };
+      }
+    } catch {
+      // try the next candidate
+    }
+  }
+  return {
+    issuer: smartConfig?.issuer || null,
+    jwksUri: smartConfig?.jwks_uri || null,
+    endSessionEndpoint: smartConfig?.end_session_endpoint || null
+  };
+}
+
+// Returns the verified claims, or throws with a description of the first failed check
+async function verifyIdToken(idToken, { jwksUri, issuer, clientId, nonce }) {
+  const { header, payload, signingInput, signature } = decodeJwt(idToken);
+
+  const algorithm = SIGNING_ALGORITHMS[header.alg];
+  if (!algorithm) {
+    throw new Error(`Unsupported id_token signing algorithm: ${header.alg}`);
+  }
+  if (!jwksUri) {
+    throw new Error('Issuer does not publish a jwks_uri; cannot verify id_token');
+  }
+  if (!issuer) {
+    throw new Error('Issuer could not be discovered; cannot verify id_token');
+  }
+
+  const key = await getSigningKey(jwksUri, header.kid, algorithm.kty);
+  const valid = crypto.verify(
+    algorithm.hash,
+    Buffer.from(signingInput),
+    algorithm.dsaEncoding ? { key, dsaEncoding: algorithm.dsaEncoding } : key,
+    signature
+  );
+  if (!valid) {
+    throw new Error('id_token signature is invalid');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (String(payload.iss).replace(/\/+$/, '') !== issuer.replace(/\/+$/, '')) {
+    throw new Error(`id_token issuer mismatch: ${payload.iss}`);
+  }
+  const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+  if (!audiences.includes(clientId)) {
+    throw new Error('id_token audience does not match this client');
+  }
+  if (typeof payload.exp !== 'number' || payload.exp + CLOCK_SKEW_SECONDS < now) {
+    throw new Error('id_token has expired');
+  }
+  if (nonce && payload.nonce !== nonce) {
+    throw new Error('id_token nonce mismatch');
+  }
+  return payload;
+}
+
+// fhirUser may be absolute ("https://.../Practitioner/123") or relative ("Practitioner/123").
+// SMART v1 servers send the same value in `profile`. `url` is always built from the session's
+// FHIR base (it carries the bearer token), and is null when an absolute fhirUser points anywhere else.
+function parseFhirUser(claims, fhirBaseUrl) {
+  const value = claims?.fhirUser || claims?.profile;
+  if (!value || typeof value !== 'string') return null;
+  const match = value.match(/([A-Za-z]+)\/([A-Za-z0-9\-.]{1,64})(?:\/_history\/[^/]+)?$/);
+  if (!match || !FHIR_USER_TYPES.has(match[1])) return null;
+  const base = String(fhirBaseUrl || '').replace(/\/+$/, '');
+  const onFhirServer = !/^https?:\/\//i.test(value) || isUnderBase(value, base);
+  const url = onFhirServer && base ? `${base}/${match[1]}/${match[2]}` : null;
+  return { reference: `${match[1]}/${match[2]}`, resourceType: match[1], id: match[2], url };
+}
+
+// Same origin, and the path is the base's path or below it
+function isUnderBase(value, base) {
+  try {
+    const url = new URL(value);
+    const baseUrl = new URL(base);
+    const basePath = baseUrl.pathname.replace(/\/+$/, '');
+    return url.origin === baseUrl.origin && (url.pathname === basePath || url.pathname.startsWith(`${basePath}/`));
+  } catch {
+    return false;
+  }
+}
+
+function formatHumanName(resource) {
+  const name = Array.isArray(resource?.name) ? resource.name[0] : null;
+  if (!name) return null;
+  if (typeof name.text === 'string' && name.text.trim()) return name.text.trim();
+  return `${(name.given || []).join(' ')} ${name.family || ''}`.trim() || null;
+}
+
+module.exports = {
+  verifyIdToken,
+  discoverOpenIdConfiguration,
+  parseFhirUser,
+  formatHumanName
+};
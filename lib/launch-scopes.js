@@ -0,0 +1,132 @@
+/**
+ * Launch scopes built from the dashboard sections a user needs.
+ *
+ * - Each section (SECTIONS in lib/capability-report.js) needs read or search on its
+ *   resource type; medications also read Medication, clinical notes read Binary
+ * - Scope syntax follows the server: `scopeVersion` in the registry, otherwise the
+ *   syntax of its configured scopes. v1 asks for `.read`; v2 for `.r` / `.rs`, with
+ *   Observation narrowed to the configured categories
+ * - Non-resource scopes (launch/patient, openid, fhirUser, offline_access, ...) are
+ *   taken from the server's configured scopes
+ * - missingSectionScopes() lists what a token lacks for one section;
+ *   reauthorizationScope() is what to ask for when re-consenting for it
+ */
+
+const { SECTIONS } = require('./capability-report');
+const { parseScope, parseScopes, scopesAllow, scopeVersion } = require('./smart-scopes');
+
+const CATEGORY_SYSTEM = 'http://terminology.hl7.org/CodeSystem/observation-category';
+
+// Reads a section makes besides its own resource type
+const RELATED_READS = {
+  medications: ['Medication'],
+  documents: ['Binary']
+};
+
+function findSection(key) {
+  return SECTIONS.find(s => s.key === key) || null;
+}
+
+// "observations,conditions" or ['observations', 'conditions'] -> { sections, unknown }
+function parseSections(value) {
+  const keys = (Array.isArray(value) ? value : [value])
+    .filter(v => typeof v === 'string')
+    .flatMap(v => v.split(','))
+    .map(v => v.trim())
+    .filter(Boolean);
+  return {
+    sections: [...new Set(keys.filter(findSection))],
+    unknown: keys.filter(k => !findSection(k))
+  };
+}
+
+// 'v1' or 'v2' for a server from the registry
+function scopeSyntax(server) {
+  if (server?.scopeVersion === 'v1' || server?.scopeVersion === 'v2') return server.scopeVersion;
+  return scopeVersion(parseScopes(server?.scopes)) === 'v2' ? 'v2' : 'v1';
+}
+
+function resourceScope(resourceType, interaction, syntax, query) {
+  if (syntax === 'v1') return `patient/${resourceType}.read`;
+  return `patient/${resourceType}.${interaction === 'search' ? 'rs' : 'r'}${query ? `?${query}` : ''}`;
+}
+
+/**
+ * Scopes one section needs.
+ * - syntax: 'v1' or 'v2'
+ * - observationCategories: categories the dashboard searches (v2 scopes are narrowed to them)
+ */
+function sectionScopes(key, { syntax, observationCategories = [] }) {
+  const section = findSection(key);
+  if (!section) return [];
+  const categories = observationCategories.filter(Boolean);
+  const scopes = section.byCategory && syntax === 'v2' && categories.length
+    ? categories.map(c => resourceScope(section.resourceType, section.interaction, syntax, `category=${CATEGORY_SYSTEM}|${c}`))
+    : [resourceScope(section.resourceType, section.interaction, syntax)];
+  for (const resourceType of RELATED_READS[key] || []) {
+    scopes.push(resourceScope(resourceType, 'read', syntax));
+  }
+  return scopes;
+}
+
+// Non-resource scopes from a configured scope string
+function baseScopes(scopeString) {
+  return parseScopes(scopeString).filter(s => !s.resourceType).map(s => s.scope);
+}
+
+/**
+ * Minimal scope string for the given sections: the server's non-resource scopes
+ * plus each section's resource scopes.
+ */
+function buildLaunchScopes(sectionKeys, { server, observationCategories = [] }) {
+  const syntax = scopeSyntax(server);
+  const scopes = [
+    ...baseScopes(server.scopes),
+    ...sectionKeys.flatMap(key => sectionScopes(key, { syntax, observationCategories }))
+  ];
+  return [...new Set(scopes)].join(' ');
+}
+
+// Whether granted scopes already cover one needed scope (v2 query constraints included)
+function isCovered(granted, scope) {
+  const needed = parseScope(scope);
+  const params = Object.fromEntries(Object.entries(needed.constraints || {}).map(([name, values]) => [name, values[0]]));
+  return ['read', 'search'].every(interaction =>
+    !needed[interaction] || scopesAllow(granted, needed.resourceType, interaction, params)
+  );
+}
+
+// The section's scopes that `grantedScope` doesn't cover
+function missingSectionScopes(key, grantedScope, { syntax, observationCategories = [] }) {
+  const granted = parseScopes(grantedScope);
+  return sectionScopes(key, { syntax, observationCategories }).filter(scope => !isCovered(granted, scope));
+}
+
+/**
+ * Scope string for re-consent to one section: the server's non-resource scopes, the
+ * resource scopes already granted (the new token replaces the old one) and the section's
+ * missing scopes. When nothing is missing by the scopes (the server still refused the
+ * call), the section's scopes are asked for again.
+ * Returns { requestedScope, additional }.
+ */
+function reauthorizationScope(key, { server, grantedScope, observationCategories = [] }) {
+  const syntax = scopeSyntax(server);
+  const missing = missingSectionScopes(key, grantedScope, { syntax, observationCategories });
+  const additional = missing.length ? missing : sectionScopes(key, { syntax, observationCategories });
+  const scopes = [
+    ...baseScopes(server.scopes),
+    ...parseScopes(grantedScope).filter(s => s.resourceType).map(s => s.scope),
+    ...additional
+  ];
+  return { requestedScope: [...new Set(scopes)].join(' '), additional };
+}
+
+module.exports = {
+  parseSections,
+  scopeSyntax,
+  sectionScopes,
+  baseScopes,
+  buildLaunchScopes,
+  missingSectionScopes,
+  reauthorizationScope
+};
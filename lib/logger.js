@@ -0,0 +1,76 @@
+/**
+ * Structured JSON logger.
+ *
+ * - One JSON object per line: time, level, msg, correlationId, then the fields
+ * - Levels: debug, info, warn, error; LOG_LEVEL (default info) sets the minimum
+ * - Fields go through lib/redact.js, so tokens and PHI never reach the log
+ * - An Error passed as `error` is reduced to its message, code, HTTP status and
+ *   (for FHIR failures) the OperationOutcome diagnostics; stacks only at debug
+ *
+ *   logger.error('Patient fetch error', { error });
+ */
+
+const { redact, redactString } = require('./redact');
+const { getCorrelationId } = require('./request-context');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MIN_LEVEL = LEVELS[String(process.env.LOG_LEVEL || 'info').toLowerCase()] || LEVELS.info;
+
+function serializeError(error) {
+  if (!(error instanceof Error) && !error?.response) return error;
+  const data = error.response?.data;
+  const diagnostics = data?.resourceType === 'OperationOutcome'
+    ? (data.issue || []).map(i => i?.diagnostics || i?.details?.text).filter(Boolean)
+    : undefined;
+  return {
+    message: error.message,
+    code: error.code || undefined,
+    status: error.response?.status || error.status || undefined,
+    diagnostics,
+    // Raw upstream bodies can be resources; keep them for debug logging only
+    data: MIN_LEVEL <= LEVELS.debug && !diagnostics ? data : undefined,
+    stack: MIN_LEVEL <= LEVELS.debug ? error.stack : undefined
+  };
+}
+
+function write(level, msg, fields = {}) {
+  if (LEVELS[level] < MIN_LEVEL) return;
+  const { error, ...rest } = fields;
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: redactString(String(msg)),
+    correlationId: getCorrelationId() || undefined,
+    ...redact(rest),
+    ...(error !== undefined ? { error: redact(serializeError(error)) } : {})
+  };
+  const line = JSON.stringify(entry);
+  if (LEVELS[level] >= LEVELS.warn) process.stderr.write(`${line}\n`);
+  else process.stdout.write(`${line}\n`);
+}
+
+// Access log: one line per finished request, with the route pattern rather than
+// the raw path so ids in URLs stay out of the log
+function logRequests(req, res, next) {
+  const started = process.hrtime.bigint();
+  res.on('finish', () => {
+    const route = req.route?.path ? `${req.baseUrl}${req.route.path}` : req.path;
+    write(res.statusCode >= 500 ? 'error' : 'info', 'request', {
+      // 'finish' can fire outside the request's async context
+      correlationId: req.correlationId,
+      method: req.method,
+      route,
+      status: res.statusCode,
+      durationMs: Number((process.hrtime.bigint() - started) / 1000000n)
+    });
+  });
+  next();
+}
+
+module.exports = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields),
+  logRequests
+};
@@ -0,0 +1,94 @@
+/**
+ * Resolves MedicationRequest.medicationReference to Medication resources.
+ *
+ * - `Medication/<id>` references are matched against resources returned by
+ *   `_include=MedicationRequest:medication`
+ * - Anything still missing is fetched with batched `Medication?_id=a,b,c`
+ *   searches, falling back to one read per id if the server rejects `_id`
+ *
+ * Contained references (`#med1`) need no lookup; lib/fhir-normalize.js reads
+ * them from MedicationRequest.contained.
+ */
+
+const { cachedFhirGet } = require('./fhir-cache');
+const { mapWithConcurrency } = require('./concurrency');
+const { isRelaunchRequired } = require('./token-manager');
+const { parseReference } = require('./fhir-normalize');
+
+const BATCH_SIZE = 50;
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+  return chunks;
+}
+
+async function searchByIds(req, ids, signal) {
+  const response = await cachedFhirGet(req, `${req.session.fhirBaseUrl}/Medication`, {
+    params: { _id: ids.join(','), _count: ids.length },
+    signal
+  });
+  const entries = Array.isArray(response.data?.entry) ? response.data.entry : [];
+  return entries.map(e => e.resource).filter(r => r?.resourceType === 'Medication');
+}
+
+async function readById(req, id, signal) {
+  try {
+    const response = await cachedFhirGet(req, `${req.session.fhirBaseUrl}/Medication/${encodeURIComponent(id)}`, { signal });
+    return response.data?.resourceType === 'Medication' ? response.data : null;
+  } catch (error) {
+    if (isRelaunchRequired(error) || !error.response) throw error;
+    return null;
+  }
+}
+
+function medicationId(request) {
+  const { type, id } = parseReference(request?.medicationReference?.reference) || {};
+  return type === 'Medication' ? id : null;
+}
+
+/**
+ * Returns { medications, unresolved, fetched }:
+ * - medications: Map of "Medication/<id>" -> Medication resource
+ * - unresolved:  Medication ids that could not be found
+ * - fetched:     Medications found after the search ({ searched, read })
+ */
+async function resolveMedicationReferences(req, medicationRequests, included = [], { signal } = {}) {
+  const medications = new Map();
+  for (const resource of included) {
+    if (resource?.resourceType === 'Medication' && resource.id) {
+      medications.set(`Medication/${resource.id}`, resource);
+    }
+  }
+
+  const missingIds = new Set(
+    medicationRequests
+      .map(medicationId)
+      .filter(id => id && !medications.has(`Medication/${id}`))
+  );
+
+  const fetched = { searched: 0, read: 0 };
+  if (missingIds.size) {
+    let found;
+    try {
+      const batches = chunk(Array.from(missingIds), BATCH_SIZE);
+      found = (await mapWithConcurrency(batches, ids => searchByIds(req, ids, signal), { signal })).flat();
+      fetched.searched = found.length;
+    } catch (error) {
+      if (isRelaunchRequired(error) || !error.response) throw error;
+      // Some servers don't support _id on Medication; read them one by one instead
+      found = (await mapWithConcurrency(Array.from(missingIds), id => readById(req, id, signal), { signal })).filter(Boolean);
+      fetched.read = found.length;
+    }
+    for (const medication of found) {
+      medications.set(`Medication/${medication.id}`, medication);
+    }
+  }
+
+  const unresolved = Array.from(missingIds).filter(id => !medications.has(`Medication/${id}`));
+  return { medications, unresolved, fetched };
+}
+
+module.exports = {
+  resolveMedicationReferences
+};
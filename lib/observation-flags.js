@@ -0,0 +1,161 @@
+/**
+ * Abnormal-result flags for Observations.
+ *
+ * Every Observation (and each component) gets one normalized flag:
+ *   critical-low, critical-high, low, high, abnormal, normal, or null (unknown)
+ *
+ * - Observation.interpretation wins when present (HL7 v3 ObservationInterpretation
+ *   codes such as LL, L, H, HH, A, AA, N, or their display text; each part of the
+ *   text must be a whole phrase such as "Low" or "Critical High", so "Below
+ *   threshold – normal" is normal)
+ * - Otherwise a numeric valueQuantity is compared with the normal
+ *   Observation.referenceRange (ranges typed other than "normal" are ignored)
+ * - A panel's flag is the most severe flag of itself and its components
+ */
+
+const INTERPRETATION_CODES = {
+  LL: 'critical-low',
+  '<': 'critical-low',
+  HH: 'critical-high',
+  '>': 'critical-high',
+  L: 'low',
+  LU: 'low',
+  H: 'high',
+  HU: 'high',
+  A: 'abnormal',
+  AA: 'abnormal',
+  W: 'abnormal',
+  N: 'normal'
+};
+
+// Epic sometimes sends only text ("Critical High", "Abnormal"). Matched against whole
+// phrases of the text (see textFlags), never words inside a longer phrase.
+const INTERPRETATION_TEXT = [
+  [/^(critical(ly)?|panic) low$/, 'critical-low'],
+  [/^(critical(ly)?|panic) high$/, 'critical-high'],
+  [/^(low|below (low )?normal|below (reference )?range|decreased)$/, 'low'],
+  [/^(high|above (high )?normal|above (reference )?range|increased|elevated)$/, 'high'],
+  [/^(abnormal|critical(ly)? abnormal|critical)$/, 'abnormal'],
+  [/^(normal|within normal limits|wnl)$/, 'normal']
+];
+// Between phrases: "Below threshold – normal", "Low: repeat test"
+const PHRASE_SEPARATOR = /\s+-\s+|[–—:;,.()]/;
+
+// Higher is more severe
+const SEVERITY = {
+  normal: 1,
+  abnormal: 2,
+  low: 3,
+  high: 3,
+  'critical-low': 4,
+  'critical-high': 4
+};
+
+const FLAGS = Object.keys(SEVERITY);
+
+function textFlags(text) {
+  return String(text || '')
+    .split(PHRASE_SEPARATOR)
+    .map(phrase => phrase.toLowerCase().replace(/[-_]/g, ' ').replace(/\s+/g, ' ').trim())
+    .map(phrase => INTERPRETATION_TEXT.find(([pattern]) => pattern.test(phrase))?.[1])
+    .filter(Boolean);
+}
+
+function flagFromInterpretation(interpretations) {
+  const list = Array.isArray(interpretations) ? interpretations : [];
+  const flags = [];
+  for (const cc of list) {
+    const codings = Array.isArray(cc?.coding) ? cc.coding : [];
+    const coded = codings.map(c => INTERPRETATION_CODES[String(c?.code || '').toUpperCase()]).find(Boolean);
+    if (coded) {
+      flags.push(coded);
+      continue;
+    }
+    flags.push(...[cc?.text, ...codings.map(c => c?.display)].flatMap(textFlags));
+  }
+  return mostSevere(flags);
+}
+
+function isNormalRange(range) {
+  const codings = Array.isArray(range?.type?.coding) ? range.type.coding : [];
+  return !range?.type || codings.some(c => c?.code === 'normal') || /normal/i.test(range.type.text || '');
+}
+
+// Range and value must be in the same unit when both specify one
+function sameUnit(quantity, bound) {
+  const valueUnit = quantity.code || quantity.unit;
+  const boundUnit = bound?.code || bound?.unit;
+  return !valueUnit || !boundUnit || valueUnit === boundUnit;
+}
+
+function flagFromReferenceRange(quantity, ranges) {
+  if (typeof quantity?.value !== 'number') return null;
+  const range = (Array.isArray(ranges) ? ranges : []).find(r => isNormalRange(r) && (r.low || r.high));
+  if (!range) return null;
+  if (typeof range.low?.value === 'number' && sameUnit(quantity, range.low) && quantity.value < range.low.value) return 'low';
+  if (typeof range.high?.value === 'number' && sameUnit(quantity, range.high) && quantity.value > range.high.value) return 'high';
+  const comparable = [range.low, range.high].some(b => typeof b?.value === 'number' && sameUnit(quantity, b));
+  return comparable ? 'normal' : null;
+}
+
+function mostSevere(flags) {
+  return flags.filter(Boolean).sort((a, b) => SEVERITY[b] - SEVERITY[a])[0] || null;
+}
+
+// "3.5–5.1 mmol/L", "<200 mg/dL", or the range's text
+function formatReferenceRange(ranges) {
+  const range = (Array.isArray(ranges) ? ranges : []).find(isNormalRange);
+  if (!range) return null;
+  if (range.text) return range.text;
+  const unit = range.low?.unit || range.high?.unit || '';
+  const low = range.low?.value;
+  const high = range.high?.value;
+  let text = null;
+  if (low !== undefined && high !== undefined) text = `${low}–${high}`;
+  else if (low !== undefined) text = `≥${low}`;
+  else if (high !== undefined) text = `≤${high}`;
+  return text ? `${text}${unit ? ` ${unit}` : ''}` : null;
+}
+
+// Flag for an Observation or a single Observation.component
+function flagElement(element) {
+  const fromInterpretation = flagFromInterpretation(element?.interpretation);
+  if (fromInterpretation) return { flag: fromInterpretation, flagSource: 'interpretation' };
+  const fromRange = flagFromReferenceRange(element?.valueQuantity, element?.referenceRange);
+  if (fromRange) return { flag: fromRange, flagSource: 'referenceRange' };
+  return { flag: null, flagSource: null };
+}
+
+// Flag for a whole Observation, including its components
+function flagObservation(obs) {
+  const own = flagElement(obs);
+  const components = (Array.isArray(obs?.component) ? obs.component : []).map(flagElement);
+  const worst = [own, ...components]
+    .filter(f => f.flag)
+    .sort((a, b) => SEVERITY[b.flag] - SEVERITY[a.flag])[0];
+  return worst || own;
+}
+
+function isAbnormalFlag(flag) {
+  return Boolean(flag) && flag !== 'normal';
+}
+
+// { normal, abnormal, low, high, 'critical-low', 'critical-high', unflagged } for a list of flags
+function countFlags(flags) {
+  const counts = Object.fromEntries(FLAGS.map(f => [f, 0]));
+  counts.unflagged = 0;
+  for (const flag of flags) {
+    if (flag) counts[flag]++;
+    else counts.unflagged++;
+  }
+  return counts;
+}
+
+module.exports = {
+  FLAGS,
+  flagElement,
+  flagObservation,
+  formatReferenceRange,
+  isAbnormalFlag,
+  countFlags
+};
@@ -0,0 +1,253 @@
+/**
+ * Time series of Observations for trend charts.
+ *
+ * - Groups values by LOINC code (other code systems when no LOINC coding exists)
+ * - Splits component Observations (e.g. blood pressure) into one series per
+ *   component code, so systolic and diastolic trend separately
+ * - Sorts points by effective date; each point carries its abnormal flag
+ * - Converts each series to a single unit when the units are convertible
+ *   (kg/lb, °C/°F, mg/dL/g/L, ...); points in other units are skipped
+ * - Parses and applies FHIR `date` / `_lastUpdated` search prefixes (ge, le, ...);
+ *   `ap` is refused rather than guessed at
+ */
+
+const { getCodeableConceptDisplay } = require('./fhir-normalize');
+const { flagElement } = require('./observation-flags');
+
+const LOINC_SYSTEM = 'http://loinc.org';
+const UCUM_SYSTEM = 'http://unitsofmeasure.org';
+
+// UCUM code -> conversion to the dimension's base unit: base = value * factor + offset
+const UNITS = {
+  'kg': { dimension: 'mass', factor: 1, label: 'kg' },
+  'g': { dimension: 'mass', factor: 0.001, label: 'g' },
+  '[lb_av]': { dimension: 'mass', factor: 0.45359237, label: 'lb' },
+  '[oz_av]': { dimension: 'mass', factor: 0.028349523125, label: 'oz' },
+  'm': { dimension: 'length', factor: 1, label: 'm' },
+  'cm': { dimension: 'length', factor: 0.01, label: 'cm' },
+  '[in_i]': { dimension: 'length', factor: 0.0254, label: 'in' },
+  'Cel': { dimension: 'temperature', factor: 1, label: '°C' },
+  '[degF]': { dimension: 'temperature', factor: 5 / 9, offset: -160 / 9, label: '°F' },
+  'mm[Hg]': { dimension: 'pressure', factor: 1, label: 'mmHg' },
+  'kPa': { dimension: 'pressure', factor: 7.50062, label: 'kPa' },
+  'g/L': { dimension: 'mass-concentration', factor: 1, label: 'g/L' },
+  'g/dL': { dimension: 'mass-concentration', factor: 10, label: 'g/dL' },
+  'mg/dL': { dimension: 'mass-concentration', factor: 0.01, label: 'mg/dL' },
+  'mg/L': { dimension: 'mass-concentration', factor: 0.001, label: 'mg/L' },
+  'mmol/L': { dimension: 'molar-concentration', factor: 1, label: 'mmol/L' },
+  'umol/L': { dimension: 'molar-concentration', factor: 0.001, label: 'µmol/L' },
+  '/min': { dimension: 'rate', factor: 1, label: '/min' },
+  '%': { dimension: 'percent', factor: 1, label: '%' }
+};
+
+// Display units Epic and others send instead of UCUM codes
+const UNIT_ALIASES = {
+  'lb': '[lb_av]',
+  'lbs': '[lb_av]',
+  'oz': '[oz_av]',
+  'in': '[in_i]',
+  '°C': 'Cel',
+  'degC': 'Cel',
+  'C': 'Cel',
+  '°F': '[degF]',
+  'degF': '[degF]',
+  'F': '[degF]',
+  'mmHg': 'mm[Hg]',
+  'µmol/L': 'umol/L',
+  'bpm': '/min',
+  'beats/min': '/min',
+  'breaths/min': '/min'
+};
+
+const DATE_PREFIXES = ['eq', 'ne', 'gt', 'lt', 'ge', 'le', 'sa', 'eb', 'ap'];
+// "Approximately" is left to the server's judgement by the spec; there is no range to apply here
+const UNSUPPORTED_DATE_PREFIXES = ['ap'];
+const DATE_VALUE = /^\d{4}(-\d{2}(-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?)?)?$/;
+
+function invalidFilter(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// "ge2024-01-01" -> { prefix: 'ge', value: '2024-01-01', raw }; accepts one value or an array
+function parseDateFilters(values, name = 'date') {
+  const list = (Array.isArray(values) ? values : [values]).filter(v => v !== undefined && v !== '');
+  return list.map(raw => {
+    if (typeof raw !== 'string') throw invalidFilter(`Invalid ${name} filter`);
+    const prefix = DATE_PREFIXES.find(p => raw.startsWith(p)) || 'eq';
+    if (UNSUPPORTED_DATE_PREFIXES.includes(prefix)) {
+      throw invalidFilter(`Unsupported ${name} prefix "${prefix}" in "${raw}" (use ge and le for a range)`);
+    }
+    const value = raw.startsWith(prefix) ? raw.slice(prefix.length) : raw;
+    if (!DATE_VALUE.test(value)) {
+      throw invalidFilter(`Invalid ${name} filter "${raw}" (expected e.g. ge2024-01-01)`);
+    }
+    return { prefix, value, raw };
+  });
+}
+
+// Compares at the precision of the filter value: ge2024-01 matches anything from January 2024 on
+function matchesDateFilter(date, { prefix, value }) {
+  if (!date) return false;
+  const actual = date.slice(0, value.length);
+  switch (prefix) {
+    case 'ne': return actual !== value;
+    case 'gt':
+    case 'sa': return actual > value;
+    case 'lt':
+    case 'eb': return actual < value;
+    case 'ge': return actual >= value;
+    case 'le': return actual <= value;
+    default: return actual === value;
+  }
+}
+
+function matchesDateFilters(date, filters) {
+  return filters.every(filter => matchesDateFilter(date, filter));
+}
+
+// "4548-4", "http://loinc.org|4548-4" -> "4548-4"; accepts comma-separated lists
+function parseCodes(values) {
+  const list = (Array.isArray(values) ? values : [values]).filter(v => typeof v === 'string');
+  return list
+    .flatMap(v => v.split(','))
+    .map(v => v.trim())
+    .map(v => (v.includes('|') ? v.slice(v.lastIndexOf('|') + 1) : v))
+    .filter(Boolean);
+}
+
+function unitCode(quantity) {
+  const code = quantity.system === UCUM_SYSTEM && quantity.code ? quantity.code : (quantity.unit || quantity.code || '');
+  return UNIT_ALIASES[code] || code;
+}
+
+function convert(value, from, to) {
+  const source = UNITS[from];
+  const target = UNITS[to];
+  const base = value * source.factor + (source.offset || 0);
+  const converted = (base - (target.offset || 0)) / target.factor;
+  return Math.round(converted * 100) / 100;
+}
+
+// Series key: the LOINC code, or system|code when the concept has no LOINC coding
+function seriesCode(cc) {
+  const coding = Array.isArray(cc?.coding) ? cc.coding : [];
+  const loinc = coding.find(c => c?.system === LOINC_SYSTEM && c.code);
+  if (loinc) return { system: LOINC_SYSTEM, code: loinc.code, display: loinc.display || null };
+  const other = coding.find(c => c?.code);
+  return other ? { system: other.system || null, code: other.code, display: other.display || null } : null;
+}
+
+function observationDate(obs) {
+  return obs?.effectiveDateTime || obs?.effectiveInstant || obs?.effectivePeriod?.start || obs?.issued || null;
+}
+
+// `element` is the Observation itself or one of its components
+function addPoint(seriesByKey, element, obs, parent) {
+  const concept = element.code;
+  const quantity = element.valueQuantity;
+  const code = seriesCode(concept);
+  if (!code || !quantity || typeof quantity.value !== 'number') return;
+  const key = code.system === LOINC_SYSTEM ? code.code : `${code.system || ''}|${code.code}`;
+
+  let series = seriesByKey.get(key);
+  if (!series) {
+    series = { key, system: code.system, code: code.code, title: null, parent: parent || null, points: [] };
+    seriesByKey.set(key, series);
+  }
+  const title = getCodeableConceptDisplay(concept) || code.display;
+  if (title) series.title = title;
+
+  series.points.push({
+    date: observationDate(obs),
+    value: quantity.value,
+    unit: unitCode(quantity),
+    unitLabel: quantity.unit || quantity.code || null,
+    reference: obs.id ? `Observation/${obs.id}` : null,
+    status: obs.status || null,
+    flag: flagElement(element).flag
+  });
+}
+
+// Pick the most common unit and convert every point that can be converted to it
+function normalizeUnits(series) {
+  const counts = new Map();
+  for (const point of series.points) counts.set(point.unit, (counts.get(point.unit) || 0) + 1);
+  const unit = Array.from(counts.entries()).sort((a, b) => b[1] - a[1])[0]?.[0] || '';
+  const target = UNITS[unit];
+
+  const points = [];
+  let skipped = 0;
+  for (const { unit: pointUnit, unitLabel, ...point } of series.points) {
+    if (pointUnit === unit) {
+      points.push(point);
+    } else if (target && UNITS[pointUnit]?.dimension === target.dimension) {
+      points.push({ ...point, value: convert(point.value, pointUnit, unit), originalValue: point.value, originalUnit: unitLabel });
+    } else {
+      skipped++;
+    }
+  }
+  const label = target?.label || series.points.find(p => p.unit === unit)?.unitLabel || null;
+  return { unit: label, ucum: target ? unit : null, points, skipped };
+}
+
+/**
+ * Build trend series from Observation resources.
+ * Options: codes (only series whose code or parent code is listed), dateFilters
+ * and lastUpdatedFilters (skipped for resources without meta.lastUpdated).
+ */
+function buildTrends(observations, { codes = [], dateFilters = [], lastUpdatedFilters = [] } = {}) {
+  const seriesByKey = new Map();
+  for (const obs of observations) {
+    if (!obs || obs.resourceType !== 'Observation') continue;
+    if (obs.status === 'entered-in-error' || obs.status === 'cancelled') continue;
+    if (dateFilters.length && !matchesDateFilters(observationDate(obs), dateFilters)) continue;
+    const lastUpdated = obs.meta?.lastUpdated;
+    if (lastUpdated && lastUpdatedFilters.length && !matchesDateFilters(lastUpdated, lastUpdatedFilters)) continue;
+
+    addPoint(seriesByKey, obs, obs);
+    const components = Array.isArray(obs.component) ? obs.component : [];
+    if (components.length) {
+      const parentCode = seriesCode(obs.code);
+      const parent = parentCode ? { code: parentCode.code, title: getCodeableConceptDisplay(obs.code) } : null;
+      for (const component of components) {
+        addPoint(seriesByKey, component, obs, parent);
+      }
+    }
+  }
+
+  const wanted = new Set(codes);
+  return Array.from(seriesByKey.values())
+    .filter(series => !wanted.size || wanted.has(series.code) || wanted.has(series.parent?.code))
+    .map(series => {
+      series.points.sort((a, b) => (a.date || '').localeCompare(b.date || ''));
+      const { unit, ucum, points, skipped } = normalizeUnits(series);
+      const values = points.map(p => p.value);
+      return {
+        key: series.key,
+        system: series.system,
+        code: series.code,
+        title: series.title || series.code,
+        parent: series.parent,
+        unit,
+        ucum,
+        count: points.length,
+        skipped,
+        min: values.length ? Math.min(...values) : null,
+        max: values.length ? Math.max(...values) : null,
+        latest: points[points.length - 1] || null,
+        points
+      };
+    })
+    .filter(series => series.count > 0)
+    .sort((a, b) => a.title.localeCompare(b.title));
+}
+
+module.exports = {
+  LOINC_SYSTEM,
+  buildTrends,
+  parseCodes,
+  parseDateFilters,
+  matchesDateFilters
+};
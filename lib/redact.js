@@ -0,0 +1,84 @@
+/**
+ * Redaction for anything that gets logged.
+ *
+ * - Secrets: tokens, client secrets, authorization codes, PKCE verifiers,
+ *   cookies and Authorization headers
+ * - PHI: names, birth dates, gender, identifiers and MRNs, contact details,
+ *   addresses, patient/subject references, narrative (`text.div`) and free-text
+ *   notes and comments
+ * - Inside strings: Bearer tokens, JWTs, MRN-like "MRN: 12345" text, and
+ *   sensitive URL query parameters (code, state, patient, ...)
+ *
+ * Redaction works on a copy; the value passed in is never modified.
+ */
+
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 8;
+
+// Matched against object keys, case-insensitively. `code` is left alone because FHIR uses it
+// everywhere; authorization codes only appear in URLs and form bodies, handled below.
+const SECRET_KEYS = /(access|refresh|id|bearer)_?token|^token$|secret|password|passphrase|^authorization$|cookie|assertion|verifier|private_?key|^nonce$|^state$/i;
+const PHI_KEYS = new Set([
+  'name', 'given', 'family', 'prefix', 'suffix',
+  'birthdate', 'deceaseddatetime', 'gender', 'maritalstatus',
+  'identifier', 'mrn', 'ssn',
+  'telecom', 'email', 'phone', 'address', 'contact', 'photo',
+  'patient', 'patientid', 'subject', 'beneficiary',
+  // Narrative XHTML and free text repeat whatever the clinician wrote
+  'div', 'note', 'comment', 'comments'
+]);
+
+const URL_PARAMS = [
+  'code', 'state', 'nonce', 'launch', 'code_challenge', 'code_verifier',
+  'access_token', 'id_token', 'refresh_token', 'client_secret', 'client_assertion', 'password',
+  'patient', 'subject', '_id', 'identifier', 'name', 'family', 'given', 'birthdate'
+];
+
+const STRING_PATTERNS = [
+  [/Bearer\s+[A-Za-z0-9._~+/=-]+/gi, `Bearer ${REDACTED}`],
+  [/eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g, REDACTED],
+  [/\bMRN\b[\s:#=]*[A-Za-z0-9-]+/gi, `MRN ${REDACTED}`],
+  [/\bPatient\/[A-Za-z0-9.-]+/g, `Patient/${REDACTED}`]
+];
+
+function redactUrlParams(value) {
+  return value.replace(/(^|[?&])([^=&#\s?]+)=([^&#\s]*)/g, (match, sep, name) =>
+    (URL_PARAMS.includes(name.toLowerCase()) ? `${sep}${name}=${REDACTED}` : match)
+  );
+}
+
+function redactString(value) {
+  let result = redactUrlParams(value);
+  for (const [pattern, replacement] of STRING_PATTERNS) result = result.replace(pattern, replacement);
+  return result;
+}
+
+function isSensitiveKey(key) {
+  return SECRET_KEYS.test(key) || PHI_KEYS.has(key.toLowerCase());
+}
+
+function redact(value, depth = 0) {
+  if (typeof value === 'string') return redactString(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[Truncated]';
+  if (Buffer.isBuffer(value) || value instanceof ArrayBuffer) return `[${value.byteLength} bytes]`;
+  if (Array.isArray(value)) return value.map(v => redact(v, depth + 1));
+
+  const result = {};
+  // A Patient's own id is a patient identifier
+  const isPatient = value.resourceType === 'Patient';
+  for (const [key, entry] of Object.entries(value)) {
+    if (isPatient && key === 'id') {
+      result[key] = REDACTED;
+      continue;
+    }
+    result[key] = isSensitiveKey(key) && entry !== null && entry !== undefined ? REDACTED : redact(entry, depth + 1);
+  }
+  return result;
+}
+
+module.exports = {
+  REDACTED,
+  redact,
+  redactString
+};
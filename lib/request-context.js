@@ -0,0 +1,45 @@
+/**
+ * Per-request correlation id.
+ *
+ * - Every request gets an id: the caller's X-Correlation-Id when it looks like
+ *   one, otherwise a new UUID; it is echoed in the response header
+ * - The id is kept in AsyncLocalStorage, so the logger and outgoing HTTP calls
+ *   pick it up without threading `req` through every function
+ * - propagateCorrelationId() adds the header to requests an axios instance sends
+ *   (token exchange, discovery and FHIR calls to Epic)
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const CORRELATION_HEADER = 'X-Correlation-Id';
+const CORRELATION_ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+
+const storage = new AsyncLocalStorage();
+
+function assignCorrelationId(req, res, next) {
+  const provided = req.get(CORRELATION_HEADER);
+  req.correlationId = provided && CORRELATION_ID_PATTERN.test(provided) ? provided : crypto.randomUUID();
+  res.set(CORRELATION_HEADER, req.correlationId);
+  storage.run({ correlationId: req.correlationId }, next);
+}
+
+// Correlation id of the request being handled, or null outside a request (e.g. bulk export jobs)
+function getCorrelationId() {
+  return storage.getStore()?.correlationId || null;
+}
+
+function propagateCorrelationId(axiosInstance) {
+  axiosInstance.interceptors.request.use(config => {
+    const correlationId = getCorrelationId();
+    if (correlationId) config.headers.set(CORRELATION_HEADER, correlationId, false);
+    return config;
+  });
+}
+
+module.exports = {
+  CORRELATION_HEADER,
+  assignCorrelationId,
+  getCorrelationId,
+  propagateCorrelationId
+};
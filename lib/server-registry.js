@@ -0,0 +1,213 @@
+/**
+ * Registry of named FHIR servers.
+ *
+ * Loaded once at startup from FHIR_SERVERS_FILE (default: ./fhir-servers.json).
+ * When no file exists, a single "default" server is built from the legacy
+ * FHIR_BASE_URL / CLIENT_ID / SMART_SCOPES / OBSERVATION_CATEGORIES variables.
+ *
+ * String values may reference environment variables as ${NAME} so client
+ * secrets can stay out of the file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_SCOPES =
+  'launch/patient openid fhirUser patient/Patient.read patient/Observation.read patient/Condition.read patient/MedicationRequest.read';
+const DEFAULT_OBSERVATION_CATEGORIES = ['laboratory', 'vital-signs'];
+const TOKEN_ENDPOINT_AUTH_METHODS = ['none', 'client_secret_basic', 'private_key_jwt'];
+
+// Known vendor behaviour; a server's own `quirks` override these
+const VENDOR_QUIRKS = {
+  epic: {
+    // Epic rejects Observation searches without a category
+    requireObservationCategory: true,
+    developerPortalUrl: 'https://fhir.epic.com/Developer/Apps'
+  },
+  cerner: {
+    requireObservationCategory: false,
+    developerPortalUrl: 'https://code.cerner.com/developer/smart-on-fhir/apps'
+  },
+  generic: {
+    requireObservationCategory: false,
+    developerPortalUrl: null
+  }
+};
+
+function normalizeUrl(url) {
+  return String(url || '').trim().replace(/\/+$/, '');
+}
+
+function splitList(value) {
+  if (Array.isArray(value)) return value.map(v => String(v).trim()).filter(Boolean);
+  return String(value || '').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+function interpolateEnv(value) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{([A-Z0-9_]+)\}/gi, (_, name) => process.env[name] || '');
+  }
+  if (Array.isArray(value)) return value.map(interpolateEnv);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, interpolateEnv(v)]));
+  }
+  return value;
+}
+
+function buildServer(raw) {
+  const entry = interpolateEnv(raw);
+  if (!entry.name || !/^[a-z0-9][a-z0-9-_]*$/i.test(entry.name)) {
+    throw new Error(`FHIR server entry has an invalid name: ${JSON.stringify(entry.name)}`);
+  }
+  if (!entry.fhirBaseUrl) {
+    throw new Error(`FHIR server "${entry.name}" is missing fhirBaseUrl`);
+  }
+  if (!entry.clientId) {
+    throw new Error(`FHIR server "${entry.name}" is missing clientId`);
+  }
+
+  if (entry.scopeVersion && !['v1', 'v2'].includes(entry.scopeVersion)) {
+    throw new Error(`FHIR server "${entry.name}" has unsupported scopeVersion "${entry.scopeVersion}" (expected v1 or v2)`);
+  }
+
+  if (entry.tokenEndpointAuthMethod && !TOKEN_ENDPOINT_AUTH_METHODS.includes(entry.tokenEndpointAuthMethod)) {
+    throw new Error(`FHIR server "${entry.name}" has unsupported tokenEndpointAuthMethod "${entry.tokenEndpointAuthMethod}"`);
+  }
+
+  const vendor = VENDOR_QUIRKS[entry.vendor] ? entry.vendor : 'generic';
+  const fhirBaseUrl = normalizeUrl(entry.fhirBaseUrl);
+  const categories = entry.observationCategories === undefined
+    ? DEFAULT_OBSERVATION_CATEGORIES
+    : splitList(entry.observationCategories);
+
+  return {
+    name: entry.name,
+    label: entry.label || entry.name,
+    vendor,
+    fhirBaseUrl,
+    clientId: entry.clientId,
+    clientSecret: entry.clientSecret || null,
+    // Client authentication at the token endpoint (see lib/client-auth.js)
+    tokenEndpointAuthMethod: entry.tokenEndpointAuthMethod || null,
+    privateKeyFile: entry.privateKeyFile || null,
+    privateKeyAlg: entry.privateKeyAlg || 'RS384',
+    keyId: entry.keyId || null,
+    // SMART Backend Services registration (see lib/backend-services.js)
+    backendServices: entry.backendServices?.clientId
+      ? {
+          clientId: entry.backendServices.clientId,
+          privateKeyFile: entry.backendServices.privateKeyFile || null,
+          privateKeyAlg: entry.backendServices.privateKeyAlg || 'RS384',
+          keyId: entry.backendServices.keyId || null,
+          scope: entry.backendServices.scope || null,
+          tokenEndpoint: entry.backendServices.tokenEndpoint || null
+        }
+      : null,
+    scopes: entry.scopes || DEFAULT_SCOPES,
+    // SMART scope syntax for scopes built per dashboard section (see lib/launch-scopes.js); null = same as `scopes`
+    scopeVersion: entry.scopeVersion || null,
+    observationCategories: categories,
+    // EHR launch `iss` values accepted for this server
+    issuers: [fhirBaseUrl, ...splitList(entry.issuers).map(normalizeUrl)],
+    quirks: { ...VENDOR_QUIRKS[vendor], ...(entry.quirks || {}) }
+  };
+}
+
+function serverFromEnv() {
+  return buildServer({
+    name: 'default',
+    label: 'Epic',
+    vendor: 'epic',
+    fhirBaseUrl: process.env.FHIR_BASE_URL || '',
+    clientId: process.env.CLIENT_ID || '',
+    clientSecret: process.env.CLIENT_SECRET,
+    tokenEndpointAuthMethod: process.env.TOKEN_ENDPOINT_AUTH_METHOD,
+    privateKeyFile: process.env.PRIVATE_KEY_FILE,
+    privateKeyAlg: process.env.PRIVATE_KEY_ALG,
+    keyId: process.env.PRIVATE_KEY_ID,
+    backendServices: {
+      clientId: process.env.BACKEND_CLIENT_ID,
+      privateKeyFile: process.env.BACKEND_PRIVATE_KEY_FILE,
+      privateKeyAlg: process.env.BACKEND_PRIVATE_KEY_ALG,
+      keyId: process.env.BACKEND_PRIVATE_KEY_ID,
+      scope: process.env.BACKEND_SCOPES,
+      tokenEndpoint: process.env.BACKEND_TOKEN_ENDPOINT
+    },
+    scopes: process.env.SMART_SCOPES,
+    scopeVersion: process.env.SMART_SCOPE_VERSION,
+    observationCategories: process.env.OBSERVATION_CATEGORIES || undefined,
+    issuers: process.env.EHR_LAUNCH_ALLOWED_ISS
+  });
+}
+
+function loadRegistry() {
+  const file = path.resolve(process.env.FHIR_SERVERS_FILE || 'fhir-servers.json');
+  if (!fs.existsSync(file)) {
+    // Demo-only deployments may run without any server configured
+    if (!process.env.FHIR_BASE_URL || !process.env.CLIENT_ID) {
+      return { servers: new Map(), defaultName: null, source: null };
+    }
+    const server = serverFromEnv();
+    return { servers: new Map([[server.name, server]]), defaultName: server.name, source: 'env' };
+  }
+
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const entries = Array.isArray(config.servers) ? config.servers : [];
+  if (!entries.length) {
+    throw new Error(`${file} does not define any servers`);
+  }
+  const servers = new Map();
+  for (const raw of entries) {
+    const server = buildServer(raw);
+    if (servers.has(server.name)) {
+      throw new Error(`Duplicate FHIR server name "${server.name}" in ${file}`);
+    }
+    servers.set(server.name, server);
+  }
+  const defaultName = config.defaultServer || entries[0].name;
+  if (!servers.has(defaultName)) {
+    throw new Error(`defaultServer "${defaultName}" is not defined in ${file}`);
+  }
+  return { servers, defaultName, source: file };
+}
+
+const registry = loadRegistry();
+
+function getServer(name) {
+  return registry.servers.get(name || registry.defaultName) || null;
+}
+
+function getDefaultServer() {
+  return getServer(registry.defaultName);
+}
+
+function findServerByIssuer(iss) {
+  const normalized = normalizeUrl(iss);
+  for (const server of registry.servers.values()) {
+    if (server.issuers.includes(normalized)) return server;
+  }
+  return null;
+}
+
+function getAllServers() {
+  return Array.from(registry.servers.values());
+}
+
+// Safe listing for the UI: no client ids or secrets
+function listServers() {
+  return Array.from(registry.servers.values()).map(s => ({
+    name: s.name,
+    label: s.label,
+    vendor: s.vendor,
+    fhirBaseUrl: s.fhirBaseUrl,
+    default: s.name === registry.defaultName
+  }));
+}
+
+module.exports = {
+  getServer,
+  getDefaultServer,
+  findServerByIssuer,
+  getAllServers,
+  listServers
+};
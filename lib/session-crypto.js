@@ -0,0 +1,129 @@
+/**
+ * AES-256-GCM encryption of the tokens kept in a session.
+ *
+ * - SESSION_ENCRYPTION_KEYS: comma-separated "<keyId>:<base64 32-byte key>", newest
+ *   first. The first key encrypts; every listed key decrypts. To rotate, put a new
+ *   key in front, restart, and drop the old key once the sessions it encrypted
+ *   have passed SESSION_ABSOLUTE_TIMEOUT_HOURS
+ * - Without SESSION_ENCRYPTION_KEYS a key is derived (HKDF) from each SESSION_SECRET
+ *   entry: the first secret's key encrypts, the others' still decrypt, so adding a
+ *   secret in front for cookie rotation doesn't make stored sessions unreadable
+ * - Encrypted values look like enc:v1:<keyId>:<iv>:<tag>:<ciphertext> (base64url);
+ *   the key id is authenticated along with the ciphertext
+ *
+ *   openSession(sealSession(session)) // same session; tokens are only encrypted in between
+ */
+
+const crypto = require('crypto');
+
+// Session fields that grant access to patient data
+const SECRET_FIELDS = ['accessToken', 'refreshToken', 'idToken', 'codeVerifier'];
+const PREFIX = 'enc:v1:';
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+const LEGACY_DERIVED_ID = 'derived';
+
+function parseKeys(value) {
+  return String(value).split(',').map(s => s.trim()).filter(Boolean).map(entry => {
+    const [id, material] = entry.split(':');
+    const key = Buffer.from(material || '', 'base64');
+    if (!KEY_ID_PATTERN.test(id || '') || key.length !== 32) {
+      throw new Error('SESSION_ENCRYPTION_KEYS entries must be "<keyId>:<base64 32-byte key>"');
+    }
+    return { id, key };
+  });
+}
+
+// SESSION_SECRET may list several comma-separated secrets: the first signs, all verify
+function sessionSecrets() {
+  const secrets = String(process.env.SESSION_SECRET || '').split(',').map(s => s.trim()).filter(Boolean);
+  if (secrets.length) return secrets;
+  if (process.env.NODE_ENV === 'production') throw new Error('SESSION_SECRET must be set in production');
+  return ['dev-secret-change-in-production'];
+}
+
+// The key id is derived too (not the key's hash), so ciphertexts name their secret without revealing it
+function deriveKey(secret) {
+  const id = Buffer.from(crypto.hkdfSync('sha256', secret, Buffer.alloc(0), 'smart-epic-salesforce session key id', 4)).toString('hex');
+  const key = Buffer.from(crypto.hkdfSync('sha256', secret, Buffer.alloc(0), 'smart-epic-salesforce session tokens', 32));
+  return { id: `derived-${id}`, key };
+}
+
+let keys = null;
+
+function getKeys() {
+  if (!keys) {
+    keys = process.env.SESSION_ENCRYPTION_KEYS
+      ? parseKeys(process.env.SESSION_ENCRYPTION_KEYS)
+      : sessionSecrets().map(deriveKey);
+  }
+  return keys;
+}
+
+// True when tokens are encrypted with a key derived from SESSION_SECRET rather than a configured one
+function usesDerivedKey() {
+  return !process.env.SESSION_ENCRYPTION_KEYS;
+}
+
+function encryptValue(plaintext) {
+  const { id, key } = getKeys()[0];
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(Buffer.from(id));
+  const data = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  return `${PREFIX}${id}:${iv.toString('base64url')}:${cipher.getAuthTag().toString('base64url')}:${data.toString('base64url')}`;
+}
+
+function decryptWith(key, id, iv, tag, data) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64url'));
+  decipher.setAAD(Buffer.from(id));
+  decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+  return Buffer.concat([decipher.update(Buffer.from(data, 'base64url')), decipher.final()]).toString('utf8');
+}
+
+function decryptValue(value) {
+  const [id, iv, tag, data] = value.slice(PREFIX.length).split(':');
+  // Sessions sealed before derived keys had their own ids all say "derived"; try each derived key
+  const candidates = id === LEGACY_DERIVED_ID && usesDerivedKey() ? getKeys() : getKeys().filter(k => k.id === id);
+  if (!candidates.length) throw new Error(`Session encryption key "${id}" is no longer configured`);
+  let lastError;
+  for (const { key } of candidates) {
+    try {
+      return decryptWith(key, id, iv, tag, data);
+    } catch (error) {
+      lastError = error;
+    }
+  }
+  throw lastError;
+}
+
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+// Copy of the session with its secret fields encrypted (for writing to the store)
+function sealSession(sess) {
+  const sealed = { ...sess };
+  for (const field of SECRET_FIELDS) {
+    if (typeof sealed[field] === 'string' && !isEncrypted(sealed[field])) sealed[field] = encryptValue(sealed[field]);
+  }
+  return sealed;
+}
+
+// Inverse of sealSession(); throws when a value can't be decrypted (unknown key, tampering)
+function openSession(sealed) {
+  const sess = { ...sealed };
+  for (const field of SECRET_FIELDS) {
+    if (isEncrypted(sess[field])) sess[field] = decryptValue(sess[field]);
+  }
+  return sess;
+}
+
+module.exports = {
+  SECRET_FIELDS,
+  encryptValue,
+  decryptValue,
+  sealSession,
+  openSession,
+  sessionSecrets,
+  usesDerivedKey
+};
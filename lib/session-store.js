@@ -0,0 +1,248 @@
+/**
+ * Persistent sessions for express-session.
+ *
+ * - Storage is pluggable: any backend with async get/set/delete (string values,
+ *   set takes a TTL in ms, like Redis GET / SET PX / DEL) can hold sessions
+ * - SESSION_STORE picks the backend: file (default, one file per session under
+ *   SESSION_STORE_DIR), redis (REDIS_URL, needs the `redis` package) or memory
+ *   (per process, lost on restart; development only)
+ * - Tokens are encrypted before they reach the backend (lib/session-crypto.js)
+ * - Sessions expire after SESSION_IDLE_TIMEOUT_MINUTES without a request, and
+ *   SESSION_ABSOLUTE_TIMEOUT_HOURS after login no matter what
+ * - Cookie flags come from SESSION_COOKIE_SECURE / SESSION_COOKIE_SAMESITE
+ *
+ * Several app instances can share sessions through a shared SESSION_STORE_DIR or Redis.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const session = require('express-session');
+const { sealSession, openSession, sessionSecrets } = require('./session-crypto');
+const { clearSessionCache } = require('./fhir-cache');
+const { pickTokens, hasNewerTokens } = require('./token-manager');
+const logger = require('./logger');
+
+const IDLE_TIMEOUT_MS = (Number(process.env.SESSION_IDLE_TIMEOUT_MINUTES) || 30) * 60 * 1000;
+const ABSOLUTE_TIMEOUT_MS = (Number(process.env.SESSION_ABSOLUTE_TIMEOUT_HOURS) || 12) * 60 * 60 * 1000;
+const SESSION_DIR = path.resolve(process.env.SESSION_STORE_DIR || 'data/sessions');
+// How often the file backend deletes expired session files
+const PRUNE_INTERVAL_MS = 10 * 60 * 1000;
+const SAME_SITE_VALUES = ['lax', 'strict', 'none'];
+
+// One JSON file per session, named by a hash of the session id; written via rename so readers never see half a file
+function createFileBackend({ dir = SESSION_DIR } = {}) {
+  fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+  const fileFor = key => path.join(dir, `${crypto.createHash('sha256').update(key).digest('hex')}.json`);
+
+  async function readEntry(file) {
+    try {
+      return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async function removeFile(file) {
+    await fs.promises.unlink(file).catch(error => {
+      if (error.code !== 'ENOENT') throw error;
+    });
+  }
+
+  async function prune() {
+    const now = Date.now();
+    for (const name of await fs.promises.readdir(dir)) {
+      if (!name.endsWith('.json')) continue;
+      const file = path.join(dir, name);
+      const entry = await readEntry(file).catch(() => null);
+      if (entry && entry.expiresAt <= now) await removeFile(file);
+    }
+  }
+
+  setInterval(() => {
+    prune().catch(error => logger.warn('Session prune error', { error }));
+  }, PRUNE_INTERVAL_MS).unref();
+
+  return {
+    async get(key) {
+      const file = fileFor(key);
+      const entry = await readEntry(file);
+      if (!entry) return undefined;
+      if (Date.now() >= entry.expiresAt) {
+        await removeFile(file);
+        return undefined;
+      }
+      return entry.value;
+    },
+    async set(key, value, ttlMs) {
+      const file = fileFor(key);
+      const temp = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+      await fs.promises.writeFile(temp, JSON.stringify({ expiresAt: Date.now() + ttlMs, value }), { mode: 0o600 });
+      await fs.promises.rename(temp, file);
+    },
+    async delete(key) {
+      await removeFile(fileFor(key));
+    },
+    prune
+  };
+}
+
+// Wraps a node-redis v4 client (createClient({ url }))
+function createRedisBackend({ client, prefix = 'sess:' }) {
+  return {
+    async get(key) {
+      return (await client.get(`${prefix}${key}`)) ?? undefined;
+    },
+    async set(key, value, ttlMs) {
+      await client.set(`${prefix}${key}`, value, { PX: Math.max(1, Math.round(ttlMs)) });
+    },
+    async delete(key) {
+      await client.del(`${prefix}${key}`);
+    }
+  };
+}
+
+// Time left until the cookie expires; the backend forgets the session at the same moment
+function ttlFor(sess) {
+  const expires = sess?.cookie?.expires ? new Date(sess.cookie.expires).getTime() : NaN;
+  return Number.isFinite(expires) ? Math.max(expires - Date.now(), 1000) : IDLE_TIMEOUT_MS;
+}
+
+// express-session store on top of a backend
+function createSessionStore(backend) {
+  const store = new session.Store();
+
+  store.get = (sid, callback) => {
+    backend.get(sid).then(value => {
+      if (!value) return callback(null, null);
+      let sess;
+      try {
+        sess = openSession(JSON.parse(value));
+      } catch (error) {
+        // Unknown encryption key or a damaged record: treat it as logged out
+        logger.warn('Discarding unreadable session', { error });
+        return callback(null, null);
+      }
+      callback(null, sess);
+    }, callback);
+  };
+
+  // A request that loaded the session before another one refreshed its token still
+  // holds the old tokens; saving its copy must not put a spent refresh token back
+  async function keepNewerTokens(sid, sess) {
+    if (!sess.refreshToken) return sess;
+    const value = await backend.get(sid);
+    let stored;
+    try {
+      stored = value ? openSession(JSON.parse(value)) : null;
+    } catch {
+      return sess;
+    }
+    if (!hasNewerTokens(sess, stored)) return sess;
+    return { ...sess, ...pickTokens(stored) };
+  }
+
+  store.set = (sid, sess, callback = () => {}) => {
+    keepNewerTokens(sid, sess)
+      .then(latest => backend.set(sid, JSON.stringify(sealSession(latest)), ttlFor(latest)))
+      .then(() => callback(), callback);
+  };
+
+  // Rolling sessions: a request without changes still pushes the idle timeout out
+  store.touch = store.set;
+
+  store.destroy = (sid, callback = () => {}) => {
+    backend.delete(sid).then(() => callback(), callback);
+  };
+
+  return store;
+}
+
+function createConfiguredSessionStore() {
+  const type = (process.env.SESSION_STORE || 'file').toLowerCase();
+  switch (type) {
+    case 'file':
+      return createSessionStore(createFileBackend());
+    case 'redis': {
+      let redis;
+      try {
+        redis = require('redis');
+      } catch {
+        throw new Error('SESSION_STORE=redis needs the redis package: npm install redis');
+      }
+      if (!process.env.REDIS_URL) throw new Error('SESSION_STORE=redis needs REDIS_URL');
+      const client = redis.createClient({ url: process.env.REDIS_URL });
+      client.on('error', error => logger.error('Redis session store error', { error }));
+      // Commands issued before the connection is up are queued by the client
+      client.connect().catch(error => logger.error('Redis connection failed', { error }));
+      return createSessionStore(createRedisBackend({ client }));
+    }
+    case 'memory':
+      logger.warn('SESSION_STORE=memory: sessions are lost on restart and not shared between instances');
+      return new session.MemoryStore();
+    default:
+      throw new Error(`Unknown SESSION_STORE "${type}" (expected file, redis or memory)`);
+  }
+}
+
+function sessionCookieOptions() {
+  const production = process.env.NODE_ENV === 'production';
+  const secureSetting = (process.env.SESSION_COOKIE_SECURE || (production ? 'true' : 'false')).toLowerCase();
+  const sameSite = (process.env.SESSION_COOKIE_SAMESITE || 'lax').toLowerCase();
+  if (!SAME_SITE_VALUES.includes(sameSite)) {
+    throw new Error(`SESSION_COOKIE_SAMESITE must be one of ${SAME_SITE_VALUES.join(', ')}`);
+  }
+  const secure = secureSetting === 'auto' ? 'auto' : secureSetting === 'true';
+  if (sameSite === 'none' && secure === false) {
+    throw new Error('SESSION_COOKIE_SAMESITE=none requires SESSION_COOKIE_SECURE=true');
+  }
+  return {
+    httpOnly: true,
+    secure,
+    sameSite,
+    maxAge: IDLE_TIMEOUT_MS
+  };
+}
+
+// Ends sessions that outlived SESSION_ABSOLUTE_TIMEOUT_HOURS since login
+function enforceAbsoluteTimeout(req, res, next) {
+  const authenticatedAt = req.session?.authenticatedAt;
+  if (!authenticatedAt || Date.now() - authenticatedAt < ABSOLUTE_TIMEOUT_MS) return next();
+  logger.info('Session reached its absolute timeout', { server: req.session.serverName || null });
+  clearSessionCache(req.sessionID);
+  req.session.regenerate(next);
+}
+
+/**
+ * Session fixation protection: move the session's data to a new session id
+ * (the old id stops working) and stamp the login time for the absolute timeout.
+ * `drop` lists fields not to carry over.
+ */
+function regenerateSession(req, { drop = [] } = {}) {
+  const previousId = req.sessionID;
+  const data = { ...req.session };
+  delete data.cookie;
+  for (const field of drop) delete data[field];
+  return new Promise((resolve, reject) => {
+    req.session.regenerate(error => {
+      if (error) return reject(error);
+      Object.assign(req.session, data, { authenticatedAt: Date.now() });
+      clearSessionCache(previousId);
+      resolve();
+    });
+  });
+}
+
+module.exports = {
+  IDLE_TIMEOUT_MS,
+  ABSOLUTE_TIMEOUT_MS,
+  createFileBackend,
+  createRedisBackend,
+  createSessionStore,
+  createConfiguredSessionStore,
+  sessionCookieOptions,
+  sessionSecrets,
+  enforceAbsoluteTimeout,
+  regenerateSession
+};
@@ -0,0 +1,203 @@
+/**
+ * SMART Configuration Discovery
+ *
+ * Shared by the user-facing launch flow and the backend services client.
+ *
+ * - Reads <fhirBaseUrl>/.well-known/smart-configuration, falling back to the
+ *   oauth-uris extension in /metadata; why .well-known failed is kept, not swallowed
+ * - Caches each issuer's configuration for SMART_CONFIG_TTL_SECONDS; concurrent
+ *   lookups share one request. When a refresh fails, the last good configuration is
+ *   returned marked `stale: true` (with `refreshError`) and the next lookup tries again
+ * - Parses the whole document: endpoints (authorize, token, revocation,
+ *   introspection, jwks, ...), capabilities, code_challenge_methods_supported,
+ *   scopes_supported and the other *_supported lists
+ * - validateLaunchConfiguration() checks a configuration against a launch
+ *   (PKCE S256, launch type, requested scopes) before the user is redirected;
+ *   scopes missing from scopes_supported are warnings, since servers often list
+ *   only some of theirs, unless SMART_SCOPE_CHECK=error
+ */
+
+const axios = require('axios');
+const { unsupportedScopes } = require('./smart-scopes');
+const logger = require('./logger');
+
+const TTL_MS = (Number(process.env.SMART_CONFIG_TTL_SECONDS) || 3600) * 1000;
+const DISCOVERY_TIMEOUT_MS = 10000;
+const SCOPE_CHECK = process.env.SMART_SCOPE_CHECK === 'error' ? 'error' : 'warn';
+const OAUTH_URIS_EXTENSION = 'http://fhir-registry.smarthealthit.org/StructureDefinition/oauth-uris';
+
+const ENDPOINTS = [
+  'authorization_endpoint',
+  'token_endpoint',
+  'revocation_endpoint',
+  'introspection_endpoint',
+  'management_endpoint',
+  'registration_endpoint',
+  'end_session_endpoint',
+  'jwks_uri'
+];
+const LISTS = [
+  'capabilities',
+  'code_challenge_methods_supported',
+  'scopes_supported',
+  'response_types_supported',
+  'grant_types_supported',
+  'token_endpoint_auth_methods_supported',
+  'token_endpoint_auth_signing_alg_values_supported'
+];
+
+// fhirBaseUrl -> { entry, expiresAt } or { pending }
+const cache = new Map();
+
+function cacheKey(fhirBaseUrl) {
+  return String(fhirBaseUrl).replace(/\/+$/, '');
+}
+
+function describeError(error) {
+  return error.response ? `HTTP ${error.response.status}` : (error.code || error.message);
+}
+
+// Known endpoints as strings (or null), known lists as arrays; other members pass through
+function parseConfiguration(document) {
+  const config = { ...(document && typeof document === 'object' ? document : {}) };
+  for (const name of ENDPOINTS) {
+    config[name] = typeof config[name] === 'string' && config[name] ? config[name] : null;
+  }
+  for (const name of LISTS) {
+    config[name] = Array.isArray(config[name]) ? config[name].filter(v => typeof v === 'string') : null;
+  }
+  return config;
+}
+
+// SMART v1 servers advertise their endpoints in the CapabilityStatement
+async function fromMetadata(fhirBaseUrl) {
+  const metadataResponse = await axios.get(`${fhirBaseUrl}/metadata`, { timeout: DISCOVERY_TIMEOUT_MS });
+  const security = metadataResponse.data?.rest?.[0]?.security;
+  const oauthExtension = security?.extension?.find(ext => ext.url === OAUTH_URIS_EXTENSION);
+  if (!oauthExtension) return null;
+  const uri = name => oauthExtension.extension?.find(e => e.url === name)?.valueUri;
+  return {
+    authorization_endpoint: uri('authorize'),
+    token_endpoint: uri('token'),
+    revocation_endpoint: uri('revoke'),
+    introspection_endpoint: uri('introspect'),
+    management_endpoint: uri('manage'),
+    registration_endpoint: uri('register')
+  };
+}
+
+async function fetchConfiguration(fhirBaseUrl) {
+  let wellKnownError = null;
+  try {
+    const response = await axios.get(`${fhirBaseUrl}/.well-known/smart-configuration`, { timeout: DISCOVERY_TIMEOUT_MS });
+    if (response.data && typeof response.data === 'object') {
+      return { config: parseConfiguration(response.data), source: 'well-known', wellKnownError };
+    }
+    wellKnownError = 'Response is not a JSON object';
+  } catch (error) {
+    wellKnownError = describeError(error);
+  }
+  logger.warn('.well-known/smart-configuration unavailable, trying /metadata', { fhirBaseUrl, wellKnownError });
+
+  let metadataError = null;
+  try {
+    const document = await fromMetadata(fhirBaseUrl);
+    if (document) return { config: parseConfiguration(document), source: 'metadata', wellKnownError };
+    metadataError = 'no oauth-uris extension in CapabilityStatement.rest.security';
+  } catch (error) {
+    metadataError = describeError(error);
+  }
+  const error = new Error(`Could not find SMART configuration (.well-known: ${wellKnownError}; /metadata: ${metadataError})`);
+  error.wellKnownError = wellKnownError;
+  error.metadataError = metadataError;
+  throw error;
+}
+
+/**
+ * Discovery result for a FHIR base URL (the issuer):
+ * { fhirBaseUrl, config, source: 'well-known' | 'metadata', wellKnownError, fetchedAt, expiresAt, cached }
+ * plus `stale: true` and `refreshError` when it is the last good result after a failed refresh.
+ * `refresh` skips the cache. Throws only when there has never been a good result.
+ */
+async function discoverSmartConfiguration(fhirBaseUrl, { refresh = false } = {}) {
+  const key = cacheKey(fhirBaseUrl);
+  const cached = cache.get(key);
+  if (cached?.pending) return cached.pending;
+  if (cached && !refresh && Date.now() < cached.expiresAt) return { ...cached.entry, cached: true };
+
+  const pending = fetchConfiguration(key).then(result => {
+    const fetchedAt = Date.now();
+    const entry = {
+      fhirBaseUrl: key,
+      ...result,
+      fetchedAt: new Date(fetchedAt).toISOString(),
+      expiresAt: new Date(fetchedAt + TTL_MS).toISOString(),
+      cached: false
+    };
+    cache.set(key, { entry, expiresAt: fetchedAt + TTL_MS });
+    return entry;
+  }, error => {
+    // Failures aren't cached; the next lookup tries again
+    if (!cached?.entry) {
+      cache.delete(key);
+      throw error;
+    }
+    cache.set(key, cached);
+    logger.warn('SMART configuration refresh failed; using the last good configuration', {
+      fhirBaseUrl: key,
+      fetchedAt: cached.entry.fetchedAt,
+      error
+    });
+    return { ...cached.entry, cached: true, stale: true, refreshError: error.message };
+  });
+  cache.set(key, { pending });
+  return pending;
+}
+
+async function getSmartConfiguration(fhirBaseUrl) {
+  return (await discoverSmartConfiguration(fhirBaseUrl)).config;
+}
+
+/**
+ * Problems that would make a launch fail at the authorization server.
+ * - launchType: 'standalone' or 'ehr'
+ * - requestedScope: the space-separated scopes the launch will ask for
+ * Returns { errors, warnings } (lists of messages); any error should stop the launch.
+ */
+function validateLaunchConfiguration(config, { launchType, requestedScope }) {
+  const errors = [];
+  const warnings = [];
+
+  for (const name of ['authorization_endpoint', 'token_endpoint']) {
+    if (!config[name]) errors.push(`No ${name} advertised`);
+  }
+
+  const methods = config.code_challenge_methods_supported;
+  if (!methods) {
+    warnings.push('code_challenge_methods_supported is not advertised; assuming PKCE S256 works');
+  } else if (!methods.includes('S256')) {
+    errors.push(`PKCE S256 is not supported (code_challenge_methods_supported: ${methods.join(', ') || 'none'})`);
+  }
+
+  const capability = launchType === 'ehr' ? 'launch-ehr' : 'launch-standalone';
+  if (config.capabilities && !config.capabilities.includes(capability)) {
+    errors.push(`Server does not advertise the ${capability} capability`);
+  }
+
+  if (!config.scopes_supported) {
+    warnings.push('scopes_supported is not advertised; requested scopes could not be checked');
+  } else {
+    const missing = unsupportedScopes(requestedScope, config.scopes_supported);
+    if (missing.length) {
+      (SCOPE_CHECK === 'error' ? errors : warnings).push(`Requested scopes not in scopes_supported: ${missing.join(' ')}`);
+    }
+  }
+
+  return { errors, warnings };
+}
+
+module.exports = {
+  discoverSmartConfiguration,
+  getSmartConfiguration,
+  validateLaunchConfiguration
+};
@@ -0,0 +1,124 @@
+/**
+ * SMART scope parsing (App Launch v1 and v2 syntax).
+ *
+ * - v1: `patient/Observation.read`, `user/*.*`, `patient/Condition.write`
+ * - v2: `patient/Observation.rs`, `patient/Observation.rs?category=http://...|laboratory`
+ * - Other scopes (`launch`, `openid`, `fhirUser`, `offline_access`, ...) are kept
+ *   with `resourceType: null` so callers can still list them
+ *
+ * v1 `read` grants both read and search; v2 spells them out as `r` and `s`.
+ * A v2 query narrows the scope to resources matching every listed parameter.
+ */
+
+const V2_PERMISSIONS = ['c', 'r', 'u', 'd', 's'];
+const RESOURCE_SCOPE = /^(patient|user|system)\/([A-Za-z]+|\*)\.([a-z*]+)(?:\?(.*))?$/;
+
+function permissionsFor(access) {
+  if (access === 'read') return { version: 1, c: false, r: true, u: false, d: false, s: true };
+  if (access === 'write') return { version: 1, c: true, r: false, u: true, d: true, s: false };
+  if (access === '*') return { version: 1, c: true, r: true, u: true, d: true, s: true };
+  // v2 letters must be in cruds order, each at most once
+  const letters = access.split('');
+  const ordered = letters.every((l, i) => V2_PERMISSIONS.includes(l) && (i === 0 || V2_PERMISSIONS.indexOf(l) > V2_PERMISSIONS.indexOf(letters[i - 1])));
+  if (!ordered) return null;
+  return { version: 2, ...Object.fromEntries(V2_PERMISSIONS.map(p => [p, letters.includes(p)])) };
+}
+
+// "category=http://...|laboratory" -> { category: ['http://...|laboratory'] }
+function parseQuery(query) {
+  if (!query) return null;
+  const constraints = {};
+  for (const [name, value] of new URLSearchParams(query)) {
+    (constraints[name] = constraints[name] || []).push(value);
+  }
+  return constraints;
+}
+
+/**
+ * One scope string -> { scope, context, resourceType, version, read, search, write, constraints }.
+ * Non-resource scopes return { scope, resourceType: null }.
+ */
+function parseScope(scope) {
+  const match = RESOURCE_SCOPE.exec(scope);
+  const permissions = match && permissionsFor(match[3]);
+  if (!permissions) return { scope, resourceType: null };
+  return {
+    scope,
+    context: match[1],
+    resourceType: match[2],
+    version: permissions.version,
+    read: permissions.r,
+    search: permissions.s,
+    write: permissions.c || permissions.u || permissions.d,
+    constraints: parseQuery(match[4])
+  };
+}
+
+// Space-separated scope string -> parsed scopes
+function parseScopes(scopeString) {
+  return String(scopeString || '').split(/\s+/).filter(Boolean).map(parseScope);
+}
+
+// Token values match on their code, so "http://...|laboratory" and "laboratory" are equal
+function tokenCode(value) {
+  return String(value).slice(String(value).lastIndexOf('|') + 1);
+}
+
+function constraintMatches(values, wanted) {
+  if (wanted === undefined || wanted === null) return false;
+  const wantedCodes = (Array.isArray(wanted) ? wanted : [wanted]).flatMap(w => String(w).split(',')).map(tokenCode);
+  const allowedCodes = values.map(tokenCode);
+  return wantedCodes.every(code => allowedCodes.includes(code));
+}
+
+/**
+ * Whether parsed `scopes` allow `interaction` ('read' or 'search') on `resourceType`.
+ * `params` describes the request (e.g. { category: 'laboratory' }); a v2 scope with a
+ * query only counts when every constrained parameter matches.
+ */
+function scopesAllow(scopes, resourceType, interaction, params = {}) {
+  return scopes.some(s => {
+    if (!s.resourceType || !s[interaction]) return false;
+    if (s.resourceType !== resourceType && s.resourceType !== '*') return false;
+    if (!s.constraints) return true;
+    return Object.entries(s.constraints).every(([name, values]) => constraintMatches(values, params[name]));
+  });
+}
+
+// Scopes that would grant `interaction` on `resourceType`, in both syntaxes
+function requiredScopes(resourceType, interaction) {
+  return [`patient/${resourceType}.read`, `patient/${resourceType}.${interaction === 'search' ? 's' : 'r'}`];
+}
+
+// 'v1', 'v2' or 'mixed' from the syntax of the resource scopes (null when there are none)
+function scopeVersion(scopes) {
+  const versions = new Set(scopes.map(s => s.version).filter(Boolean));
+  if (!versions.size) return null;
+  return versions.has(2) ? (versions.has(1) ? 'mixed' : 'v2') : 'v1';
+}
+
+// Whether an advertised scope (e.g. from scopes_supported) covers a requested one.
+// Wildcards and broader permissions cover narrower scopes; v2 query constraints are ignored.
+function scopeCovers(advertised, requested) {
+  if (!requested.resourceType || !advertised.resourceType) return advertised.scope === requested.scope;
+  if (advertised.context !== requested.context) return false;
+  if (advertised.resourceType !== '*' && advertised.resourceType !== requested.resourceType) return false;
+  return ['read', 'search', 'write'].every(p => !requested[p] || advertised[p]);
+}
+
+// Requested scopes that no advertised scope covers
+function unsupportedScopes(requestedScope, advertisedScopes) {
+  const advertised = (advertisedScopes || []).map(parseScope);
+  return parseScopes(requestedScope)
+    .filter(requested => !advertised.some(a => scopeCovers(a, requested)))
+    .map(s => s.scope);
+}
+
+module.exports = {
+  parseScope,
+  parseScopes,
+  scopesAllow,
+  requiredScopes,
+  scopeVersion,
+  unsupportedScopes
+};
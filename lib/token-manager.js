@@ -0,0 +1,178 @@
+/**
+ * Access token lifecycle for SMART sessions.
+ *
+ * - Tracks the absolute expiry time of the access token
+ * - Refreshes proactively shortly before expiry using the stored refresh_token
+ * - Retries a FHIR call once after a 401 with a freshly refreshed token
+ * - Serializes concurrent refreshes for the same session, and skips the refresh when
+ *   the stored session already holds a newer token than the one a request used
+ *   (a refresh token is often single-use)
+ * - Applies a per-request timeout (FHIR_REQUEST_TIMEOUT_MS) to FHIR calls
+ */
+
+const axios = require('axios');
+const { getServer } = require('./server-registry');
+const { buildTokenRequest } = require('./client-auth');
+
+// Refresh this long before the token actually expires
+const REFRESH_SKEW_MS = 60 * 1000;
+// Give up on a single FHIR request after this long
+const FHIR_REQUEST_TIMEOUT_MS = Number(process.env.FHIR_REQUEST_TIMEOUT_MS) || 15000;
+
+// sessionID -> in-flight refresh promise
+const refreshesInFlight = new Map();
+// Session fields written by storeTokenResponse()
+const TOKEN_FIELDS = ['accessToken', 'refreshToken', 'expiresIn', 'tokenExpiresAt', 'tokenType', 'grantedScope', 'tokenIssuedAt'];
+
+function relaunchRequiredError(message, details) {
+  const error = new Error(message || 'Re-launch required');
+  error.code = 'RELAUNCH_REQUIRED';
+  error.details = details || null;
+  return error;
+}
+
+function isRelaunchRequired(error) {
+  return error?.code === 'RELAUNCH_REQUIRED';
+}
+
+// axios reports its `timeout` as ECONNABORTED (ETIMEDOUT with transitional.clarifyTimeoutError)
+function isTimeoutError(error) {
+  return !error?.response && (error?.code === 'ECONNABORTED' || error?.code === 'ETIMEDOUT');
+}
+
+// Copy a token endpoint response into the session.
+// Epic may omit refresh_token on refresh, in which case the previous one stays valid.
+function storeTokenResponse(session, data) {
+  session.accessToken = data.access_token;
+  if (data.refresh_token) session.refreshToken = data.refresh_token;
+  session.expiresIn = data.expires_in;
+  session.tokenExpiresAt = data.expires_in ? Date.now() + Number(data.expires_in) * 1000 : null;
+  session.tokenType = data.token_type;
+  if (data.scope) session.grantedScope = data.scope;
+  session.tokenIssuedAt = Date.now();
+}
+
+function pickTokens(session) {
+  return Object.fromEntries(TOKEN_FIELDS.map(field => [field, session[field]]));
+}
+
+// True when `other` holds tokens issued after the ones in `session`
+function hasNewerTokens(session, other) {
+  return (other?.tokenIssuedAt || 0) > (session?.tokenIssuedAt || 0);
+}
+
+// The session as last saved, which another request or instance may have refreshed since this request loaded it
+function loadStoredSession(req) {
+  if (!req.sessionStore) return Promise.resolve(null);
+  return new Promise(resolve => req.sessionStore.get(req.sessionID, (error, sess) => resolve(error ? null : sess)));
+}
+
+function isTokenExpiring(session) {
+  if (!session.tokenExpiresAt) return false;
+  return Date.now() >= session.tokenExpiresAt - REFRESH_SKEW_MS;
+}
+
+async function requestRefresh(session) {
+  if (!session.refreshToken || !session.tokenEndpoint) {
+    throw relaunchRequiredError('Access token expired and no refresh token is available');
+  }
+  const server = getServer(session.serverName);
+  if (!server) {
+    throw relaunchRequiredError('FHIR server for this session is no longer configured');
+  }
+  try {
+    const { body, headers } = buildTokenRequest(server, session.tokenEndpoint, {
+      grant_type: 'refresh_token',
+      refresh_token: session.refreshToken
+    });
+    const response = await axios.post(session.tokenEndpoint, body, { headers });
+    return response.data;
+  } catch (error) {
+    const status = error?.response?.status;
+    if (status === 400 || status === 401) {
+      // invalid_grant: refresh token revoked, expired or not issued for offline use
+      throw relaunchRequiredError('Refresh token was rejected by the authorization server', error.response.data);
+    }
+    throw error;
+  }
+}
+
+// The newest usable tokens: the stored session's when it has moved past `usedToken`, else a refreshed set
+async function latestTokens(req, usedToken) {
+  const stored = await loadStoredSession(req);
+  const current = hasNewerTokens(req.session, stored) ? stored : req.session;
+  if (current.accessToken !== usedToken && !isTokenExpiring(current)) return pickTokens(current);
+  const tokens = pickTokens(current);
+  storeTokenResponse(tokens, await requestRefresh(current));
+  return tokens;
+}
+
+// Refresh the session's access token, unless it already changed since `usedToken`
+// was sent. Concurrent callers for the same session share one token request and each
+// applies the result to its own session copy.
+async function refreshAccessToken(req, usedToken = req.session.accessToken) {
+  const key = req.sessionID;
+  let pending = refreshesInFlight.get(key);
+  if (!pending) {
+    pending = latestTokens(req, usedToken).finally(() => refreshesInFlight.delete(key));
+    refreshesInFlight.set(key, pending);
+  }
+  const tokens = await pending;
+  if (hasNewerTokens(req.session, tokens)) {
+    Object.assign(req.session, tokens);
+    await new Promise(resolve => req.session.save(() => resolve()));
+  }
+  return req.session.accessToken;
+}
+
+async function ensureFreshToken(req) {
+  if (req.session.demoMode) return req.session.accessToken;
+  if (isTokenExpiring(req.session)) {
+    return refreshAccessToken(req);
+  }
+  return req.session.accessToken;
+}
+
+// Authenticated FHIR request: refreshes proactively, and once more on a 401.
+async function fhirRequest(req, config) {
+  const send = () => axios({
+    method: 'GET',
+    timeout: FHIR_REQUEST_TIMEOUT_MS,
+    // Repeated FHIR search params go out as date=ge..&date=le.., not date[]=..
+    paramsSerializer: { indexes: null },
+    ...config,
+    headers: {
+      'Accept': 'application/fhir+json',
+      ...(config.headers || {}),
+      'Authorization': `Bearer ${req.session.accessToken}`
+    }
+  });
+
+  await ensureFreshToken(req);
+  const usedToken = req.session.accessToken;
+  try {
+    return await send();
+  } catch (error) {
+    if (error?.response?.status !== 401 || !req.session.refreshToken) throw error;
+    await refreshAccessToken(req, usedToken);
+    return send();
+  }
+}
+
+function fhirGet(req, url, config = {}) {
+  return fhirRequest(req, { ...config, method: 'GET', url });
+}
+
+module.exports = {
+  storeTokenResponse,
+  pickTokens,
+  hasNewerTokens,
+  isTokenExpiring,
+  refreshAccessToken,
+  ensureFreshToken,
+  fhirRequest,
+  fhirGet,
+  isRelaunchRequired,
+  isTimeoutError,
+  relaunchRequiredError
+};
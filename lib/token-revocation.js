@@ -0,0 +1,76 @@
+/**
+ * SMART logout: token revocation and OpenID Connect RP-initiated logout.
+ *
+ * - revokeSessionTokens() revokes the refresh token, then the access token, at the
+ *   revocation_endpoint from the server's SMART configuration (RFC 7009)
+ * - Revocation failures are reported, never thrown: logout always completes locally
+ * - endSessionUrl() builds the redirect to the OIDC end_session_endpoint
+ *   (id_token_hint, post_logout_redirect_uri) when LOGOUT_END_SESSION=true
+ */
+
+const axios = require('axios');
+const { buildTokenRequest } = require('./client-auth');
+const logger = require('./logger');
+
+// Logout waits at most this long per revocation request
+const REVOCATION_TIMEOUT_MS = Number(process.env.REVOCATION_TIMEOUT_MS) || 5000;
+
+// Refresh token first: revoking it usually invalidates the access tokens issued from it too
+const TOKENS = [
+  ['refreshToken', 'refresh_token'],
+  ['accessToken', 'access_token']
+];
+
+async function revokeToken(server, session, endpoint, token, tokenTypeHint) {
+  try {
+    // Client authentication as at the token endpoint (a private_key_jwt assertion keeps the token endpoint as aud);
+    // a missing or unreadable client key fails here and is reported like any other revocation failure
+    const { body, headers } = buildTokenRequest(server, session.tokenEndpoint || endpoint, {
+      token,
+      token_type_hint: tokenTypeHint
+    });
+    // RFC 7009: 200 whether or not the token was still valid
+    const response = await axios.post(endpoint, body, { headers, timeout: REVOCATION_TIMEOUT_MS });
+    return { tokenType: tokenTypeHint, revoked: true, status: response.status };
+  } catch (error) {
+    logger.warn('Token revocation failed', { tokenType: tokenTypeHint, error });
+    return {
+      tokenType: tokenTypeHint,
+      revoked: false,
+      status: error.response?.status || null,
+      error: error.response?.data?.error || error.code || error.message
+    };
+  }
+}
+
+/**
+ * Revoke the session's tokens. Returns { endpoint, results: [{ tokenType, revoked, status, error? }] };
+ * endpoint is null (and nothing is revoked) when the server doesn't advertise revocation.
+ */
+async function revokeSessionTokens(session, server) {
+  const endpoint = session.smartConfig?.revocation_endpoint || null;
+  if (!endpoint || !server) return { endpoint, results: [] };
+  const results = [];
+  for (const [field, tokenTypeHint] of TOKENS) {
+    if (session[field]) results.push(await revokeToken(server, session, endpoint, session[field], tokenTypeHint));
+  }
+  return { endpoint, results };
+}
+
+// Where to send the browser after logout, or null to stay in the app
+function endSessionUrl(session, server) {
+  const endpoint = session.smartConfig?.end_session_endpoint;
+  if (process.env.LOGOUT_END_SESSION !== 'true' || !endpoint) return null;
+  const url = new URL(endpoint);
+  if (session.idToken) url.searchParams.set('id_token_hint', session.idToken);
+  if (server?.clientId) url.searchParams.set('client_id', server.clientId);
+  if (process.env.POST_LOGOUT_REDIRECT_URI) {
+    url.searchParams.set('post_logout_redirect_uri', process.env.POST_LOGOUT_REDIRECT_URI);
+  }
+  return url.toString();
+}
+
+module.exports = {
+  revokeSessionTokens,
+  endSessionUrl
+};
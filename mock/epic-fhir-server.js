@@ -0,0 +1,603 @@
+/**
+ * Offline mock of an Epic SMART on FHIR server, for local development and CI.
+ *
+ * - SMART: .well-known/smart-configuration, /metadata (with the oauth-uris extension),
+ *   authorize (approves at once, no login page), token (authorization_code with PKCE S256,
+ *   refresh_token), revoke, and a JWKS for the RS256 id_tokens it signs
+ * - FHIR: read and search for every type with a fixture file (mock/fixtures/<Type>.json,
+ *   an array of resources or a Bundle). Searches filter on _id, patient/subject, category,
+ *   code, status, clinical-status and date, support _include=MedicationRequest:medication,
+ *   and are paged at MOCK_FHIR_PAGE_SIZE entries with Bundle next links
+ * - Tokens are checked the way Epic does: unknown or expired -> 401; a scope that doesn't
+ *   cover the call, or another patient's data -> 403 "Client not authorized for ..."
+ * - Denials can be injected to exercise the app's error handling: MOCK_FHIR_DENY at
+ *   startup, or GET/PUT/DELETE /mock/denials while running (see parseDenials())
+ * - POST /mock/expire-tokens expires every access token (tests the refresh path);
+ *   GET /mock/ehr-launch[?patient=<id>] starts an EHR launch of the app
+ *
+ * Client secrets and private_key_jwt assertions are accepted without being checked.
+ *
+ *   npm run mock
+ *   FHIR_BASE_URL=http://localhost:4000/api/FHIR/R4 CLIENT_ID=mock-client npm start
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { parseScopes, scopesAllow } = require('../lib/smart-scopes');
+const { parseDateFilters, matchesDateFilters } = require('../lib/observation-trends');
+const logger = require('../lib/logger');
+
+const FHIR_PATH = '/api/FHIR/R4';
+const CODE_TTL_MS = 2 * 60 * 1000;
+// Epic's "not authorized" OperationOutcome detail
+const EPIC_ERROR_SYSTEM = 'urn:oid:1.2.840.114350.1.13.0.1.7.2.657369';
+const OAUTH_URIS_EXTENSION = 'http://fhir-registry.smarthealthit.org/StructureDefinition/oauth-uris';
+// Types searched within the patient compartment; their searches need `patient`
+const PATIENT_REFERENCE_FIELDS = ['subject', 'patient'];
+// Names Epic gives its Observation APIs, used in denial diagnostics
+const CATEGORY_LABELS = {
+  laboratory: 'Labs',
+  'vital-signs': 'Vitals',
+  'social-history': 'Social History'
+};
+const DENIAL_PATTERN = /^([A-Za-z]+)(?::(read|search))?(?:\?category=([^\s,]+))?$/;
+
+function operationOutcome(severity, code, diagnostics, details) {
+  return {
+    resourceType: 'OperationOutcome',
+    issue: [{ severity, code, details, diagnostics }]
+  };
+}
+
+function sendOutcome(res, status, code, diagnostics, details) {
+  res.status(status).type('application/fhir+json').json(operationOutcome(status >= 500 ? 'fatal' : 'error', code, diagnostics, details));
+}
+
+function base64UrlSha256(value) {
+  return crypto.createHash('sha256').update(value).digest('base64url');
+}
+
+function randomToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+/**
+ * Denial rules from "Type[:read|:search][?category=<code>]" entries, comma-separated
+ * or as an array, e.g. "Observation?category=vital-signs,AllergyIntolerance".
+ * Objects pass through: { resourceType, interaction, category, status, diagnostics }.
+ */
+function parseDenials(value) {
+  const entries = Array.isArray(value)
+    ? value
+    : String(value || '').split(',').map(s => s.trim()).filter(Boolean);
+  return entries.map(entry => {
+    if (entry && typeof entry === 'object') {
+      if (typeof entry.resourceType !== 'string' || !entry.resourceType) {
+        throw new Error('Denial rules need a resourceType');
+      }
+      if (entry.interaction && !['read', 'search'].includes(entry.interaction)) {
+        throw new Error(`Denial interaction must be read or search, not "${entry.interaction}"`);
+      }
+      return {
+        resourceType: entry.resourceType,
+        interaction: entry.interaction || null,
+        category: entry.category || null,
+        status: Number(entry.status) || 403,
+        diagnostics: entry.diagnostics || null
+      };
+    }
+    const match = typeof entry === 'string' ? entry.match(DENIAL_PATTERN) : null;
+    if (!match) {
+      throw new Error(`Invalid denial "${entry}" (expected Type[:read|:search][?category=<code>])`);
+    }
+    return { resourceType: match[1], interaction: match[2] || null, category: match[3] || null, status: 403, diagnostics: null };
+  });
+}
+
+// mock/fixtures/Observation.json -> Map('Observation' -> [resources])
+function loadFixtures(fixturesDir) {
+  const resources = new Map();
+  for (const file of fs.readdirSync(fixturesDir).filter(f => f.endsWith('.json')).sort()) {
+    const data = JSON.parse(fs.readFileSync(path.join(fixturesDir, file), 'utf8'));
+    const list = Array.isArray(data) ? data : (data.entry || []).map(e => e.resource);
+    for (const resource of list) {
+      if (!resource?.resourceType || !resource.id) {
+        throw new Error(`${file}: every fixture needs a resourceType and an id`);
+      }
+      if (!resources.has(resource.resourceType)) resources.set(resource.resourceType, []);
+      resources.get(resource.resourceType).push(resource);
+    }
+  }
+  return resources;
+}
+
+function asList(value) {
+  return (Array.isArray(value) ? value : [value])
+    .filter(v => typeof v === 'string')
+    .flatMap(v => v.split(','))
+    .map(v => v.trim())
+    .filter(Boolean);
+}
+
+// Token search: "http://loinc.org|4548-4" matches the system and code, "4548-4" the code alone
+function tokenMatches(codeableConcepts, wanted) {
+  const codings = codeableConcepts.flatMap(c => c?.coding || []);
+  return wanted.some(value => {
+    const [system, code] = value.includes('|') ? [value.slice(0, value.lastIndexOf('|')), value.slice(value.lastIndexOf('|') + 1)] : [null, value];
+    return codings.some(c => c.code === code && (!system || c.system === system));
+  });
+}
+
+function patientOf(resource) {
+  if (resource.resourceType === 'Patient') return resource.id;
+  for (const field of PATIENT_REFERENCE_FIELDS) {
+    const reference = resource[field]?.reference;
+    if (reference?.startsWith('Patient/')) return reference.slice('Patient/'.length);
+  }
+  return null;
+}
+
+function isPatientCompartment(resourceType, resources) {
+  return resourceType === 'Patient' || resources.some(r => patientOf(r));
+}
+
+function effectiveDate(resource) {
+  return resource.effectiveDateTime || resource.effectivePeriod?.start || resource.issued ||
+    resource.onsetDateTime || resource.recordedDate || resource.authoredOn || null;
+}
+
+function filterResources(resources, query) {
+  const ids = asList(query._id);
+  const patients = asList(query.patient || query.subject).map(p => p.replace(/^Patient\//, ''));
+  const categories = asList(query.category);
+  const codes = asList(query.code);
+  const statuses = asList(query.status);
+  const clinicalStatuses = asList(query['clinical-status']);
+  const dateFilters = parseDateFilters(query.date);
+
+  return resources.filter(r =>
+    (!ids.length || ids.includes(r.id)) &&
+    (!patients.length || patients.includes(patientOf(r))) &&
+    (!categories.length || tokenMatches(r.category || [], categories)) &&
+    (!codes.length || tokenMatches([r.code], codes)) &&
+    (!statuses.length || statuses.includes(r.status)) &&
+    (!clinicalStatuses.length || tokenMatches([r.clinicalStatus], clinicalStatuses)) &&
+    (!dateFilters.length || (effectiveDate(r) && matchesDateFilters(effectiveDate(r), dateFilters)))
+  );
+}
+
+// Search parameters for a next link (arrays become repeated parameters)
+function searchParams(query, offset) {
+  const params = new URLSearchParams();
+  for (const [name, value] of Object.entries(query)) {
+    if (name === '_offset') continue;
+    for (const v of Array.isArray(value) ? value : [value]) params.append(name, v);
+  }
+  params.set('_offset', String(offset));
+  return params;
+}
+
+/**
+ * Express app serving the mock.
+ * - baseUrl: the URL the app reaches the mock at (links, issuer and endpoints use it)
+ * - fixturesDir: directory of <Type>.json fixture files
+ * - pageSize: most entries per search page
+ * - tokenTtlSeconds: access token lifetime
+ * - clientId: when set, other client ids are rejected
+ * - patientId: patient for standalone launches (default: the first Patient fixture)
+ * - launchUrl: the app's /launch, for /mock/ehr-launch
+ * - denials: rules from parseDenials()
+ */
+function createMockFhirServer({
+  baseUrl,
+  fixturesDir = path.join(__dirname, 'fixtures'),
+  pageSize = 5,
+  tokenTtlSeconds = 3600,
+  clientId = null,
+  patientId = null,
+  launchUrl = 'http://localhost:3000/launch',
+  denials = []
+}) {
+  const origin = String(baseUrl).replace(/\/+$/, '');
+  const fhirBase = `${origin}${FHIR_PATH}`;
+  const issuer = `${origin}/oauth2`;
+  const resources = loadFixtures(fixturesDir);
+  const defaultPatient = patientId || resources.get('Patient')?.[0]?.id || null;
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = base64UrlSha256(publicKey.export({ type: 'spki', format: 'der' })).slice(0, 16);
+
+  // One-time codes, tokens and EHR launch handles, all in memory
+  const codes = new Map();
+  const accessTokens = new Map();
+  const refreshTokens = new Map();
+  const launches = new Map();
+  let denialRules = denials;
+
+  function findResource(resourceType, id) {
+    return (resources.get(resourceType) || []).find(r => r.id === id) || null;
+  }
+
+  function signIdToken(claims) {
+    const header = Buffer.from(JSON.stringify({ alg: 'RS256', typ: 'JWT', kid })).toString('base64url');
+    const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+    const signature = crypto.sign('sha256', Buffer.from(`${header}.${payload}`), privateKey).toString('base64url');
+    return `${header}.${payload}.${signature}`;
+  }
+
+  function issueTokens({ scope, patient, client, nonce, refreshToken }) {
+    const accessToken = randomToken();
+    const scopes = scope.split(/\s+/);
+    const practitioner = resources.get('Practitioner')?.[0];
+    // The signed-in user's own resource is readable with the fhirUser scope
+    const fhirUser = scopes.includes('fhirUser') && practitioner ? `Practitioner/${practitioner.id}` : null;
+    accessTokens.set(accessToken, { scope, patient, client, fhirUser, expiresAt: Date.now() + tokenTtlSeconds * 1000 });
+    const body = { access_token: accessToken, token_type: 'Bearer', expires_in: tokenTtlSeconds, scope };
+    if (patient) {
+      body.patient = patient;
+      body.need_patient_banner = true;
+    }
+    if (refreshToken) {
+      body.refresh_token = refreshToken;
+    } else if (scopes.includes('offline_access') || scopes.includes('online_access')) {
+      body.refresh_token = randomToken();
+      refreshTokens.set(body.refresh_token, { scope, patient, client });
+    }
+    if (scopes.includes('openid')) {
+      const now = Math.floor(Date.now() / 1000);
+      body.id_token = signIdToken({
+        iss: issuer,
+        sub: practitioner?.id || 'mock-user',
+        aud: client,
+        iat: now,
+        exp: now + 300,
+        ...(nonce ? { nonce } : {}),
+        ...(fhirUser ? { fhirUser: `${fhirBase}/${fhirUser}` } : {})
+      });
+    }
+    return body;
+  }
+
+  function denialFor(resourceType, interaction, categories) {
+    return denialRules.find(rule =>
+      rule.resourceType === resourceType &&
+      (!rule.interaction || rule.interaction === interaction) &&
+      (!rule.category || categories.includes(rule.category))
+    ) || null;
+  }
+
+  // Epic's 403: "Client not authorized for Observation - Labs Search."
+  function sendNotAuthorized(res, resourceType, interaction, category, { status = 403, diagnostics = null } = {}) {
+    const api = `${resourceType}${category ? ` - ${CATEGORY_LABELS[category] || category}` : ''} ${interaction === 'read' ? 'Read' : 'Search'}`;
+    sendOutcome(res, status, 'forbidden', diagnostics || `Client not authorized for ${api}.`, {
+      coding: [{ system: EPIC_ERROR_SYSTEM, code: '59204', display: 'The authentication was valid, but the client is not authorized for this resource.' }],
+      text: 'The authentication was valid, but the client is not authorized for this resource.'
+    });
+  }
+
+  function capabilityStatement() {
+    const uri = (url, valueUri) => ({ url, valueUri });
+    return {
+      resourceType: 'CapabilityStatement',
+      status: 'active',
+      date: new Date().toISOString(),
+      kind: 'instance',
+      software: { name: 'Mock Epic FHIR Server', version: '1.0.0' },
+      implementation: { description: 'Offline mock for smart-epic-salesforce', url: fhirBase },
+      fhirVersion: '4.0.1',
+      format: ['json'],
+      rest: [{
+        mode: 'server',
+        security: {
+          service: [{ coding: [{ system: 'http://terminology.hl7.org/CodeSystem/restful-security-service', code: 'SMART-on-FHIR' }] }],
+          extension: [{
+            url: OAUTH_URIS_EXTENSION,
+            extension: [
+              uri('authorize', `${issuer}/authorize`),
+              uri('token', `${issuer}/token`),
+              uri('revoke', `${issuer}/revoke`)
+            ]
+          }]
+        },
+        resource: [...resources.keys()].sort().map(type => ({
+          type,
+          interaction: [{ code: 'read' }, { code: 'search-type' }]
+        }))
+      }]
+    };
+  }
+
+  const app = express();
+  app.disable('x-powered-by');
+  app.use(express.urlencoded({ extended: false }));
+  app.use(express.json());
+
+  app.use((req, res, next) => {
+    logger.debug('Mock request', { method: req.method, path: req.path, correlationId: req.get('x-correlation-id') || null });
+    next();
+  });
+
+  // ----- SMART -----
+
+  app.get(`${FHIR_PATH}/.well-known/smart-configuration`, (req, res) => {
+    res.json({
+      issuer,
+      jwks_uri: `${issuer}/jwks`,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      revocation_endpoint: `${issuer}/revoke`,
+      token_endpoint_auth_methods_supported: ['none', 'client_secret_basic', 'client_secret_post', 'private_key_jwt'],
+      grant_types_supported: ['authorization_code', 'refresh_token'],
+      response_types_supported: ['code'],
+      code_challenge_methods_supported: ['S256'],
+      scopes_supported: ['openid', 'fhirUser', 'launch', 'launch/patient', 'offline_access', 'online_access', 'patient/*.read', 'patient/*.rs', 'user/*.read', 'user/*.rs'],
+      capabilities: [
+        'launch-ehr',
+        'launch-standalone',
+        'client-public',
+        'client-confidential-symmetric',
+        'client-confidential-asymmetric',
+        'context-ehr-patient',
+        'context-standalone-patient',
+        'permission-offline',
+        'permission-patient',
+        'permission-v1',
+        'permission-v2',
+        'sso-openid-connect'
+      ]
+    });
+  });
+
+  app.get(`${FHIR_PATH}/metadata`, (req, res) => {
+    res.type('application/fhir+json').json(capabilityStatement());
+  });
+
+  app.get('/oauth2/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' }] });
+  });
+
+  // Approves every valid request at once; errors go back to redirect_uri like a real server
+  app.get('/oauth2/authorize', (req, res) => {
+    const q = req.query;
+    if (clientId && q.client_id !== clientId) {
+      return res.status(400).type('text').send(`Unknown client_id: ${q.client_id}`);
+    }
+    if (typeof q.redirect_uri !== 'string' || !/^https?:\/\//.test(q.redirect_uri)) {
+      return res.status(400).type('text').send('redirect_uri is required');
+    }
+    const redirect = new URL(q.redirect_uri);
+    if (q.state) redirect.searchParams.set('state', q.state);
+    const fail = (error, description) => {
+      redirect.searchParams.set('error', error);
+      redirect.searchParams.set('error_description', description);
+      res.redirect(redirect.toString());
+    };
+
+    if (q.response_type !== 'code') return fail('unsupported_response_type', 'response_type must be code');
+    if (q.code_challenge_method !== 'S256' || !q.code_challenge) return fail('invalid_request', 'PKCE with S256 is required');
+    if (String(q.aud || '').replace(/\/+$/, '') !== fhirBase) return fail('invalid_request', `aud must be ${fhirBase}`);
+
+    let patient = null;
+    if (q.launch) {
+      patient = launches.get(q.launch);
+      if (!patient) return fail('invalid_request', 'Unknown launch');
+    } else {
+      // ?patient= picks someone other than the default patient
+      patient = typeof q.patient === 'string' && findResource('Patient', q.patient) ? q.patient : defaultPatient;
+    }
+
+    const code = randomToken();
+    codes.set(code, {
+      client: q.client_id,
+      redirectUri: q.redirect_uri,
+      codeChallenge: q.code_challenge,
+      scope: String(q.scope || '').trim(),
+      nonce: q.nonce || null,
+      patient,
+      expiresAt: Date.now() + CODE_TTL_MS
+    });
+    redirect.searchParams.set('code', code);
+    res.redirect(redirect.toString());
+  });
+
+  app.post('/oauth2/token', (req, res) => {
+    const basic = /^Basic (.+)$/i.exec(req.get('authorization') || '');
+    const client = req.body.client_id || (basic ? decodeURIComponent(Buffer.from(basic[1], 'base64').toString('utf8').split(':')[0]) : null);
+    const fail = (error, description) => res.status(400).json({ error, error_description: description });
+
+    if (req.body.grant_type === 'authorization_code') {
+      const grant = codes.get(req.body.code);
+      codes.delete(req.body.code);
+      if (!grant || grant.expiresAt < Date.now()) return fail('invalid_grant', 'Unknown or expired authorization code');
+      if (client && client !== grant.client) return fail('invalid_grant', 'Code was issued to another client');
+      if (req.body.redirect_uri !== grant.redirectUri) return fail('invalid_grant', 'redirect_uri does not match the authorization request');
+      if (base64UrlSha256(String(req.body.code_verifier || '')) !== grant.codeChallenge) return fail('invalid_grant', 'PKCE verification failed');
+      const scopes = grant.scope.split(/\s+/);
+      const patientContext = scopes.includes('launch') || scopes.includes('launch/patient');
+      return res.json(issueTokens({ scope: grant.scope, patient: patientContext ? grant.patient : null, client: grant.client, nonce: grant.nonce }));
+    }
+
+    if (req.body.grant_type === 'refresh_token') {
+      const grant = refreshTokens.get(req.body.refresh_token);
+      if (!grant) return fail('invalid_grant', 'Unknown or revoked refresh token');
+      return res.json(issueTokens({ ...grant, refreshToken: req.body.refresh_token }));
+    }
+
+    fail('unsupported_grant_type', `Unsupported grant_type: ${req.body.grant_type}`);
+  });
+
+  // RFC 7009: unknown tokens are not an error
+  app.post('/oauth2/revoke', (req, res) => {
+    accessTokens.delete(req.body.token);
+    refreshTokens.delete(req.body.token);
+    res.status(200).end();
+  });
+
+  // ----- Test controls -----
+
+  app.get('/mock/denials', (req, res) => res.json({ denials: denialRules }));
+
+  app.put('/mock/denials', (req, res) => {
+    try {
+      denialRules = parseDenials(req.body?.denials ?? req.body);
+    } catch (error) {
+      return sendOutcome(res, 400, 'invalid', error.message);
+    }
+    logger.info('Mock denials set', { denials: denialRules });
+    res.json({ denials: denialRules });
+  });
+
+  app.delete('/mock/denials', (req, res) => {
+    denialRules = [];
+    res.json({ denials: denialRules });
+  });
+
+  app.post('/mock/expire-tokens', (req, res) => {
+    for (const token of accessTokens.values()) token.expiresAt = 0;
+    res.json({ expired: accessTokens.size });
+  });
+
+  // What Epic does when a clinician opens the app from a chart
+  app.get('/mock/ehr-launch', (req, res) => {
+    const patient = typeof req.query.patient === 'string' ? req.query.patient : defaultPatient;
+    if (!findResource('Patient', patient)) return sendOutcome(res, 404, 'not-found', `No Patient fixture with id ${patient}`);
+    const launch = randomToken();
+    launches.set(launch, patient);
+    const url = new URL(launchUrl);
+    url.searchParams.set('iss', fhirBase);
+    url.searchParams.set('launch', launch);
+    res.redirect(url.toString());
+  });
+
+  // ----- FHIR -----
+
+  function authenticate(req, res, next) {
+    const match = /^Bearer (.+)$/i.exec(req.get('authorization') || '');
+    const token = match && accessTokens.get(match[1]);
+    if (!token || token.expiresAt <= Date.now()) {
+      res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+      return sendOutcome(res, 401, 'login', token ? 'The access token has expired.' : 'The access token is missing or invalid.');
+    }
+    req.token = { ...token, scopes: parseScopes(token.scope) };
+    next();
+  }
+
+  function supportedType(req, res, next) {
+    if (!resources.has(req.params.resourceType)) {
+      return sendOutcome(res, 404, 'not-supported', `Resource type ${req.params.resourceType} is not supported.`);
+    }
+    next();
+  }
+
+  app.get(`${FHIR_PATH}/:resourceType/:id`, authenticate, supportedType, (req, res) => {
+    const { resourceType, id } = req.params;
+    const resource = findResource(resourceType, id);
+    const category = resource?.category?.[0]?.coding?.[0]?.code || null;
+    const denial = denialFor(resourceType, 'read', category ? [category] : []);
+    if (denial) return sendNotAuthorized(res, resourceType, 'read', denial.category, denial);
+    const ownResource = req.token.fhirUser === `${resourceType}/${id}`;
+    if (!ownResource && !scopesAllow(req.token.scopes, resourceType, 'read', category ? { category } : {})) {
+      return sendNotAuthorized(res, resourceType, 'read', category);
+    }
+    if (!resource) return sendOutcome(res, 404, 'not-found', `${resourceType}/${id} was not found.`);
+    const owner = patientOf(resource);
+    if (req.token.patient && owner && owner !== req.token.patient) {
+      return sendNotAuthorized(res, resourceType, 'read', null, { diagnostics: 'Client not authorized for this patient.' });
+    }
+    res.type('application/fhir+json').json(resource);
+  });
+
+  app.get(`${FHIR_PATH}/:resourceType`, authenticate, supportedType, (req, res) => {
+    const { resourceType } = req.params;
+    const all = resources.get(resourceType);
+    const categories = asList(req.query.category).map(c => c.slice(c.lastIndexOf('|') + 1));
+
+    const denial = denialFor(resourceType, 'search', categories);
+    if (denial) return sendNotAuthorized(res, resourceType, 'search', denial.category, denial);
+    // One category at a time, as v2 scopes constrain it
+    const allowed = (categories.length ? categories : [undefined])
+      .every(category => scopesAllow(req.token.scopes, resourceType, 'search', category ? { category } : {}));
+    if (!allowed) return sendNotAuthorized(res, resourceType, 'search', categories[0]);
+
+    const patients = asList(req.query.patient || req.query.subject).map(p => p.replace(/^Patient\//, ''));
+    if (isPatientCompartment(resourceType, all) && resourceType !== 'Patient') {
+      if (!patients.length) return sendOutcome(res, 400, 'required', 'Required search parameter patient is missing.');
+      if (req.token.patient && patients.some(p => p !== req.token.patient)) {
+        return sendNotAuthorized(res, resourceType, 'search', null, { diagnostics: 'Client not authorized for this patient.' });
+      }
+    }
+    // Epic: Observation searches need a category or a code
+    if (resourceType === 'Observation' && !categories.length && !req.query.code) {
+      return sendOutcome(res, 400, 'required', 'Either the category or code search parameter is required.');
+    }
+
+    let matches;
+    try {
+      matches = filterResources(all, req.query);
+    } catch (error) {
+      return sendOutcome(res, 400, 'invalid', error.message);
+    }
+
+    const count = Math.min(Number(req.query._count) || pageSize, pageSize);
+    const offset = Math.max(Number(req.query._offset) || 0, 0);
+    const page = matches.slice(offset, offset + count);
+
+    const entry = page.map(resource => ({
+      fullUrl: `${fhirBase}/${resourceType}/${resource.id}`,
+      resource,
+      search: { mode: 'match' }
+    }));
+    if (asList(req.query._include).includes('MedicationRequest:medication') && resourceType === 'MedicationRequest') {
+      const included = new Set();
+      for (const resource of page) {
+        const reference = resource.medicationReference?.reference;
+        const medication = reference?.startsWith('Medication/') && findResource('Medication', reference.slice('Medication/'.length));
+        if (medication && !included.has(medication.id)) {
+          included.add(medication.id);
+          entry.push({ fullUrl: `${fhirBase}/Medication/${medication.id}`, resource: medication, search: { mode: 'include' } });
+        }
+      }
+    }
+
+    const link = [{ relation: 'self', url: `${fhirBase}/${resourceType}?${searchParams(req.query, offset)}` }];
+    if (offset + count < matches.length) {
+      link.push({ relation: 'next', url: `${fhirBase}/${resourceType}?${searchParams(req.query, offset + count)}` });
+    }
+    res.type('application/fhir+json').json({
+      resourceType: 'Bundle',
+      type: 'searchset',
+      total: matches.length,
+      link,
+      entry
+    });
+  });
+
+  app.use((req, res) => sendOutcome(res, 404, 'not-found', `Unknown mock endpoint: ${req.method} ${req.path}`));
+
+  return app;
+}
+
+module.exports = {
+  createMockFhirServer,
+  parseDenials
+};
+
+if (require.main === module) {
+  require('dotenv').config();
+  const port = Number(process.env.MOCK_FHIR_PORT) || 4000;
+  const baseUrl = process.env.MOCK_FHIR_URL || `http://localhost:${port}`;
+  const app = createMockFhirServer({
+    baseUrl,
+    fixturesDir: process.env.MOCK_FHIR_FIXTURES ? path.resolve(process.env.MOCK_FHIR_FIXTURES) : undefined,
+    pageSize: Number(process.env.MOCK_FHIR_PAGE_SIZE) || undefined,
+    tokenTtlSeconds: Number(process.env.MOCK_FHIR_TOKEN_TTL_SECONDS) || undefined,
+    clientId: process.env.MOCK_FHIR_CLIENT_ID || null,
+    patientId: process.env.MOCK_FHIR_PATIENT || null,
+    launchUrl: process.env.MOCK_FHIR_LAUNCH_URL || undefined,
+    denials: parseDenials(process.env.MOCK_FHIR_DENY)
+  });
+  app.listen(port, () => {
+    logger.info('Mock Epic FHIR server started', { fhirBaseUrl: `${baseUrl}${FHIR_PATH}` });
+  });
+}
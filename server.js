@@ -3,6 +3,7 @@
  * 
  * This app demonstrates:
  * - Standalone Launch flow (patient logs in directly)
+ * - EHR Launch flow (launched from inside Epic Hyperspace)
  * - OAuth2 with PKCE (required by Epic for public clients)
  * - FHIR R4 API queries
  * - Token management
@@ -19,6 +20,78 @@ const axios = require('axios');
 const path = require('path');
 const cors = require('cors');
 const helmet = require('helmet');
+const {
+  storeTokenResponse,
+  fhirGet,
+  isRelaunchRequired,
+  isTimeoutError
+} = require('./lib/token-manager');
+const {
+  verifyIdToken,
+  discoverOpenIdConfiguration,
+  parseFhirUser,
+  formatHumanName
+} = require('./lib/id-token');
+const {
+  getServer,
+  getDefaultServer,
+  findServerByIssuer,
+  getAllServers,
+  listServers
+} = require('./lib/server-registry');
+const { buildTokenRequest, getPublicJwks } = require('./lib/client-auth');
+const {
+  discoverSmartConfiguration,
+  getSmartConfiguration,
+  validateLaunchConfiguration
+} = require('./lib/smart-configuration');
+const bulkExport = require('./lib/bulk-export');
+const { searchAllPages } = require('./lib/fhir-paging');
+const { cachedFhirGet, clearSessionCache } = require('./lib/fhir-cache');
+const { mapWithConcurrency, abortOnClientDisconnect, isAbortError } = require('./lib/concurrency');
+const { toSummaryView, normalizeResource, parseReference } = require('./lib/fhir-normalize');
+const { resolveMedicationReferences } = require('./lib/medication-resolver');
+const { LOINC_SYSTEM, buildTrends, parseCodes, parseDateFilters } = require('./lib/observation-trends');
+const { flagObservation, isAbnormalFlag, countFlags } = require('./lib/observation-flags');
+const { SECTIONS, buildCapabilityReport } = require('./lib/capability-report');
+const {
+  parseSections,
+  scopeSyntax,
+  buildLaunchScopes,
+  missingSectionScopes,
+  reauthorizationScope
+} = require('./lib/launch-scopes');
+const {
+  extractOperationOutcomeDiagnostics,
+  extractNotAuthorizedTargets,
+  remediationHint,
+  httpError,
+  notAuthenticated,
+  noPatientContext,
+  upstreamError,
+  apiNotFound,
+  errorHandler
+} = require('./lib/errors');
+const { assignCorrelationId, propagateCorrelationId } = require('./lib/request-context');
+const { auditAccess, recordLogout, queryEvents, verifyChain } = require('./lib/audit-log');
+const { revokeSessionTokens, endSessionUrl } = require('./lib/token-revocation');
+const {
+  createConfiguredSessionStore,
+  sessionCookieOptions,
+  sessionSecrets,
+  enforceAbsoluteTimeout,
+  regenerateSession
+} = require('./lib/session-store');
+const { usesDerivedKey } = require('./lib/session-crypto');
+const logger = require('./lib/logger');
+const {
+  SEARCH_PARAMS,
+  isProxiedType,
+  filterSearchParams,
+  checkScope,
+  belongsToPatient,
+  patientParams
+} = require('./lib/fhir-proxy');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -29,14 +102,31 @@ app.use(helmet({
   contentSecurityPolicy: false // Disable for development
 }));
 app.use(cors());
+// X-Correlation-Id on every response and every call to Epic; errors carry it as OperationOutcome.id
+app.use(assignCorrelationId);
+app.use(logger.logRequests);
+propagateCorrelationId(axios);
 
-// Session configuration
+// Behind a load balancer or TLS proxy: needed for secure cookies and the client IP in audit events
+// TRUST_PROXY: true, a hop count, or addresses/subnets (see Express "trust proxy")
+const TRUST_PROXY = process.env.TRUST_PROXY;
+if (TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY === 'true' || TRUST_PROXY);
+}
+
+// Session configuration: persistent store with encrypted tokens, idle timeout via a
+// rolling cookie, absolute timeout from login (lib/session-store.js)
+const SESSION_COOKIE_NAME = process.env.SESSION_COOKIE_NAME || 'connect.sid';
 app.use(session({
-  secret: process.env.SESSION_SECRET || 'dev-secret-change-in-production',
+  name: SESSION_COOKIE_NAME,
+  secret: sessionSecrets(),
+  store: createConfiguredSessionStore(),
   resave: false,
-  saveUninitialized: true,
-  cookie: { secure: false } // Set to true in production with HTTPS
+  saveUninitialized: false,
+  rolling: true,
+  cookie: sessionCookieOptions()
 }));
+app.use(enforceAbsoluteTimeout);
 
 app.use(express.static('public', {
   setHeaders: (res, path) => {
@@ -53,6 +143,26 @@ app.use(express.json());
 // Demo Data (For Portfolio Showcase)
 // ============================================
 
+// Demo lab/vital history for /api/observations/trends
+function demoObservation(id, date, loinc, display, value, unit, components) {
+  return {
+    resource: {
+      resourceType: 'Observation',
+      id,
+      status: 'final',
+      code: { coding: [{ system: 'http://loinc.org', code: loinc, display }] },
+      effectiveDateTime: date,
+      ...(value !== null ? { valueQuantity: { value, unit } } : {}),
+      ...(components ? {
+        component: components.map(([code, label, v]) => ({
+          code: { coding: [{ system: 'http://loinc.org', code, display: label }] },
+          valueQuantity: { value: v, unit }
+        }))
+      } : {})
+    }
+  };
+}
+
 const DEMO_DATA = {
   patient: {
     resourceType: 'Patient',
@@ -105,9 +215,54 @@ const DEMO_DATA = {
           effectiveDateTime: '2026-01-28T10:30:00Z',
           status: 'final'
         }
+      },
+      {
+        resource: {
+          resourceType: 'Observation',
+          id: 'obs-5',
+          code: { coding: [{ system: 'http://loinc.org', code: '2345-7', display: 'Glucose [Mass/volume] in Serum or Plasma' }], text: 'Glucose' },
+          valueQuantity: { value: 182, unit: 'mg/dL', system: 'http://unitsofmeasure.org', code: 'mg/dL' },
+          referenceRange: [{ low: { value: 70, unit: 'mg/dL' }, high: { value: 99, unit: 'mg/dL' } }],
+          effectiveDateTime: '2026-01-28T08:05:00Z',
+          status: 'final'
+        }
+      },
+      {
+        resource: {
+          resourceType: 'Observation',
+          id: 'obs-6',
+          code: { coding: [{ system: 'http://loinc.org', code: '2823-3', display: 'Potassium [Moles/volume] in Serum or Plasma' }], text: 'Potassium' },
+          valueQuantity: { value: 6.4, unit: 'mmol/L', system: 'http://unitsofmeasure.org', code: 'mmol/L' },
+          interpretation: [{ coding: [{ system: 'http://terminology.hl7.org/CodeSystem/v3-ObservationInterpretation', code: 'HH', display: 'Critical high' }] }],
+          referenceRange: [{ low: { value: 3.5, unit: 'mmol/L' }, high: { value: 5.1, unit: 'mmol/L' } }],
+          effectiveDateTime: '2026-01-28T08:05:00Z',
+          status: 'final'
+        }
       }
     ]
   },
+  observationHistory: {
+    resourceType: 'Bundle',
+    entry: [
+      demoObservation('a1c-1', '2025-03-10', '4548-4', 'Hemoglobin A1c', 8.1, '%'),
+      demoObservation('a1c-2', '2025-06-12', '4548-4', 'Hemoglobin A1c', 7.6, '%'),
+      demoObservation('a1c-3', '2025-09-15', '4548-4', 'Hemoglobin A1c', 7.2, '%'),
+      demoObservation('a1c-4', '2026-01-20', '4548-4', 'Hemoglobin A1c', 6.9, '%'),
+      demoObservation('bp-1', '2025-03-10', '85354-9', 'Blood pressure panel', null, 'mmHg',
+        [['8480-6', 'Systolic blood pressure', 142], ['8462-4', 'Diastolic blood pressure', 92]]),
+      demoObservation('bp-2', '2025-06-12', '85354-9', 'Blood pressure panel', null, 'mmHg',
+        [['8480-6', 'Systolic blood pressure', 136], ['8462-4', 'Diastolic blood pressure', 88]]),
+      demoObservation('bp-3', '2025-09-15', '85354-9', 'Blood pressure panel', null, 'mmHg',
+        [['8480-6', 'Systolic blood pressure', 128], ['8462-4', 'Diastolic blood pressure', 84]]),
+      demoObservation('bp-4', '2026-01-20', '85354-9', 'Blood pressure panel', null, 'mmHg',
+        [['8480-6', 'Systolic blood pressure', 120], ['8462-4', 'Diastolic blood pressure', 80]]),
+      // Mixed units: trends convert these to the series' most common unit (kg)
+      demoObservation('wt-1', '2025-03-10', '29463-7', 'Body weight', 98.4, 'kg'),
+      demoObservation('wt-2', '2025-06-12', '29463-7', 'Body weight', 211, 'lb'),
+      demoObservation('wt-3', '2025-09-15', '29463-7', 'Body weight', 94.1, 'kg'),
+      demoObservation('wt-4', '2026-01-20', '29463-7', 'Body weight', 92.7, 'kg')
+    ]
+  },
   conditions: {
     resourceType: 'Bundle',
     entry: [
@@ -170,11 +325,196 @@ const DEMO_DATA = {
         resource: {
           resourceType: 'MedicationRequest',
           id: 'med-3',
-          medicationCodeableConcept: { coding: [{ display: 'Atorvastatin 20mg Tablet' }] },
+          medicationReference: { reference: 'Medication/demo-atorvastatin', display: 'Atorvastatin 20mg Tablet' },
           status: 'active',
           dosageInstruction: [{ text: 'Take 1 tablet by mouth at bedtime' }],
           authoredOn: '2024-02-20'
         }
+      },
+      {
+        // Resolved medicationReference, as returned by _include=MedicationRequest:medication
+        search: { mode: 'include' },
+        resource: {
+          resourceType: 'Medication',
+          id: 'demo-atorvastatin',
+          code: {
+            text: 'Atorvastatin 20mg Tablet',
+            coding: [{ system: 'http://www.nlm.nih.gov/research/umls/rxnorm', code: '617310', display: 'atorvastatin 20 MG Oral Tablet' }]
+          },
+          form: { coding: [{ system: 'http://snomed.info/sct', code: '385055001', display: 'Tablet' }] },
+          ingredient: [{
+            itemCodeableConcept: {
+              coding: [{ system: 'http://www.nlm.nih.gov/research/umls/rxnorm', code: '83367', display: 'atorvastatin' }]
+            },
+            isActive: true,
+            strength: {
+              numerator: { value: 20, unit: 'mg', system: 'http://unitsofmeasure.org', code: 'mg' },
+              denominator: { value: 1, unit: 'tablet', system: 'http://terminology.hl7.org/CodeSystem/v3-orderableDrugForm', code: 'TAB' }
+            }
+          }]
+        }
+      }
+    ]
+  },
+  allergies: {
+    resourceType: 'Bundle',
+    entry: [
+      {
+        resource: {
+          resourceType: 'AllergyIntolerance',
+          id: 'allergy-1',
+          clinicalStatus: { coding: [{ code: 'active' }] },
+          verificationStatus: { coding: [{ code: 'confirmed' }] },
+          category: ['medication'],
+          criticality: 'high',
+          code: { coding: [{ system: 'http://www.nlm.nih.gov/research/umls/rxnorm', code: '7980', display: 'Penicillin G' }], text: 'Penicillin' },
+          recordedDate: '2018-06-04',
+          reaction: [{ manifestation: [{ text: 'Hives' }, { text: 'Shortness of breath' }], severity: 'severe' }]
+        }
+      },
+      {
+        resource: {
+          resourceType: 'AllergyIntolerance',
+          id: 'allergy-2',
+          clinicalStatus: { coding: [{ code: 'active' }] },
+          category: ['food'],
+          criticality: 'low',
+          code: { text: 'Peanut' },
+          recordedDate: '2010-02-11',
+          reaction: [{ manifestation: [{ text: 'Itching' }], severity: 'mild' }]
+        }
+      }
+    ]
+  },
+  immunizations: {
+    resourceType: 'Bundle',
+    entry: [
+      {
+        resource: {
+          resourceType: 'Immunization',
+          id: 'imm-1',
+          status: 'completed',
+          vaccineCode: { coding: [{ system: 'http://hl7.org/fhir/sid/cvx', code: '158', display: 'Influenza, injectable, quadrivalent' }] },
+          occurrenceDateTime: '2025-10-02',
+          doseQuantity: { value: 0.5, unit: 'mL' },
+          site: { text: 'Left deltoid' }
+        }
+      },
+      {
+        resource: {
+          resourceType: 'Immunization',
+          id: 'imm-2',
+          status: 'completed',
+          vaccineCode: { coding: [{ system: 'http://hl7.org/fhir/sid/cvx', code: '115', display: 'Tdap' }] },
+          occurrenceDateTime: '2021-04-19'
+        }
+      }
+    ]
+  },
+  encounters: {
+    resourceType: 'Bundle',
+    entry: [
+      {
+        resource: {
+          resourceType: 'Encounter',
+          id: 'enc-1',
+          status: 'finished',
+          class: { code: 'AMB', display: 'Ambulatory' },
+          type: [{ text: 'Office Visit' }],
+          period: { start: '2026-01-28T10:00:00Z', end: '2026-01-28T10:40:00Z' },
+          reasonCode: [{ text: 'Diabetes follow-up' }],
+          location: [{ location: { display: 'Madison Family Medicine' } }]
+        }
+      },
+      {
+        resource: {
+          resourceType: 'Encounter',
+          id: 'enc-2',
+          status: 'finished',
+          class: { code: 'EMER', display: 'Emergency' },
+          type: [{ text: 'Emergency Department Visit' }],
+          period: { start: '2025-11-14T22:15:00Z', end: '2025-11-15T03:30:00Z' },
+          reasonCode: [{ text: 'Chest pain' }],
+          location: [{ location: { display: 'UW Hospital Emergency Department' } }]
+        }
+      }
+    ]
+  },
+  procedures: {
+    resourceType: 'Bundle',
+    entry: [
+      {
+        resource: {
+          resourceType: 'Procedure',
+          id: 'proc-1',
+          status: 'completed',
+          code: { coding: [{ system: 'http://snomed.info/sct', code: '29303009', display: 'Electrocardiographic procedure' }], text: 'ECG' },
+          performedDateTime: '2025-11-14T22:40:00Z',
+          reasonCode: [{ text: 'Chest pain' }]
+        }
+      },
+      {
+        resource: {
+          resourceType: 'Procedure',
+          id: 'proc-2',
+          status: 'completed',
+          code: { text: 'Colonoscopy' },
+          performedDateTime: '2023-05-08'
+        }
+      }
+    ]
+  },
+  diagnosticReports: {
+    resourceType: 'Bundle',
+    entry: [
+      {
+        resource: {
+          resourceType: 'DiagnosticReport',
+          id: 'dr-1',
+          status: 'final',
+          category: [{ coding: [{ code: 'LAB', display: 'Laboratory' }] }],
+          code: { coding: [{ system: 'http://loinc.org', code: '24323-8', display: 'Comprehensive metabolic panel' }] },
+          effectiveDateTime: '2026-01-28T08:05:00Z',
+          result: [{ reference: 'Observation/obs-5' }, { reference: 'Observation/obs-6' }],
+          conclusion: 'Hyperglycemia and critical hyperkalemia; provider notified.'
+        }
+      },
+      {
+        resource: {
+          resourceType: 'DiagnosticReport',
+          id: 'dr-2',
+          status: 'final',
+          category: [{ coding: [{ code: 'RAD', display: 'Radiology' }] }],
+          code: { text: 'XR Chest 2 Views' },
+          effectiveDateTime: '2025-11-14T23:10:00Z',
+          conclusion: 'No acute cardiopulmonary process.'
+        }
+      }
+    ]
+  },
+  documents: {
+    resourceType: 'Bundle',
+    entry: [
+      {
+        resource: {
+          resourceType: 'DocumentReference',
+          id: 'doc-1',
+          status: 'current',
+          docStatus: 'final',
+          subject: { reference: 'Patient/demo-patient-001' },
+          type: { coding: [{ system: 'http://loinc.org', code: '11506-3', display: 'Progress note' }] },
+          category: [{ coding: [{ code: 'clinical-note', display: 'Clinical Note' }] }],
+          date: '2026-01-28T10:45:00Z',
+          author: [{ display: 'Dr. Priya Raman' }],
+          description: 'Diabetes follow-up visit',
+          content: [{
+            attachment: {
+              contentType: 'text/plain',
+              // "Diabetes follow-up. A1c improved to 6.9%. Continue metformin; recheck potassium in 1 week."
+              data: 'RGlhYmV0ZXMgZm9sbG93LXVwLiBBMWMgaW1wcm92ZWQgdG8gNi45JS4gQ29udGludWUgbWV0Zm9ybWluOyByZWNoZWNrIHBvdGFzc2l1bSBpbiAxIHdlZWsu'
+            }
+          }]
+        }
       }
     ]
   }
@@ -196,32 +536,6 @@ function generateState() {
   return crypto.randomBytes(16).toString('hex');
 }
 
-function extractOperationOutcomeDiagnostics(operationOutcome) {
-  try {
-    if (!operationOutcome || operationOutcome.resourceType !== 'OperationOutcome') {
-      return null;
-    }
-    const issues = Array.isArray(operationOutcome.issue) ? operationOutcome.issue : [];
-    const diags = issues
-      .map(i => i?.diagnostics || i?.details?.text)
-      .filter(Boolean);
-    return diags.length ? diags : null;
-  } catch {
-    return null;
-  }
-}
-
-function extractNotAuthorizedTargets(diagnostics) {
-  if (!Array.isArray(diagnostics)) return [];
-  const targets = new Set();
-  for (const msg of diagnostics) {
-    if (typeof msg !== 'string') continue;
-    const match = msg.match(/Client not authorized for ([^.]+)\./i);
-    if (match && match[1]) targets.add(match[1].trim());
-  }
-  return Array.from(targets);
-}
-
 function maskClientId(clientId) {
   if (!clientId || typeof clientId !== 'string') return null;
   if (clientId.length <= 8) return '********';
@@ -266,6 +580,54 @@ function pickSafeResponseHeaders(headers) {
   return safe;
 }
 
+// Page size for patient searches; lib/fhir-paging.js follows next links up to its limits
+const FHIR_PAGE_SIZE = 50;
+
+// Sends a search result as a FHIR Bundle, or as flat view models with ?view=summary
+// (see lib/fhir-normalize.js)
+function sendBundle(req, res, bundle) {
+  return res.json(req.query.view === 'summary' ? toSummaryView(bundle) : bundle);
+}
+
+// Adds flagCounts to an Observation bundle and applies ?flag= (e.g. flag=abnormal or flag=high,critical-high)
+function applyObservationFlags(req, bundle) {
+  const entries = Array.isArray(bundle.entry) ? bundle.entry : [];
+  const flagged = entries.map(entry => ({ entry, flag: flagObservation(entry.resource).flag }));
+  const wanted = typeof req.query.flag === 'string'
+    ? req.query.flag.split(',').map(f => f.trim()).filter(Boolean)
+    : [];
+  const kept = wanted.length
+    ? flagged.filter(({ flag }) => wanted.includes(flag) || (wanted.includes('abnormal') && isAbnormalFlag(flag)))
+    : flagged;
+  return {
+    ...bundle,
+    entry: kept.map(({ entry }) => entry),
+    total: kept.length,
+    flagCounts: countFlags(flagged.map(({ flag }) => flag))
+  };
+}
+
+function pagingSummary(result) {
+  return {
+    pagesFetched: result.pages.length,
+    serverTotal: result.total,
+    truncated: result.truncated,
+    truncatedReason: result.truncatedReason
+  };
+}
+
+function pagingTrace(result) {
+  const lastPage = result.pages[result.pages.length - 1];
+  return {
+    status: lastPage?.status ?? null,
+    headers: pickSafeResponseHeaders(lastPage?.headers),
+    bundleTotal: result.total,
+    pages: result.pages.map(p => ({ page: p.page, status: p.status, cache: p.cacheStatus, entryCount: p.entryCount })),
+    entryCount: result.entries.length,
+    truncated: result.truncated
+  };
+}
+
 function setLastEpicTrace(req, key, trace) {
   req.session.lastEpicTrace = {
     ...(req.session.lastEpicTrace || {}),
@@ -277,32 +639,99 @@ function setLastEpicTrace(req, key, trace) {
 }
 
 // ============================================
-// SMART Configuration Discovery
+// OpenID Connect Identity
 // ============================================
 
-async function getSmartConfiguration(fhirBaseUrl) {
+// Fetch the fhirUser resource so we can record who logged in, not just which patient
+async function resolveFhirUser(req, claims) {
+  if (!claims) return null;
+  const fhirUser = parseFhirUser(claims, req.session.fhirBaseUrl);
+  const user = {
+    subject: claims.sub || null,
+    issuer: claims.iss || null,
+    fhirUser: fhirUser ? fhirUser.reference : null,
+    resourceType: fhirUser ? fhirUser.resourceType : null,
+    name: null,
+    verified: true
+  };
+  if (!fhirUser) return user;
+  if (!fhirUser.url) {
+    // Never send the session's access token to a host the id_token names
+    logger.warn('fhirUser is not on the session FHIR server; not fetched', { fhirUser: fhirUser.reference });
+    return user;
+  }
+
   try {
-    // Try .well-known endpoint first (SMART STU2)
-    const response = await axios.get(`${fhirBaseUrl}/.well-known/smart-configuration`);
-    return response.data;
+    const response = await fhirGet(req, fhirUser.url);
+    user.name = formatHumanName(response.data);
   } catch (error) {
-    // Fallback to metadata endpoint
-    const metadataResponse = await axios.get(`${fhirBaseUrl}/metadata`);
-    const security = metadataResponse.data.rest?.[0]?.security;
-    const oauthExtension = security?.extension?.find(
-      ext => ext.url === 'http://fhir-registry.smarthealthit.org/StructureDefinition/oauth-uris'
-    );
-    
-    if (oauthExtension) {
-      const authorize = oauthExtension.extension.find(e => e.url === 'authorize')?.valueUri;
-      const token = oauthExtension.extension.find(e => e.url === 'token')?.valueUri;
-      return {
-        authorization_endpoint: authorize,
-        token_endpoint: token
-      };
-    }
-    throw new Error('Could not find SMART configuration');
+    // Identity is already verified by the id_token; the name is only a convenience
+    logger.warn('fhirUser fetch error', { error });
+  }
+  return user;
+}
+
+// ============================================
+// FHIR Server Selection
+// ============================================
+
+// Settings for the server this session launched against (registry default before launch)
+function getSessionServer(req) {
+  return getServer(req.session.serverName) || getDefaultServer();
+}
+
+// Scopes asked for at launch (the server's configured scopes for older sessions)
+function requestedScopes(req) {
+  return req.session.requestedScope || getSessionServer(req)?.scopes || '';
+}
+
+// Token scopes; when the token response omitted `scope`, the requested scopes were granted
+function sessionScopes(req) {
+  return req.session.grantedScope || requestedScopes(req);
+}
+
+// Epic requires a category on Observation searches; other vendors allow an unfiltered query
+function getObservationCategories(server) {
+  const categories = server?.observationCategories || [];
+  if (!categories.length && !server?.quirks?.requireObservationCategory) return [null];
+  return categories;
+}
+
+function observationParams(req, category, count) {
+  const params = { patient: req.session.patientId, _count: count };
+  if (category) params.category = category;
+  return params;
+}
+
+// ============================================
+// Admin Access (bulk data and other server-side jobs)
+// ============================================
+
+// Admin routes are disabled unless ADMIN_API_KEY is set; callers send it as X-Admin-Key
+function requireAdminKey(req, res, next) {
+  const expected = process.env.ADMIN_API_KEY;
+  if (!expected) {
+    return next(httpError(403, 'ADMIN_API_DISABLED', 'Admin API is disabled', { hints: ['Set ADMIN_API_KEY to enable it'] }));
+  }
+  const provided = Buffer.from(String(req.get('x-admin-key') || ''));
+  const valid = provided.length === Buffer.byteLength(expected) &&
+    crypto.timingSafeEqual(provided, Buffer.from(expected));
+  if (!valid) {
+    return next(httpError(401, 'INVALID_ADMIN_KEY', 'Invalid admin key', { hints: ['Send ADMIN_API_KEY as the X-Admin-Key header'] }));
   }
+  next();
+}
+
+// ============================================
+// EHR Launch Helpers
+// ============================================
+
+// EHR launch gets patient/encounter context from the `launch` token,
+// so standalone `launch/*` scopes are replaced by the bare `launch` scope.
+function toEhrLaunchScopes(scopes) {
+  const list = scopes.split(/\s+/).filter(s => s && !s.startsWith('launch/'));
+  if (!list.includes('launch')) list.unshift('launch');
+  return list.join(' ');
 }
 
 // ============================================
@@ -325,7 +754,12 @@ app.get('/api/mode', (req, res) => {
 });
 
 // Demo mode: Skip OAuth and go straight to dashboard
-app.get('/demo', (req, res) => {
+app.get('/demo', async (req, res, next) => {
+  try {
+    await regenerateSession(req);
+  } catch (error) {
+    return next(error);
+  }
   req.session.accessToken = 'demo-token';
   req.session.patientId = 'demo-patient-001';
   req.session.fhirBaseUrl = 'https://fhir.epic.com (Demo Mode)';
@@ -333,111 +767,321 @@ app.get('/demo', (req, res) => {
   res.redirect('/dashboard');
 });
 
+// Public key set for private_key_jwt client authentication (fetched by the authorization server)
+app.get('/.well-known/jwks.json', (req, res, next) => {
+  try {
+    res.setHeader('Cache-Control', 'public, max-age=3600');
+    res.json(getPublicJwks(getAllServers()));
+  } catch (error) {
+    logger.error('JWKS error', { error });
+    next(httpError(500, 'JWKS_UNAVAILABLE', 'Failed to load public keys', { diagnostics: [error.message] }));
+  }
+});
+
+// API: List configured FHIR servers (safe: no client ids or secrets)
+app.get('/api/servers', (req, res) => {
+  res.json({ servers: listServers() });
+});
+
+// Diagnostics: the SMART configuration discovered for a server, and whether each launch type
+// would pass validation with the server's scopes
+// Query: server=<name> (default server), refresh=true to skip the discovery cache
+app.get('/api/smart-config', async (req, res, next) => {
+  const server = req.query.server ? getServer(req.query.server) : getDefaultServer();
+  if (!server) {
+    return next(httpError(404, 'UNKNOWN_SERVER', req.query.server ? `Unknown FHIR server: ${req.query.server}` : 'No FHIR server configured', {
+      hints: [`Configured servers: ${listServers().map(s => s.name).join(', ') || 'none'}`]
+    }));
+  }
+  try {
+    const { config, ...discovery } = await discoverSmartConfiguration(server.fhirBaseUrl, { refresh: req.query.refresh === 'true' });
+    const validation = {};
+    for (const launchType of ['standalone', 'ehr']) {
+      const requestedScope = launchType === 'ehr' ? toEhrLaunchScopes(server.scopes) : server.scopes;
+      validation[launchType] = { requestedScope, ...validateLaunchConfiguration(config, { launchType, requestedScope }) };
+    }
+    res.json({ server: server.name, ...discovery, configuration: config, validation });
+  } catch (error) {
+    logger.error('SMART configuration discovery error', { server: server.name, error });
+    next(upstreamError(error, 'SMART configuration discovery failed', {
+      hints: [`Check that ${server.fhirBaseUrl}/.well-known/smart-configuration (or /metadata) is reachable from this server`]
+    }));
+  }
+});
+
+// Validate the SMART configuration for this launch, remember what the callback needs,
+// and send the user to the authorization endpoint
+async function startAuthorization(req, res, { server, fhirBaseUrl, launchType, launch, requestedScope }) {
+  // Discover SMART endpoints (cached per issuer)
+  const smartConfig = await getSmartConfiguration(fhirBaseUrl);
+
+  // Fail here, with the reason, rather than with an opaque error on the login page
+  const validation = validateLaunchConfiguration(smartConfig, { launchType, requestedScope });
+  if (validation.warnings.length) {
+    logger.warn('SMART configuration warnings', { server: server.name, warnings: validation.warnings });
+  }
+  if (validation.errors.length) {
+    logger.error('SMART configuration does not support this launch', { server: server.name, errors: validation.errors });
+    throw httpError(502, 'SMART_CONFIGURATION_INVALID', 'The authorization server cannot complete this launch', {
+      diagnostics: validation.errors,
+      hints: [`See /api/smart-config?server=${encodeURIComponent(server.name)} for the discovered configuration`]
+    });
+  }
+
+  // Generate PKCE values
+  const codeVerifier = generateCodeVerifier();
+  const codeChallenge = generateCodeChallenge(codeVerifier);
+  const state = generateState();
+  const nonce = generateState();
+
+  // Store in session for later verification
+  req.session.codeVerifier = codeVerifier;
+  req.session.state = state;
+  req.session.nonce = nonce;
+  req.session.fhirBaseUrl = fhirBaseUrl;
+  req.session.serverName = server.name;
+  req.session.tokenEndpoint = smartConfig.token_endpoint;
+  req.session.launchType = launchType;
+  req.session.smartConfig = {
+    issuer: smartConfig.issuer || null,
+    jwks_uri: smartConfig.jwks_uri || null,
+    token_endpoint: smartConfig.token_endpoint,
+    // Used by /logout
+    revocation_endpoint: smartConfig.revocation_endpoint || null,
+    end_session_endpoint: smartConfig.end_session_endpoint || null
+  };
+
+  // Build authorization URL
+  const authUrl = new URL(smartConfig.authorization_endpoint);
+  authUrl.searchParams.set('response_type', 'code');
+  authUrl.searchParams.set('client_id', server.clientId);
+  authUrl.searchParams.set('redirect_uri', process.env.REDIRECT_URI);
+  req.session.requestedScope = requestedScope;
+  authUrl.searchParams.set('scope', req.session.requestedScope);
+  if (launch) {
+    // Opaque handle Epic uses to bind this authorization to the open chart
+    authUrl.searchParams.set('launch', launch);
+  }
+  authUrl.searchParams.set('state', state);
+  authUrl.searchParams.set('nonce', nonce);
+  authUrl.searchParams.set('aud', fhirBaseUrl);
+
+  // PKCE parameters (required for public clients)
+  authUrl.searchParams.set('code_challenge', codeChallenge);
+  authUrl.searchParams.set('code_challenge_method', 'S256');
+
+  logger.info('Redirecting to authorization endpoint', {
+    server: server.name,
+    launchType: req.session.launchType,
+    authorizationEndpoint: smartConfig.authorization_endpoint
+  });
+  res.redirect(authUrl.toString());
+}
+
 // Step 1: Start the authorization flow
-app.get('/launch', async (req, res) => {
+// Standalone launch: GET /launch[?server=<name>]
+// EHR launch: GET /launch?iss=<fhir base url>&launch=<opaque launch token> (sent by Epic)
+// Either may add sections=<key>,<key> (dashboard sections, see /api/capabilities) to ask
+// only for the scopes those sections need instead of the server's configured scopes
+app.get('/launch', async (req, res, next) => {
   try {
-    const fhirBaseUrl = process.env.FHIR_BASE_URL;
-    
-    // Discover SMART endpoints
-    const smartConfig = await getSmartConfiguration(fhirBaseUrl);
-    
-    // Generate PKCE values
-    const codeVerifier = generateCodeVerifier();
-    const codeChallenge = generateCodeChallenge(codeVerifier);
-    const state = generateState();
-    const nonce = generateState();
-    
-    // Store in session for later verification
-    req.session.codeVerifier = codeVerifier;
-    req.session.state = state;
-    req.session.nonce = nonce;
-    req.session.fhirBaseUrl = fhirBaseUrl;
-    req.session.tokenEndpoint = smartConfig.token_endpoint;
-    
-    // Build authorization URL
-    const authUrl = new URL(smartConfig.authorization_endpoint);
-    authUrl.searchParams.set('response_type', 'code');
-    authUrl.searchParams.set('client_id', process.env.CLIENT_ID);
-    authUrl.searchParams.set('redirect_uri', process.env.REDIRECT_URI);
-    // Epic-compatible scopes - must match what you registered in Epic portal.
+    const { iss, launch } = req.query;
+    const isEhrLaunch = Boolean(iss || launch);
+    let server;
+
+    if (isEhrLaunch) {
+      if (!iss || !launch) {
+        return next(httpError(400, 'INVALID_LAUNCH', 'EHR launch requires both iss and launch parameters'));
+      }
+      // Only registered FHIR servers (fhirBaseUrl or listed issuers) may start an EHR launch
+      server = findServerByIssuer(iss);
+      if (!server) {
+        logger.warn('EHR launch rejected for unknown issuer', { iss });
+        return next(httpError(403, 'UNTRUSTED_ISSUER', 'Untrusted issuer', {
+          diagnostics: [`No registered FHIR server matches iss ${iss}`],
+          hints: ['Register this FHIR server (or add it to a server\'s issuers) to allow launches from it']
+        }));
+      }
+    } else {
+      server = req.query.server ? getServer(req.query.server) : getDefaultServer();
+      if (!server) {
+        return next(httpError(400, 'UNKNOWN_SERVER', req.query.server ? `Unknown FHIR server: ${req.query.server}` : 'No FHIR server configured', {
+          hints: [`Configured servers: ${listServers().map(s => s.name).join(', ') || 'none'}`]
+        }));
+      }
+    }
+
+    // Scopes must match what you registered for this client on the server's developer portal.
     // Note: `launch/patient` is typically required to receive `patient` context in the token response.
-    const smartScopes = process.env.SMART_SCOPES ||
-      'launch/patient openid fhirUser patient/Patient.read patient/Observation.read patient/Condition.read patient/MedicationRequest.read';
-    authUrl.searchParams.set('scope', smartScopes);
-    authUrl.searchParams.set('state', state);
-    authUrl.searchParams.set('nonce', nonce);
-    authUrl.searchParams.set('aud', fhirBaseUrl);
-    
-    // PKCE parameters (required for public clients)
-    authUrl.searchParams.set('code_challenge', codeChallenge);
-    authUrl.searchParams.set('code_challenge_method', 'S256');
-    
-    console.log('Redirecting to:', authUrl.toString());
-    res.redirect(authUrl.toString());
-    
+    let scopes = server.scopes;
+    if (req.query.sections !== undefined) {
+      const { sections, unknown } = parseSections(req.query.sections);
+      if (unknown.length || !sections.length) {
+        return next(httpError(400, 'UNKNOWN_SECTION', unknown.length ? `Unknown dashboard section: ${unknown.join(', ')}` : 'No dashboard sections given', {
+          hints: [`Sections: ${SECTIONS.map(s => s.key).join(', ')}`]
+        }));
+      }
+      scopes = buildLaunchScopes(sections, { server, observationCategories: getObservationCategories(server) });
+    }
+
+    // A fresh launch is not a re-consent
+    delete req.session.reauthorization;
+    await startAuthorization(req, res, {
+      server,
+      fhirBaseUrl: isEhrLaunch ? iss.trim().replace(/\/+$/, '') : server.fhirBaseUrl,
+      launchType: isEhrLaunch ? 'ehr' : 'standalone',
+      launch: isEhrLaunch ? launch : null,
+      requestedScope: isEhrLaunch ? toEhrLaunchScopes(scopes) : scopes
+    });
+  } catch (error) {
+    logger.error('Launch error', { error });
+    next(upstreamError(error, 'Failed to start authorization'));
+  }
+});
+
+// Re-consent: GET /reauthorize?section=<key>
+// Starts a new standalone authorization that asks for everything the current token has plus
+// what the section is missing (a new token replaces the old one, so granted scopes are asked
+// for again). The callback returns the user to that section of the dashboard.
+app.get('/reauthorize', async (req, res, next) => {
+  try {
+    if (!req.session.accessToken) {
+      return next(notAuthenticated());
+    }
+    const { sections } = parseSections(req.query.section);
+    if (sections.length !== 1) {
+      return next(httpError(400, 'UNKNOWN_SECTION', req.query.section ? `Unknown dashboard section: ${req.query.section}` : 'section is required', {
+        hints: [`Sections: ${SECTIONS.map(s => s.key).join(', ')}`]
+      }));
+    }
+    if (req.session.demoMode || req.session.launchType === 'ehr') {
+      return next(httpError(409, 'REAUTHORIZATION_UNAVAILABLE', 'This session cannot be re-authorized from the app', {
+        hints: [req.session.demoMode
+          ? 'Demo data already covers every section.'
+          : 'EHR launches get their scopes from the EHR; re-launch the app from Epic after the scopes are added to its registration.']
+      }));
+    }
+
+    const [section] = sections;
+    const server = getSessionServer(req);
+    const { requestedScope, additional } = reauthorizationScope(section, {
+      server,
+      grantedScope: sessionScopes(req),
+      observationCategories: getObservationCategories(server)
+    });
+
+    logger.info('Re-authorizing for missing scopes', { server: server.name, section, additional });
+    req.session.reauthorization = { section, patientId: req.session.patientId || null };
+    await startAuthorization(req, res, {
+      server,
+      fhirBaseUrl: server.fhirBaseUrl,
+      launchType: 'standalone',
+      launch: null,
+      requestedScope
+    });
   } catch (error) {
-    console.error('Launch error:', error.message);
-    res.status(500).json({ error: 'Failed to start authorization', details: error.message });
+    logger.error('Re-authorization error', { error });
+    next(upstreamError(error, 'Failed to start re-authorization'));
   }
 });
 
 // Step 2: Handle the callback from Cerner
-app.get('/callback', async (req, res) => {
+app.get('/callback', async (req, res, next) => {
   try {
     const { code, state, error, error_description } = req.query;
     
     // Check for errors from authorization server
     if (error) {
-      return res.status(400).json({ 
-        error, 
-        error_description,
-        hint: 'Authorization was denied or failed'
-      });
+      return next(httpError(400, 'AUTHORIZATION_FAILED', 'Authorization was denied or failed', {
+        diagnostics: [error_description ? `${error}: ${error_description}` : error]
+      }));
     }
     
     // Verify state to prevent CSRF
     if (state !== req.session.state) {
-      return res.status(400).json({ error: 'State mismatch - possible CSRF attack' });
+      return next(httpError(400, 'STATE_MISMATCH', 'State mismatch - possible CSRF attack', {
+        hints: ['Start the launch again from /launch']
+      }));
     }
     
-    // Exchange authorization code for tokens
-    const tokenResponse = await axios.post(
-      req.session.tokenEndpoint,
-      new URLSearchParams({
-        grant_type: 'authorization_code',
-        code: code,
-        redirect_uri: process.env.REDIRECT_URI,
-        client_id: process.env.CLIENT_ID,
-        code_verifier: req.session.codeVerifier // PKCE verification
-      }),
-      {
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded'
-        }
-      }
-    );
+    // Exchange authorization code for tokens (client authentication depends on the server's registration)
+    const { body, headers } = buildTokenRequest(getSessionServer(req), req.session.tokenEndpoint, {
+      grant_type: 'authorization_code',
+      code: code,
+      redirect_uri: process.env.REDIRECT_URI,
+      code_verifier: req.session.codeVerifier // PKCE verification
+    });
+    const tokenResponse = await axios.post(req.session.tokenEndpoint, body, { headers });
     
-    // Store tokens in session
-    req.session.accessToken = tokenResponse.data.access_token;
-    req.session.refreshToken = tokenResponse.data.refresh_token;
+    // Verify the OpenID Connect id_token before trusting anything in the response.
+    // Having asked for openid, a response without one can't be trusted either.
+    const openIdRequested = String(req.session.requestedScope || '').split(/\s+/).includes('openid');
+    if (openIdRequested && !tokenResponse.data.id_token) {
+      logger.warn('Token response has no id_token although openid was requested', { server: req.session.serverName });
+      return next(httpError(401, 'IDENTITY_VERIFICATION_FAILED', 'Identity verification failed', {
+        diagnostics: ['The token response has no id_token although the openid scope was requested'],
+        hints: ['Check that the app registration includes OpenID Connect, or remove openid from the scopes']
+      }));
+    }
+    let idClaims = null;
+    let endSessionEndpoint = null;
+    if (tokenResponse.data.id_token) {
+      try {
+        const { issuer, jwksUri, ...openIdConfig } = await discoverOpenIdConfiguration(req.session.smartConfig, req.session.fhirBaseUrl);
+        endSessionEndpoint = openIdConfig.endSessionEndpoint;
+        idClaims = await verifyIdToken(tokenResponse.data.id_token, {
+          jwksUri,
+          issuer,
+          clientId: getSessionServer(req).clientId,
+          nonce: req.session.nonce
+        });
+      } catch (idError) {
+        logger.warn('id_token validation failed', { error: idError });
+        return next(httpError(401, 'IDENTITY_VERIFICATION_FAILED', 'Identity verification failed', {
+          diagnostics: [idError.message]
+        }));
+      }
+    }
+
+    // Logged in: new session id so a session id planted before login is worthless.
+    // The one-time launch values are spent.
+    const { reauthorization } = req.session;
+    await regenerateSession(req, { drop: ['state', 'nonce', 'codeVerifier', 'reauthorization'] });
+
+    // Store tokens in session (tracks absolute expiry for proactive refresh)
+    storeTokenResponse(req.session, tokenResponse.data);
     req.session.patientId = tokenResponse.data.patient; // Patient context from launch
-    req.session.expiresIn = tokenResponse.data.expires_in;
-    req.session.tokenType = tokenResponse.data.token_type;
-    req.session.grantedScope = tokenResponse.data.scope;
+    req.session.launchContext = {
+      encounterId: tokenResponse.data.encounter || null,
+      needPatientBanner: typeof tokenResponse.data.need_patient_banner === 'boolean'
+        ? tokenResponse.data.need_patient_banner
+        : null,
+      smartStyleUrl: tokenResponse.data.smart_style_url || null
+    };
+    if (idClaims) {
+      // Kept for logout: id_token_hint at the OpenID Connect end_session_endpoint
+      req.session.idToken = tokenResponse.data.id_token;
+      if (endSessionEndpoint) req.session.smartConfig.end_session_endpoint = endSessionEndpoint;
+    }
     req.session.lastEpicErrors = null;
     req.session.lastEpicTrace = null;
+    req.session.user = await resolveFhirUser(req, idClaims);
     
-    console.log('Token received! Patient ID:', req.session.patientId);
+    logger.info('Token received', {
+      server: req.session.serverName,
+      launchType: req.session.launchType,
+      scope: req.session.grantedScope,
+      hasPatientContext: Boolean(req.session.patientId)
+    });
     
-    // Redirect to dashboard
-    res.redirect('/dashboard');
+    // Redirect to dashboard; after re-consent, back to the section that needed it
+    // (unless the user picked a different patient this time)
+    const returnToSection = reauthorization && reauthorization.patientId === (req.session.patientId || null);
+    res.redirect(returnToSection ? `/dashboard#${reauthorization.section}` : '/dashboard');
     
   } catch (error) {
-    console.error('Callback error:', error.response?.data || error.message);
-    res.status(500).json({ 
-      error: 'Token exchange failed', 
-      details: error.response?.data || error.message 
-    });
+    logger.error('Callback error', { error });
+    next(upstreamError(error, 'Token exchange failed'));
   }
 });
 
@@ -450,30 +1094,96 @@ app.get('/dashboard', (req, res) => {
 });
 
 // API: Get current session info
-app.get('/api/session', (req, res) => {
+app.get('/api/session', (req, res, next) => {
   if (!req.session.accessToken) {
-    return res.status(401).json({ error: 'Not authenticated' });
+    return next(notAuthenticated());
   }
   res.json({
     patientId: req.session.patientId,
     fhirBaseUrl: req.session.fhirBaseUrl,
     expiresIn: req.session.expiresIn,
+    expiresAt: req.session.tokenExpiresAt ? new Date(req.session.tokenExpiresAt).toISOString() : null,
+    canRefresh: Boolean(req.session.refreshToken),
+    launchType: req.session.launchType || null,
+    launchContext: req.session.launchContext || null,
+    user: req.session.user || null,
     authenticated: true,
     demoMode: req.session.demoMode || false,
     grantedScope: req.session.grantedScope || null
   });
 });
 
+// API: Which dashboard sections this session can read, and why not when it can't
+// Combines the requested and granted scopes with the server's CapabilityStatement
+app.get('/api/capabilities', async (req, res, next) => {
+  const signal = abortOnClientDisconnect(req, res);
+  try {
+    if (!req.session.accessToken) {
+      return next(notAuthenticated());
+    }
+
+    // Demo data covers every section
+    if (req.session.demoMode) {
+      return res.json({
+        ...buildCapabilityReport({
+          requestedScope: 'patient/*.read',
+          grantedScope: 'patient/*.read',
+          capabilityStatement: null,
+          observationCategories: ['laboratory', 'vital-signs']
+        }),
+        canReauthorize: false
+      });
+    }
+
+    let capabilityStatement = null;
+    let metadataError = null;
+    try {
+      const response = await cachedFhirGet(req, `${req.session.fhirBaseUrl}/metadata`, { signal });
+      capabilityStatement = response.data;
+    } catch (error) {
+      if (signal.aborted || isRelaunchRequired(error)) throw error;
+      // Scopes alone still make a useful report
+      metadataError = error.response?.status ? `HTTP ${error.response.status}` : error.message;
+    }
+
+    const server = getSessionServer(req);
+    const observationCategories = getObservationCategories(server);
+    const report = buildCapabilityReport({
+      requestedScope: requestedScopes(req),
+      grantedScope: sessionScopes(req),
+      capabilityStatement,
+      observationCategories: observationCategories.filter(Boolean)
+    });
+
+    // Standalone sessions can ask for a section's missing scopes without a full re-launch
+    const canReauthorize = req.session.launchType !== 'ehr';
+    const syntax = scopeSyntax(server);
+    for (const section of report.sections) {
+      if (section.status === 'available' && !section.partial) continue;
+      if (section.status === 'unsupported') continue;
+      section.missingScopes = missingSectionScopes(section.key, sessionScopes(req), { syntax, observationCategories });
+      if (canReauthorize) section.reauthorizeUrl = `/reauthorize?section=${encodeURIComponent(section.key)}`;
+    }
+
+    res.json({ ...report, canReauthorize, metadataError });
+  } catch (error) {
+    if (signal.aborted) return;
+    logger.error('Capabilities error', { error });
+    next(upstreamError(error, 'Failed to build capability report'));
+  }
+});
+
 // Debug: Show last Epic API errors (safe: does not include tokens)
-app.get('/api/debug/epic', (req, res) => {
+app.get('/api/debug/epic', (req, res, next) => {
   if (!req.session.accessToken) {
-    return res.status(401).json({ error: 'Not authenticated' });
+    return next(notAuthenticated());
   }
   res.json({
     patientId: req.session.patientId,
     fhirBaseUrl: req.session.fhirBaseUrl,
     grantedScope: req.session.grantedScope || null,
-    clientId: maskClientId(process.env.CLIENT_ID),
+    server: req.session.serverName || null,
+    clientId: maskClientId(getSessionServer(req)?.clientId),
     lastEpicErrors: req.session.lastEpicErrors || null,
     lastEpicTrace: req.session.lastEpicTrace || null
   });
@@ -481,10 +1191,11 @@ app.get('/api/debug/epic', (req, res) => {
 
 // Debug: return a sanitized snapshot of Observation resources so UI parsing can be fixed.
 // Safe: no access tokens, no patient identifiers beyond the resource content Epic returns.
-app.get('/api/debug/observations/sample', async (req, res) => {
+app.get('/api/debug/observations/sample', auditAccess(['Observation']), async (req, res, next) => {
+  const signal = abortOnClientDisconnect(req, res);
   try {
     if (!req.session.accessToken) {
-      return res.status(401).json({ error: 'Not authenticated' });
+      return next(notAuthenticated());
     }
 
     if (req.session.demoMode) {
@@ -496,24 +1207,14 @@ app.get('/api/debug/observations/sample', async (req, res) => {
       });
     }
 
-    const categories = (process.env.OBSERVATION_CATEGORIES || 'laboratory,vital-signs')
-      .split(',')
-      .map(s => s.trim())
-      .filter(Boolean);
+    const categories = getObservationCategories(getSessionServer(req));
 
-    const samples = [];
-    for (const category of categories) {
+    const perCategory = await mapWithConcurrency(categories, async category => {
+      const samples = [];
       try {
-        const response = await axios.get(`${req.session.fhirBaseUrl}/Observation`, {
-          params: {
-            patient: req.session.patientId,
-            category,
-            _count: 5
-          },
-          headers: {
-            'Authorization': `Bearer ${req.session.accessToken}`,
-            'Accept': 'application/fhir+json'
-          }
+        const response = await fhirGet(req, `${req.session.fhirBaseUrl}/Observation`, {
+          params: observationParams(req, category, 5),
+          signal
         });
 
         const entries = response.data?.entry || [];
@@ -554,13 +1255,17 @@ app.get('/api/debug/observations/sample', async (req, res) => {
           });
         }
       } catch (e) {
+        if (isRelaunchRequired(e) || isAbortError(e)) throw e;
         samples.push({
           category,
           errorStatus: e?.response?.status || null,
+          timedOut: isTimeoutError(e),
           operationOutcome: e?.response?.data?.resourceType === 'OperationOutcome' ? e.response.data : null
         });
       }
-    }
+      return samples;
+    }, { signal });
+    const samples = perCategory.flat();
 
     res.json({
       mode: 'live',
@@ -570,15 +1275,17 @@ app.get('/api/debug/observations/sample', async (req, res) => {
       samples
     });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to build observation sample', details: error.message });
+    if (signal.aborted) return;
+    next(upstreamError(error, 'Failed to build observation sample'));
   }
 });
 
 // API: Get Patient resource
-app.get('/api/patient', async (req, res) => {
+app.get('/api/patient', auditAccess(['Patient'], { interaction: 'read' }), async (req, res, next) => {
+  const signal = abortOnClientDisconnect(req, res);
   try {
     if (!req.session.accessToken) {
-      return res.status(401).json({ error: 'Not authenticated' });
+      return next(notAuthenticated());
     }
 
     // Demo mode returns sample data
@@ -586,118 +1293,95 @@ app.get('/api/patient', async (req, res) => {
       return res.json(DEMO_DATA.patient);
     }
     
-    const response = await axios.get(
-      `${req.session.fhirBaseUrl}/Patient/${req.session.patientId}`,
-      {
-        headers: {
-          'Authorization': `Bearer ${req.session.accessToken}`,
-          'Accept': 'application/fhir+json'
-        }
-      }
-    );
+    const response = await cachedFhirGet(req, `${req.session.fhirBaseUrl}/Patient/${req.session.patientId}`, { signal });
+    res.set('X-Cache', response.cacheStatus);
     
     res.json(response.data);
     
   } catch (error) {
-    console.error('Patient fetch error:', error.response?.data || error.message);
-    res.status(error.response?.status || 500).json({ 
-      error: 'Failed to fetch patient',
-      details: error.response?.data || error.message
-    });
+    if (signal.aborted) return;
+    logger.error('Patient fetch error', { error });
+    next(upstreamError(error, 'Failed to fetch patient'));
   }
 });
 
 // API: Get Observations (Lab Results, Vitals)
-app.get('/api/observations', async (req, res) => {
+app.get('/api/observations', auditAccess(['Observation']), async (req, res, next) => {
+  // Cancels in-flight Epic requests if the browser goes away
+  const signal = abortOnClientDisconnect(req, res);
   try {
     if (!req.session.accessToken) {
-      return res.status(401).json({ error: 'Not authenticated' });
+      return next(notAuthenticated());
     }
 
     // Demo mode returns sample data
     if (req.session.demoMode) {
-      return res.json(DEMO_DATA.observations);
+      return sendBundle(req, res, applyObservationFlags(req, DEMO_DATA.observations));
     }
     
     // Try to fetch observations - Epic requires category parameter.
     // Note: Epic also enforces per-app API entitlement by "Observation - <type>".
-    const categories = (process.env.OBSERVATION_CATEGORIES || 'laboratory,vital-signs')
-      .split(',')
-      .map(s => s.trim())
-      .filter(Boolean);
+    const server = getSessionServer(req);
+    const categories = getObservationCategories(server);
     let observations = [];
     const categoryErrors = [];
+    const paging = [];
+    const warnings = [];
     
-    for (const category of categories) {
+    // Categories are fetched in parallel, at most FHIR_CONCURRENCY at a time.
+    // Each category resolves to { result } or { error } so one denial doesn't fail the rest.
+    const results = await mapWithConcurrency(categories, async category => {
+      const url = `${req.session.fhirBaseUrl}/Observation`;
+      const params = observationParams(req, category, FHIR_PAGE_SIZE);
       try {
-        const url = `${req.session.fhirBaseUrl}/Observation`;
-        const params = {
-          patient: req.session.patientId,
-          category: category,
-          _count: 10
-        };
-        const response = await axios.get(url, {
-          params,
-          headers: {
-            'Authorization': `Bearer ${req.session.accessToken}`,
-            'Accept': 'application/fhir+json'
-          }
-        });
-        
-        // Filter out OperationOutcome entries (Epic warnings) and only keep real Observations
-        if (response.data.entry) {
-          const realObservations = response.data.entry.filter(e => e.resource?.resourceType === 'Observation');
-          observations = observations.concat(realObservations);
-          
-          // Track OperationOutcome warnings for better error reporting
-          const outcomeWarnings = response.data.entry
-            .filter(e => e.resource?.resourceType === 'OperationOutcome')
-            .flatMap(e => extractOperationOutcomeDiagnostics(e.resource) || []);
-          
-          if (outcomeWarnings.length) {
-            categoryErrors.push({
-              category,
-              status: 200,
-              diagnostics: outcomeWarnings
-            });
-          }
-        }
-
-        setLastEpicTrace(req, `observations:${category}`, {
+        // Follows next links; OperationOutcome entries (Epic warnings) are split out per page
+        const result = await searchAllPages(req, url, { params, resourceType: 'Observation', signal });
+        setLastEpicTrace(req, `observations:${category || 'all'}`, {
           request: { method: 'GET', url, params },
-          response: {
-            status: response.status,
-            headers: pickSafeResponseHeaders(response.headers),
-            bundleTotal: response.data?.total ?? null,
-            entryCount: Array.isArray(response.data?.entry) ? response.data.entry.length : 0
-          }
+          response: pagingTrace(result)
         });
+        return { category, result };
       } catch (catError) {
-        const status = catError?.response?.status || null;
+        if (isRelaunchRequired(catError) || isAbortError(catError)) throw catError;
         const data = catError?.response?.data;
-        const diags = extractOperationOutcomeDiagnostics(data);
-        categoryErrors.push({
-          category,
-          status,
-          diagnostics: diags
-        });
-
-        setLastEpicTrace(req, `observations:${category}`, {
-          request: {
-            method: 'GET',
-            url: `${req.session.fhirBaseUrl}/Observation`,
-            params: {
-              patient: req.session.patientId,
-              category: category,
-              _count: 10
-            }
-          },
+        setLastEpicTrace(req, `observations:${category || 'all'}`, {
+          request: { method: 'GET', url, params },
           response: {
-            status,
+            status: catError?.response?.status || null,
+            timedOut: isTimeoutError(catError),
             headers: pickSafeResponseHeaders(catError?.response?.headers),
             operationOutcome: data?.resourceType === 'OperationOutcome' ? data : null
           }
         });
+        return { category, error: catError };
+      }
+    }, { signal });
+
+    // Merge in category order so the response doesn't depend on which request finished first
+    for (const { category, result, error: catError } of results) {
+      if (catError) {
+        const entry = {
+          category,
+          status: catError?.response?.status || null,
+          diagnostics: extractOperationOutcomeDiagnostics(catError?.response?.data)
+        };
+        if (isTimeoutError(catError)) entry.timedOut = true;
+        categoryErrors.push(entry);
+        continue;
+      }
+
+      observations = observations.concat(result.entries);
+      paging.push({ category, ...pagingSummary(result) });
+
+      // Track OperationOutcome warnings for better error reporting
+      const outcomeWarnings = result.outcomes.flatMap(o => o.diagnostics);
+      if (outcomeWarnings.length) {
+        categoryErrors.push({
+          category,
+          status: 200,
+          diagnostics: outcomeWarnings
+        });
+        warnings.push(...result.outcomes.map(o => ({ category, ...o })));
       }
     }
 
@@ -710,14 +1394,15 @@ app.get('/api/observations', async (req, res) => {
       }
     };
     
-    // Return as a bundle
-    let note = null;
+    // Explain an empty result
+    let hint = null;
     if (observations.length === 0) {
+      const portalUrl = server?.quirks?.developerPortalUrl || 'your FHIR server\'s developer portal';
       const allDiagnostics = categoryErrors.flatMap(e => (Array.isArray(e.diagnostics) ? e.diagnostics : []));
       const missingTargets = extractNotAuthorizedTargets(allDiagnostics);
 
       if (missingTargets.length) {
-        note = `No observations available. Epic app is not authorized for: ${missingTargets.join(', ')}. Go to https://fhir.epic.com/Developer/Apps, edit your app (client ID: ${maskClientId(process.env.CLIENT_ID)}), enable these APIs under "Application APIs", save, then re-launch here.`;
+        hint = `Epic app is not authorized for: ${missingTargets.join(', ')}. Go to ${portalUrl}, edit your app (client ID: ${maskClientId(server?.clientId)}), enable these APIs under "Application APIs", save, then re-launch here.`;
       } else {
         const denied = categoryErrors
           .filter(e => e.status === 401 || e.status === 403 || e.status === 400 || e.status === 200)
@@ -726,21 +1411,33 @@ app.get('/api/observations', async (req, res) => {
             return firstDiag ? `${e.category}: ${firstDiag}` : `${e.category}: not authorized`;
           });
 
-        note = denied.length
-          ? `No observations available. Epic is blocking specific sub-resources even though you have patient/Observation.read scope. Enable "Observation - Labs" and "Observation - Vital Signs" APIs in your Epic app registration at https://fhir.epic.com/Developer/Apps (client ID: ${maskClientId(process.env.CLIENT_ID)}), save, then re-launch.`
-          : 'No observations available. Your Epic app may need additional API permissions enabled.';
+        hint = denied.length
+          ? `Epic is blocking specific sub-resources even though you have patient/Observation.read scope. Enable "Observation - Labs" and "Observation - Vital Signs" APIs in your Epic app registration at ${portalUrl} (client ID: ${maskClientId(server?.clientId)}), save, then re-launch.`
+          : 'Your Epic app may need additional API permissions enabled.';
       }
     }
-    res.json({
+
+    // Every category failed: answer with the first failure instead of an empty bundle
+    const failed = results.filter(r => r.error);
+    if (failed.length && failed.length === results.length) {
+      return next(upstreamError(failed[0].error, 'Failed to fetch observations', { hints: hint ? [hint] : [] }));
+    }
+
+    sendBundle(req, res, applyObservationFlags(req, {
       resourceType: 'Bundle',
       type: 'searchset',
       entry: observations,
       total: observations.length,
-      note
-    });
+      truncated: paging.some(p => p.truncated),
+      paging,
+      warnings,
+      note: hint ? `No observations available. ${hint}` : null
+    }));
     
   } catch (error) {
-    console.error('Observations fetch error:', error.response?.data || error.message);
+    if (signal.aborted) return;
+    if (isRelaunchRequired(error)) return next(upstreamError(error));
+    logger.error('Observations fetch error', { error });
     req.session.lastEpicErrors = {
       ...(req.session.lastEpicErrors || {}),
       observations: {
@@ -748,26 +1445,108 @@ app.get('/api/observations', async (req, res) => {
         diagnostics: extractOperationOutcomeDiagnostics(error?.response?.data)
       }
     };
-    // Return empty bundle instead of error for better UX
+    next(upstreamError(error, 'Failed to fetch observations', {
+      hints: ['Check /api/debug/epic for the exact Epic denial message, then enable the matching Observation APIs in your Epic app registration.']
+    }));
+  }
+});
+
+// API: Lab and vital trends (time series per LOINC code)
+// Query: code=4548-4,85354-9 (LOINC, optionally system|code), date=ge2025-01-01&date=le2026-01-01, _lastUpdated=ge...
+app.get('/api/observations/trends', auditAccess(['Observation']), async (req, res, next) => {
+  const signal = abortOnClientDisconnect(req, res);
+  try {
+    if (!req.session.accessToken) {
+      return next(notAuthenticated());
+    }
+
+    let codes, dateFilters, lastUpdatedFilters;
+    try {
+      codes = parseCodes(req.query.code);
+      dateFilters = parseDateFilters(req.query.date);
+      lastUpdatedFilters = parseDateFilters(req.query._lastUpdated, '_lastUpdated');
+    } catch (filterError) {
+      return next(httpError(400, 'INVALID_SEARCH_FILTER', 'Invalid trend filter', { diagnostics: [filterError.message] }));
+    }
+
+    if (req.session.demoMode) {
+      const observations = DEMO_DATA.observationHistory.entry.map(e => e.resource);
+      return res.json({
+        codes,
+        series: buildTrends(observations, { codes, dateFilters, lastUpdatedFilters }),
+        truncated: false,
+        searchErrors: []
+      });
+    }
+
+    // With codes, one code search covers everything; without, search each configured category.
+    // Filters go to the server and are applied again locally for servers that ignore them.
+    const url = `${req.session.fhirBaseUrl}/Observation`;
+    const searches = codes.length
+      ? [{ label: 'code', params: { code: codes.map(c => `${LOINC_SYSTEM}|${c}`).join(',') } }]
+      : getObservationCategories(getSessionServer(req)).map(category => ({
+          label: category || 'all',
+          params: category ? { category } : {}
+        }));
+
+    const results = await mapWithConcurrency(searches, async ({ label, params: searchParams }) => {
+      const params = {
+        patient: req.session.patientId,
+        _count: FHIR_PAGE_SIZE,
+        ...searchParams,
+        ...(dateFilters.length ? { date: dateFilters.map(f => f.raw) } : {}),
+        ...(lastUpdatedFilters.length ? { _lastUpdated: lastUpdatedFilters.map(f => f.raw) } : {})
+      };
+      try {
+        const result = await searchAllPages(req, url, { params, resourceType: 'Observation', signal });
+        setLastEpicTrace(req, `observations:trends:${label}`, {
+          request: { method: 'GET', url, params },
+          response: pagingTrace(result)
+        });
+        return { label, result };
+      } catch (searchError) {
+        if (isRelaunchRequired(searchError) || isAbortError(searchError)) throw searchError;
+        const data = searchError?.response?.data;
+        setLastEpicTrace(req, `observations:trends:${label}`, {
+          request: { method: 'GET', url, params },
+          response: {
+            status: searchError?.response?.status || null,
+            timedOut: isTimeoutError(searchError),
+            headers: pickSafeResponseHeaders(searchError?.response?.headers),
+            operationOutcome: data?.resourceType === 'OperationOutcome' ? data : null
+          }
+        });
+        return { label, error: searchError };
+      }
+    }, { signal });
+
+    const observations = results.flatMap(r => (r.result ? r.result.entries.map(e => e.resource) : []));
     res.json({
-      resourceType: 'Bundle',
-      type: 'searchset',
-      entry: [],
-      total: 0,
-      note: 'Observations not available. Check /api/debug/epic for the exact Epic denial message, then enable the matching Observation APIs in your Epic app registration.'
+      codes,
+      series: buildTrends(observations, { codes, dateFilters, lastUpdatedFilters }),
+      truncated: results.some(r => r.result?.truncated),
+      searchErrors: results.filter(r => r.error).map(r => ({
+        search: r.label,
+        status: r.error?.response?.status || null,
+        diagnostics: extractOperationOutcomeDiagnostics(r.error?.response?.data),
+        ...(isTimeoutError(r.error) ? { timedOut: true } : {})
+      }))
     });
+  } catch (error) {
+    if (signal.aborted) return;
+    logger.error('Observation trends error', { error });
+    next(upstreamError(error, 'Failed to build observation trends'));
   }
 });
 
 // Debug: Show raw medication and condition samples to diagnose Unknown entries
-app.get('/api/debug/medications/sample', async (req, res) => {
+app.get('/api/debug/medications/sample', auditAccess(['MedicationRequest']), async (req, res, next) => {
   try {
     if (!req.session.accessToken) {
-      return res.status(401).json({ error: 'Not authenticated' });
+      return next(notAuthenticated());
     }
-    const response = await axios.get(`${req.session.fhirBaseUrl}/MedicationRequest`, {
-      params: { patient: req.session.patientId, _count: 20 },
-      headers: { 'Authorization': `Bearer ${req.session.accessToken}`, 'Accept': 'application/fhir+json' }
+    const response = await fhirGet(req, `${req.session.fhirBaseUrl}/MedicationRequest`, {
+      params: { patient: req.session.patientId, _count: 20 }
     });
     const entries = response.data?.entry || [];
     const samples = entries.map((e, i) => {
@@ -791,18 +1570,17 @@ app.get('/api/debug/medications/sample', async (req, res) => {
     });
     res.json({ count: samples.length, samples });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(upstreamError(error, 'Failed to fetch medication sample'));
   }
 });
 
-app.get('/api/debug/conditions/sample', async (req, res) => {
+app.get('/api/debug/conditions/sample', auditAccess(['Condition']), async (req, res, next) => {
   try {
     if (!req.session.accessToken) {
-      return res.status(401).json({ error: 'Not authenticated' });
+      return next(notAuthenticated());
     }
-    const response = await axios.get(`${req.session.fhirBaseUrl}/Condition`, {
-      params: { patient: req.session.patientId, _count: 20 },
-      headers: { 'Authorization': `Bearer ${req.session.accessToken}`, 'Accept': 'application/fhir+json' }
+    const response = await fhirGet(req, `${req.session.fhirBaseUrl}/Condition`, {
+      params: { patient: req.session.patientId, _count: 20 }
     });
     const entries = response.data?.entry || [];
     const samples = entries.map((e, i) => {
@@ -825,83 +1603,75 @@ app.get('/api/debug/conditions/sample', async (req, res) => {
     });
     res.json({ count: samples.length, samples });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(upstreamError(error, 'Failed to fetch condition sample'));
   }
 });
 
 // API: Get Conditions (Diagnoses)
-app.get('/api/conditions', async (req, res) => {
+app.get('/api/conditions', auditAccess(['Condition']), async (req, res, next) => {
+  const signal = abortOnClientDisconnect(req, res);
   try {
     if (!req.session.accessToken) {
-      return res.status(401).json({ error: 'Not authenticated' });
+      return next(notAuthenticated());
     }
 
     // Demo mode returns sample data
     if (req.session.demoMode) {
-      return res.json(DEMO_DATA.conditions);
+      return sendBundle(req, res, DEMO_DATA.conditions);
     }
     
-    const response = await axios.get(
-      `${req.session.fhirBaseUrl}/Condition`,
-      {
-        params: {
-          patient: req.session.patientId,
-          _count: 20
-        },
-        headers: {
-          'Authorization': `Bearer ${req.session.accessToken}`,
-          'Accept': 'application/fhir+json'
-        }
-      }
-    );
-    
-    // Filter out OperationOutcome entries (warnings) like we do for observations
-    const entries = response.data?.entry || [];
-    const realConditions = entries.filter(e => e.resource?.resourceType === 'Condition');
+    const url = `${req.session.fhirBaseUrl}/Condition`;
+    const params = {
+      patient: req.session.patientId,
+      _count: FHIR_PAGE_SIZE
+    };
+    // Follow next links; OperationOutcome entries (warnings) are filtered out like we do for observations
+    const result = await searchAllPages(req, url, { params, resourceType: 'Condition', signal });
+
+    setLastEpicTrace(req, 'conditions', {
+      request: { method: 'GET', url, params },
+      response: pagingTrace(result)
+    });
     
-    res.json({
-      ...response.data,
-      entry: realConditions,
-      total: realConditions.length
+    sendBundle(req, res, {
+      resourceType: 'Bundle',
+      type: 'searchset',
+      entry: result.entries,
+      total: result.entries.length,
+      truncated: result.truncated,
+      paging: pagingSummary(result),
+      warnings: result.outcomes
     });
     
   } catch (error) {
-    console.error('Conditions fetch error:', error.response?.data || error.message);
-    res.status(error.response?.status || 500).json({ 
-      error: 'Failed to fetch conditions',
-      details: error.response?.data || error.message
-    });
+    if (signal.aborted) return;
+    logger.error('Conditions fetch error', { error });
+    next(upstreamError(error, 'Failed to fetch conditions'));
   }
 });
 
 // API: Get Medications
-app.get('/api/medications', async (req, res) => {
+app.get('/api/medications', auditAccess(['MedicationRequest', 'Medication']), async (req, res, next) => {
+  const signal = abortOnClientDisconnect(req, res);
   try {
     if (!req.session.accessToken) {
-      return res.status(401).json({ error: 'Not authenticated' });
+      return next(notAuthenticated());
     }
 
     // Demo mode returns sample data
     if (req.session.demoMode) {
-      return res.json(DEMO_DATA.medications);
+      return sendBundle(req, res, DEMO_DATA.medications);
     }
 
     const url = `${req.session.fhirBaseUrl}/MedicationRequest`;
     const params = {
       patient: req.session.patientId,
-      _count: 20
+      _count: FHIR_PAGE_SIZE,
+      _include: 'MedicationRequest:medication'
     };
-    const response = await axios.get(url, {
-      params,
-      headers: {
-        'Authorization': `Bearer ${req.session.accessToken}`,
-        'Accept': 'application/fhir+json'
-      }
-    });
-    
-    // Filter out OperationOutcome entries (warnings) like we do for observations/conditions
-    const entries = response.data?.entry || [];
-    const realMedications = entries.filter(e => e.resource?.resourceType === 'MedicationRequest');
+    // Follow next links; OperationOutcome entries (warnings) are filtered out like we do for observations/conditions
+    const result = await searchAllPages(req, url, { params, resourceType: 'MedicationRequest', signal });
+    const realMedications = result.entries;
     
     req.session.lastEpicErrors = {
       ...(req.session.lastEpicErrors || {}),
@@ -910,31 +1680,72 @@ app.get('/api/medications', async (req, res) => {
 
     setLastEpicTrace(req, 'medications', {
       request: { method: 'GET', url, params },
-      response: {
-        status: response.status,
-        headers: pickSafeResponseHeaders(response.headers),
-        bundleTotal: response.data?.total ?? null,
-        entryCount: realMedications.length
-      }
+      response: pagingTrace(result)
+    });
+
+    // medicationReference -> Medication: _include results first, then batched reads.
+    // A failure here only loses the RxNorm/strength details, not the list itself.
+    let resolution;
+    try {
+      const { medications, unresolved, fetched } = await resolveMedicationReferences(
+        req,
+        realMedications.map(e => e.resource),
+        result.included.map(e => e.resource),
+        { signal }
+      );
+      resolution = { resolved: medications.size, unresolved, fetched, medications };
+    } catch (resolveError) {
+      if (isRelaunchRequired(resolveError) || isAbortError(resolveError)) throw resolveError;
+      logger.warn('Medication resolution error', { error: resolveError });
+      resolution = {
+        resolved: 0,
+        unresolved: [],
+        error: {
+          status: resolveError?.response?.status || null,
+          diagnostics: extractOperationOutcomeDiagnostics(resolveError?.response?.data)
+        },
+        medications: new Map()
+      };
+    }
+    const { medications: resolvedMedications, ...medicationResolution } = resolution;
+
+    setLastEpicTrace(req, 'medications:resolve', {
+      request: { method: 'GET', url: `${req.session.fhirBaseUrl}/Medication` },
+      response: medicationResolution
     });
     
-    res.json({
-      ...response.data,
-      entry: realMedications,
-      total: realMedications.length
+    sendBundle(req, res, {
+      resourceType: 'Bundle',
+      type: 'searchset',
+      entry: [
+        ...realMedications,
+        // Resolved Medications ride along as FHIR "include" entries
+        ...Array.from(resolvedMedications.values()).map(resource => ({
+          fullUrl: `${req.session.fhirBaseUrl}/Medication/${resource.id}`,
+          resource,
+          search: { mode: 'include' }
+        }))
+      ],
+      total: realMedications.length,
+      truncated: result.truncated,
+      paging: pagingSummary(result),
+      warnings: result.outcomes,
+      medicationResolution
     });
     
   } catch (error) {
-    console.error('Medications fetch error:', error.response?.data || error.message);
+    if (signal.aborted) return;
+    if (isRelaunchRequired(error)) return next(upstreamError(error));
+    logger.error('Medications fetch error', { error });
     const diagnostics = extractOperationOutcomeDiagnostics(error?.response?.data);
-    const missingTargets = extractNotAuthorizedTargets(diagnostics || []);
     setLastEpicTrace(req, 'medications', {
       request: {
         method: 'GET',
         url: `${req.session.fhirBaseUrl}/MedicationRequest`,
         params: {
           patient: req.session.patientId,
-          _count: 20
+          _count: FHIR_PAGE_SIZE,
+          _include: 'MedicationRequest:medication'
         }
       },
       response: {
@@ -950,27 +1761,521 @@ app.get('/api/medications', async (req, res) => {
         diagnostics
       }
     };
-    // Return empty bundle instead of error
+    next(upstreamError(error, 'Failed to fetch medications', {
+      hints: [remediationHint('MedicationRequest', diagnostics)]
+    }));
+  }
+});
+
+// ============================================
+// Additional Clinical Resources
+// ============================================
+
+function newestFirst(a, b) {
+  const dateA = normalizeResource(a.resource)?.date || '';
+  const dateB = normalizeResource(b.resource)?.date || '';
+  return dateB.localeCompare(dateA);
+}
+
+// Handler for a `<resourceType>?patient=<id>` search, behaving like /api/medications:
+// follows next links, filters OperationOutcome entries, traces the Epic call and
+// answers with an OperationOutcome and a permission hint when Epic denies access.
+function patientSearchRoute({ resourceType, key, label, params: extraParams = {} }) {
+  return async (req, res, next) => {
+    const signal = abortOnClientDisconnect(req, res);
+    const url = `${req.session.fhirBaseUrl}/${resourceType}`;
+    const params = {
+      patient: req.session.patientId,
+      _count: FHIR_PAGE_SIZE,
+      ...extraParams
+    };
+    try {
+      if (!req.session.accessToken) {
+        return next(notAuthenticated());
+      }
+
+      // Demo mode returns sample data
+      if (req.session.demoMode) {
+        return sendBundle(req, res, DEMO_DATA[key]);
+      }
+
+      const result = await searchAllPages(req, url, { params, resourceType, signal });
+
+      req.session.lastEpicErrors = {
+        ...(req.session.lastEpicErrors || {}),
+        [key]: null
+      };
+
+      setLastEpicTrace(req, key, {
+        request: { method: 'GET', url, params },
+        response: pagingTrace(result)
+      });
+
+      sendBundle(req, res, {
+        resourceType: 'Bundle',
+        type: 'searchset',
+        entry: result.entries.slice().sort(newestFirst),
+        total: result.entries.length,
+        truncated: result.truncated,
+        paging: pagingSummary(result),
+        warnings: result.outcomes
+      });
+    } catch (error) {
+      if (signal.aborted) return;
+      if (isRelaunchRequired(error)) return next(upstreamError(error));
+      logger.error(`${label} fetch error`, { error });
+      const diagnostics = extractOperationOutcomeDiagnostics(error?.response?.data);
+      setLastEpicTrace(req, key, {
+        request: { method: 'GET', url, params },
+        response: {
+          status: error?.response?.status || null,
+          headers: pickSafeResponseHeaders(error?.response?.headers),
+          operationOutcome: error?.response?.data?.resourceType === 'OperationOutcome' ? error.response.data : null
+        }
+      });
+      req.session.lastEpicErrors = {
+        ...(req.session.lastEpicErrors || {}),
+        [key]: {
+          errorStatus: error?.response?.status || null,
+          diagnostics
+        }
+      };
+      next(upstreamError(error, `Failed to fetch ${label.toLowerCase()}`, {
+        hints: [remediationHint(resourceType, diagnostics)]
+      }));
+    }
+  };
+}
+
+app.get('/api/allergies', auditAccess(['AllergyIntolerance']), patientSearchRoute({ resourceType: 'AllergyIntolerance', key: 'allergies', label: 'Allergies' }));
+app.get('/api/immunizations', auditAccess(['Immunization']), patientSearchRoute({ resourceType: 'Immunization', key: 'immunizations', label: 'Immunizations' }));
+app.get('/api/encounters', auditAccess(['Encounter']), patientSearchRoute({ resourceType: 'Encounter', key: 'encounters', label: 'Encounters' }));
+app.get('/api/procedures', auditAccess(['Procedure']), patientSearchRoute({ resourceType: 'Procedure', key: 'procedures', label: 'Procedures' }));
+app.get('/api/diagnostic-reports', auditAccess(['DiagnosticReport']), patientSearchRoute({ resourceType: 'DiagnosticReport', key: 'diagnosticReports', label: 'Diagnostic reports' }));
+app.get('/api/documents', auditAccess(['DocumentReference']), patientSearchRoute({ resourceType: 'DocumentReference', key: 'documents', label: 'Documents' }));
+
+// Content types a clinical note is served as, in order of preference
+const DOCUMENT_CONTENT_TYPES = ['text/html', 'text/plain', 'application/pdf', 'text/rtf', 'application/xml'];
+
+function pickAttachment(doc, index) {
+  const attachments = (Array.isArray(doc?.content) ? doc.content : []).map(c => c.attachment).filter(Boolean);
+  if (index !== undefined) return attachments[Number(index)] || null;
+  const typeRank = a => {
+    const rank = DOCUMENT_CONTENT_TYPES.indexOf((a.contentType || '').split(';')[0]);
+    return rank === -1 ? DOCUMENT_CONTENT_TYPES.length : rank;
+  };
+  return attachments.slice().sort((a, b) => typeRank(a) - typeRank(b))[0] || null;
+}
+
+// Attachment.url must point at this FHIR server (relative "Binary/123" or absolute under the base URL)
+function resolveAttachmentUrl(fhirBaseUrl, url) {
+  if (!url) return null;
+  const resolved = new URL(url, `${fhirBaseUrl.replace(/\/$/, '')}/`);
+  const base = new URL(fhirBaseUrl);
+  // Below the base path itself: /api/FHIR/R4-other is not under /api/FHIR/R4
+  const underBase = resolved.pathname === base.pathname || resolved.pathname.startsWith(base.pathname.replace(/\/?$/, '/'));
+  return resolved.origin === base.origin && underBase ? resolved.toString() : null;
+}
+
+function sendDocumentContent(res, contentType, body) {
+  // Notes are rendered from the app's origin: never let their HTML run scripts
+  res.set('Content-Security-Policy', "sandbox; default-src 'none'; img-src data:; style-src 'unsafe-inline'");
+  res.type(contentType || 'application/octet-stream').send(body);
+}
+
+// API: Clinical note content (DocumentReference attachment, inline or via Binary)
+// Query: index=<n> picks a specific attachment; otherwise HTML, then plain text, then PDF
+app.get('/api/documents/:id/content', auditAccess(['DocumentReference', 'Binary'], { interaction: 'read' }), async (req, res, next) => {
+  const signal = abortOnClientDisconnect(req, res);
+  try {
+    if (!req.session.accessToken) {
+      return next(notAuthenticated());
+    }
+
+    let doc;
+    if (req.session.demoMode) {
+      doc = DEMO_DATA.documents.entry.map(e => e.resource).find(r => r.id === req.params.id);
+    } else {
+      const response = await cachedFhirGet(
+        req,
+        `${req.session.fhirBaseUrl}/DocumentReference/${encodeURIComponent(req.params.id)}`,
+        { signal }
+      );
+      doc = response.data;
+    }
+    // Only documents about the session's patient
+    const subject = parseReference(doc?.subject?.reference);
+    if (!doc || subject?.type !== 'Patient' || subject.id !== req.session.patientId) {
+      return next(httpError(404, 'NOT_FOUND', 'Document not found'));
+    }
+
+    const attachment = pickAttachment(doc, req.query.index);
+    if (!attachment) {
+      return next(httpError(404, 'NOT_FOUND', 'Document has no content'));
+    }
+    if (attachment.data) {
+      return sendDocumentContent(res, attachment.contentType, Buffer.from(attachment.data, 'base64'));
+    }
+
+    const binaryUrl = resolveAttachmentUrl(req.session.fhirBaseUrl, attachment.url);
+    if (req.session.demoMode || !binaryUrl) {
+      return next(httpError(404, 'NOT_FOUND', 'Document content is not available from this FHIR server'));
+    }
+
+    // Asking for the attachment's own content type makes Epic return the raw note instead of a Binary resource
+    const response = await fhirGet(req, binaryUrl, {
+      headers: { 'Accept': attachment.contentType || '*/*' },
+      responseType: 'arraybuffer',
+      signal
+    });
+    setLastEpicTrace(req, 'documents:content', {
+      request: { method: 'GET', url: binaryUrl },
+      response: {
+        status: response.status,
+        headers: pickSafeResponseHeaders(response.headers)
+      }
+    });
+
+    const contentType = response.headers['content-type'] || attachment.contentType;
+    if (/fhir\+json|application\/json/.test(contentType || '')) {
+      // Server sent a Binary resource after all: unwrap its base64 data
+      const binary = JSON.parse(Buffer.from(response.data).toString('utf8'));
+      return sendDocumentContent(res, binary.contentType || attachment.contentType, Buffer.from(binary.data || '', 'base64'));
+    }
+    sendDocumentContent(res, contentType, Buffer.from(response.data));
+  } catch (error) {
+    if (signal.aborted) return;
+    if (isRelaunchRequired(error)) return next(upstreamError(error));
+    // arraybuffer responses carry the OperationOutcome as bytes
+    let data = error.response?.data;
+    if (data instanceof ArrayBuffer || Buffer.isBuffer(data)) {
+      try { data = JSON.parse(Buffer.from(data).toString('utf8')); } catch { data = null; }
+    }
+    logger.error('Document content error', { error, diagnostics: extractOperationOutcomeDiagnostics(data) });
+    setLastEpicTrace(req, 'documents:content', {
+      request: { method: 'GET', url: `${req.session.fhirBaseUrl}/DocumentReference/${req.params.id}` },
+      response: {
+        status: error?.response?.status || null,
+        headers: pickSafeResponseHeaders(error?.response?.headers),
+        operationOutcome: data?.resourceType === 'OperationOutcome' ? data : null
+      }
+    });
+    next(upstreamError(error, 'Failed to fetch document content', {
+      hints: [remediationHint('DocumentReference and Binary', extractOperationOutcomeDiagnostics(data))]
+    }));
+  }
+});
+
+// ============================================
+// Generic FHIR Proxy
+// ============================================
+
+// Demo resources of one type, gathered from every demo bundle
+function demoResources(resourceType) {
+  const resources = [DEMO_DATA.patient];
+  for (const value of Object.values(DEMO_DATA)) {
+    if (Array.isArray(value?.entry)) resources.push(...value.entry.map(e => e.resource));
+  }
+  return resources.filter(r => r?.resourceType === resourceType);
+}
+
+// API: Search or read any allow-listed resource type for the session's patient
+// GET /api/fhir/:resourceType?<allowed params>   GET /api/fhir/:resourceType/:id
+// Supports ?view=summary like the other resource routes (see lib/fhir-proxy.js for the rules)
+app.get('/api/fhir/:resourceType/:id?', auditAccess(req => [req.params.resourceType], {
+  interaction: req => (req.params.id ? 'read' : 'search-type')
+}), async (req, res, next) => {
+  const signal = abortOnClientDisconnect(req, res);
+  const { resourceType, id } = req.params;
+  const key = `fhir:${resourceType}`;
+  const url = `${req.session.fhirBaseUrl}/${resourceType}${id ? `/${encodeURIComponent(id)}` : ''}`;
+  let params;
+  try {
+    if (!req.session.accessToken) {
+      return next(notAuthenticated());
+    }
+    if (!req.session.patientId) {
+      return next(noPatientContext());
+    }
+    if (!isProxiedType(resourceType)) {
+      return next(httpError(404, 'UNSUPPORTED_RESOURCE_TYPE', `Resource type ${resourceType} is not available through this proxy`, {
+        hints: [`Supported types: ${Object.keys(SEARCH_PARAMS).join(', ')}`]
+      }));
+    }
+
+    const filtered = filterSearchParams(resourceType, req.query);
+    if (id && Object.keys(filtered.params).length) filtered.rejected.push(...Object.keys(filtered.params));
+    if (filtered.rejected.length) {
+      return next(httpError(400, 'UNSUPPORTED_SEARCH_PARAMETER', 'Unsupported search parameters', {
+        diagnostics: [`Not allowed for ${resourceType}${id ? ' reads' : ''}: ${filtered.rejected.join(', ')}`],
+        hints: [id ? 'Reads take no search parameters' : `Allowed: ${filtered.allowed.join(', ')}`]
+      }));
+    }
+    params = id ? undefined : {
+      _count: FHIR_PAGE_SIZE,
+      ...filtered.params,
+      ...patientParams(resourceType, req.session.patientId)
+    };
+
+    if (req.session.demoMode) {
+      const resources = demoResources(resourceType);
+      if (id) {
+        const resource = resources.find(r => r.id === id);
+        return resource ? res.json(resource) : next(httpError(404, 'NOT_FOUND', `${resourceType}/${id} not found`));
+      }
+      return sendBundle(req, res, {
+        resourceType: 'Bundle',
+        type: 'searchset',
+        entry: resources.map(resource => ({ resource })),
+        total: resources.length
+      });
+    }
+
+    // Don't spend an Epic call on something the token can't do
+    const scope = checkScope(sessionScopes(req), resourceType, id ? 'read' : 'search', params);
+    if (!scope.allowed) {
+      return next(httpError(403, 'SCOPE_NOT_GRANTED', 'Scope not granted', {
+        diagnostics: [`The access token has no scope for ${id ? 'reading' : 'searching'} ${resourceType}.`],
+        hints: [`Add ${scope.required.join(' or ')} to SMART_SCOPES (or the server's scopes) and re-launch.`]
+      }));
+    }
+
+    if (id) {
+      const response = await cachedFhirGet(req, url, { signal });
+      setLastEpicTrace(req, key, {
+        request: { method: 'GET', url },
+        response: {
+          status: response.status,
+          headers: pickSafeResponseHeaders(response.headers),
+          cache: response.cacheStatus || null
+        }
+      });
+      // Ids are guessable: only hand back resources about the session's patient
+      if (!belongsToPatient(response.data, req.session.patientId)) {
+        return next(httpError(404, 'NOT_FOUND', `${resourceType}/${id} not found`));
+      }
+      res.set('X-Cache', response.cacheStatus);
+      return res.json(response.data);
+    }
+
+    const result = await searchAllPages(req, url, { params, resourceType, signal });
+
+    req.session.lastEpicErrors = {
+      ...(req.session.lastEpicErrors || {}),
+      [key]: null
+    };
+
+    setLastEpicTrace(req, key, {
+      request: { method: 'GET', url, params },
+      response: pagingTrace(result)
+    });
+
+    sendBundle(req, res, {
+      resourceType: 'Bundle',
+      type: 'searchset',
+      entry: result.entries,
+      total: result.entries.length,
+      truncated: result.truncated,
+      paging: pagingSummary(result),
+      warnings: result.outcomes
+    });
+  } catch (error) {
+    if (signal.aborted) return;
+    if (isRelaunchRequired(error)) return next(upstreamError(error));
+    logger.error('FHIR proxy error', { resourceType, error });
+    const diagnostics = extractOperationOutcomeDiagnostics(error?.response?.data);
+    setLastEpicTrace(req, key, {
+      request: { method: 'GET', url, params },
+      response: {
+        status: error?.response?.status || null,
+        headers: pickSafeResponseHeaders(error?.response?.headers),
+        operationOutcome: error?.response?.data?.resourceType === 'OperationOutcome' ? error.response.data : null
+      }
+    });
+    req.session.lastEpicErrors = {
+      ...(req.session.lastEpicErrors || {}),
+      [key]: {
+        errorStatus: error?.response?.status || null,
+        diagnostics
+      }
+    };
+    next(upstreamError(error, `Failed to fetch ${resourceType}`, {
+      hints: [remediationHint(resourceType, diagnostics)]
+    }));
+  }
+});
+
+// ============================================
+// Bulk Data Export (SMART Backend Services)
+// ============================================
+
+const RESOURCE_TYPE_PATTERN = /^[A-Z][A-Za-z]+$/;
+
+// Start a Group or Patient level $export
+// Body: { server?, groupId?, types?: ['Patient', 'Observation'], since?: ISO date, typeFilter? }
+app.post('/api/bulk/exports', requireAdminKey, async (req, res, next) => {
+  try {
+    const { server, groupId, types, since, typeFilter } = req.body || {};
+    if (types !== undefined && (!Array.isArray(types) || !types.every(t => RESOURCE_TYPE_PATTERN.test(t)))) {
+      return next(httpError(400, 'INVALID_REQUEST', 'types must be an array of FHIR resource type names'));
+    }
+    if (since !== undefined && Number.isNaN(Date.parse(since))) {
+      return next(httpError(400, 'INVALID_REQUEST', 'since must be an ISO 8601 date/time'));
+    }
+    const job = await bulkExport.startExport({
+      serverName: server || getDefaultServer()?.name,
+      groupId,
+      types,
+      since,
+      typeFilter
+    });
+    res.status(202).json(job);
+  } catch (error) {
+    logger.error('Bulk export kick-off error', { error });
+    if (error.operationOutcomeError) return next(error);
+    next(error.status && !error.response
+      ? httpError(error.status, 'BULK_EXPORT_FAILED', 'Failed to start bulk export', { diagnostics: [error.message] })
+      : upstreamError(error, 'Failed to start bulk export'));
+  }
+});
+
+app.get('/api/bulk/exports', requireAdminKey, (req, res) => {
+  res.json({ jobs: bulkExport.listJobs() });
+});
+
+app.get('/api/bulk/exports/:id', requireAdminKey, (req, res, next) => {
+  const job = bulkExport.getJob(req.params.id);
+  if (!job) return next(httpError(404, 'NOT_FOUND', 'Export job not found'));
+  res.json(job);
+});
+
+app.delete('/api/bulk/exports/:id', requireAdminKey, async (req, res, next) => {
+  try {
+    const job = await bulkExport.cancelExport(req.params.id);
+    if (!job) return next(httpError(404, 'NOT_FOUND', 'Export job not found'));
+    res.json(job);
+  } catch (error) {
+    logger.error('Bulk export cancel error', { error });
+    next(error);
+  }
+});
+
+// Download one NDJSON output file of a completed job
+app.get('/api/bulk/exports/:id/files/:file', requireAdminKey, (req, res, next) => {
+  const filePath = bulkExport.getOutputFilePath(req.params.id, req.params.file);
+  if (!filePath) return next(httpError(404, 'NOT_FOUND', 'Export file not found'));
+  res.type('application/fhir+ndjson');
+  res.sendFile(filePath);
+});
+
+// ============================================
+// Audit Trail (PHI access, lib/audit-log.js)
+// ============================================
+
+const MAX_AUDIT_EVENTS = 1000;
+
+// Query: patient=<id>, user=<fhirUser reference or subject>, date=ge2026-01-01&date=le2026-01-31, _count=<n>
+function parseAuditQuery(req) {
+  const count = req.query._count === undefined ? MAX_AUDIT_EVENTS : Number(req.query._count);
+  if (!Number.isInteger(count) || count < 1 || count > MAX_AUDIT_EVENTS) {
+    throw httpError(400, 'INVALID_SEARCH_FILTER', 'Invalid _count', { diagnostics: [`_count must be 1-${MAX_AUDIT_EVENTS}`] });
+  }
+  try {
+    return {
+      patient: typeof req.query.patient === 'string' ? req.query.patient : undefined,
+      user: typeof req.query.user === 'string' ? req.query.user : undefined,
+      dateFilters: parseDateFilters(req.query.date),
+      limit: count
+    };
+  } catch (filterError) {
+    throw httpError(400, 'INVALID_SEARCH_FILTER', 'Invalid audit filter', { diagnostics: [filterError.message] });
+  }
+}
+
+app.get('/api/audit/events', requireAdminKey, async (req, res, next) => {
+  try {
+    const events = await queryEvents(parseAuditQuery(req));
     res.json({
       resourceType: 'Bundle',
       type: 'searchset',
-      entry: [],
-      total: 0,
-      note: missingTargets.length
-        ? `Medications not available. Epic app is not authorized for: ${missingTargets.join(', ')}. Enable those APIs in the Epic developer portal, then re-launch to get a fresh token.`
-        : 'Medications not available. Check /api/debug/epic for the exact Epic denial message, then enable the matching MedicationRequest APIs in your Epic app registration.'
+      total: events.length,
+      entry: events.map(resource => ({ fullUrl: `urn:uuid:${resource.id}`, resource }))
     });
+  } catch (error) {
+    next(error);
   }
 });
 
-// Logout
-app.get('/logout', (req, res) => {
-  req.session.destroy();
-  res.redirect('/');
+// Same filters as /api/audit/events, downloaded as NDJSON
+app.get('/api/audit/export', requireAdminKey, async (req, res, next) => {
+  try {
+    const events = await queryEvents(parseAuditQuery(req));
+    res.attachment(`audit-events-${new Date().toISOString().slice(0, 10)}.ndjson`);
+    res.type('application/fhir+ndjson');
+    res.send(events.map(event => `${JSON.stringify(event)}\n`).join(''));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Recompute the hash chain over the whole audit file
+app.get('/api/audit/verify', requireAdminKey, async (req, res, next) => {
+  try {
+    const result = await verifyChain();
+    if (!result.valid) logger.error('Audit chain verification failed', { brokenAt: result.brokenAt });
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Logout: revoke the tokens at the authorization server (RFC 7009) when it advertises a
+// revocation_endpoint, drop cached FHIR data, record the logout, then end the session here
+// and, with LOGOUT_END_SESSION=true, at the OpenID Connect end_session_endpoint
+app.get('/logout', async (req, res) => {
+  const session = req.session;
+  let redirectUrl = '/';
+  if (session.accessToken) {
+    let revocation = null;
+    // Whatever fails here (unknown server, bad end_session_endpoint), the local session still ends
+    try {
+      const server = session.demoMode ? null : getSessionServer(req);
+      revocation = server ? await revokeSessionTokens(session, server) : null;
+      redirectUrl = (server && endSessionUrl(session, server)) || '/';
+    } catch (error) {
+      logger.error('Logout revocation error', { error });
+    }
+    clearSessionCache(req.sessionID);
+    try {
+      await recordLogout({ session, revocation, sourceIp: req.ip });
+    } catch (error) {
+      logger.error('Audit write failed', { error });
+    }
+    logger.info('Logged out', {
+      server: session.serverName || null,
+      revocation: revocation?.endpoint ? revocation.results.map(r => ({ tokenType: r.tokenType, revoked: r.revoked })) : 'not advertised'
+    });
+  }
+  req.session.destroy(error => {
+    if (error) logger.warn('Session destroy failed', { error });
+    res.clearCookie(SESSION_COOKIE_NAME);
+    res.redirect(redirectUrl);
+  });
 });
 
+// Unknown /api routes and every route error answer with an OperationOutcome (lib/errors.js)
+app.use('/api', apiNotFound);
+app.use(errorHandler);
+
 // Start server
 app.listen(PORT, () => {
+  bulkExport.resumeJobs();
+  logger.info('Server started', { port: Number(PORT), demoMode: DEMO_MODE });
+  if (usesDerivedKey()) {
+    logger.warn('SESSION_ENCRYPTION_KEYS is not set; session tokens are encrypted with a key derived from SESSION_SECRET');
+  }
+  // The banner is for local development; production logs stay one JSON object per line
+  if (process.env.NODE_ENV === 'production') return;
   console.log(`
 ╔═══════════════════════════════════════════════════════════════╗
 ║           SMART on FHIR App for Epic Sandbox                  ║
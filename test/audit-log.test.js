@@ -0,0 +1,116 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-log-'));
+const auditFile = path.join(dir, 'audit.ndjson');
+const lockFile = `${auditFile}.lock`;
+let auditLog;
+
+function event(id) {
+  return { resourceType: 'AuditEvent', id, recorded: new Date().toISOString() };
+}
+
+// Another app instance writing the same file
+function runWriter(prefix, count) {
+  const script = `
+    const { appendEvent } = require(${JSON.stringify(path.join(__dirname, '..', 'lib', 'audit-log'))});
+    Promise.all(Array.from({ length: ${count} }, (_, i) => appendEvent({ resourceType: 'AuditEvent', id: '${prefix}-' + i })))
+      .then(() => process.exit(0), error => { console.error(error); process.exit(1); });
+  `;
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, ['-e', script], {
+      env: { ...process.env, AUDIT_LOG_FILE: auditFile, LOG_LEVEL: 'error' },
+      stdio: ['ignore', 'ignore', 'inherit']
+    });
+    child.on('error', reject);
+    child.on('exit', code => (code === 0 ? resolve() : reject(new Error(`writer ${prefix} exited with ${code}`))));
+  });
+}
+
+function readLines() {
+  return fs.readFileSync(auditFile, 'utf8').split('\n').filter(Boolean);
+}
+
+before(() => {
+  // The file path is read when the module is first required
+  process.env.AUDIT_LOG_FILE = auditFile;
+  process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+  auditLog = require('../lib/audit-log');
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('appends in one process are chained in call order', async () => {
+  await Promise.all(Array.from({ length: 20 }, (_, i) => auditLog.appendEvent(event(`local-${i}`))));
+
+  const records = readLines().map(line => JSON.parse(line));
+  assert.deepEqual(records.map(r => r.seq), Array.from({ length: 20 }, (_, i) => i + 1));
+  assert.deepEqual(records.map(r => r.event.id), Array.from({ length: 20 }, (_, i) => `local-${i}`));
+  assert.deepEqual(await auditLog.verifyChain(), { valid: true, count: 20, lastHash: records[19].hash });
+});
+
+test('several writers sharing the file keep one chain', async () => {
+  await Promise.all([
+    runWriter('a', 50),
+    runWriter('b', 50),
+    ...Array.from({ length: 50 }, (_, i) => auditLog.appendEvent(event(`c-${i}`)))
+  ]);
+
+  const result = await auditLog.verifyChain();
+  assert.equal(result.valid, true, JSON.stringify(result.brokenAt));
+  assert.equal(result.count, 170);
+  assert.equal(fs.existsSync(lockFile), false);
+});
+
+test('a lock left by a writer that exited is broken', async () => {
+  const exited = spawn(process.execPath, ['-e', '']);
+  await new Promise(resolve => exited.on('exit', resolve));
+  fs.writeFileSync(lockFile, JSON.stringify({ token: 'dead', pid: exited.pid, host: os.hostname() }));
+
+  await auditLog.appendEvent(event('after-dead-writer'));
+  assert.equal(fs.existsSync(lockFile), false);
+  assert.equal((await auditLog.verifyChain()).valid, true);
+});
+
+test('a lock held by a live writer is waited for, not broken', async () => {
+  fs.writeFileSync(lockFile, JSON.stringify({ token: 'live', pid: process.pid, host: os.hostname() }));
+  let written = false;
+  const append = auditLog.appendEvent(event('after-live-writer')).then(() => { written = true; });
+
+  await new Promise(resolve => setTimeout(resolve, 100));
+  assert.equal(written, false);
+  assert.equal(JSON.parse(fs.readFileSync(lockFile, 'utf8')).token, 'live');
+
+  fs.unlinkSync(lockFile);
+  await append;
+  assert.equal(written, true);
+  assert.equal((await auditLog.verifyChain()).valid, true);
+});
+
+test('verifyChain finds an edited, removed or reordered record', async () => {
+  const original = readLines();
+
+  const edited = [...original];
+  const record = JSON.parse(edited[4]);
+  record.event.id = 'tampered';
+  edited[4] = JSON.stringify(record);
+  fs.writeFileSync(auditFile, `${edited.join('\n')}\n`);
+  assert.deepEqual((await auditLog.verifyChain()).brokenAt, { seq: 5, line: 5, problem: 'hash does not match the record' });
+
+  fs.writeFileSync(auditFile, `${original.filter((_, i) => i !== 4).join('\n')}\n`);
+  assert.deepEqual((await auditLog.verifyChain()).brokenAt, { seq: 6, line: 5, problem: 'expected seq 5' });
+
+  const reordered = [...original];
+  [reordered[4], reordered[5]] = [reordered[5], reordered[4]];
+  fs.writeFileSync(auditFile, `${reordered.join('\n')}\n`);
+  assert.equal((await auditLog.verifyChain()).brokenAt.line, 5);
+
+  fs.writeFileSync(auditFile, `${original.join('\n')}\n`);
+  assert.equal((await auditLog.verifyChain()).valid, true);
+});
@@ -0,0 +1,147 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// A local token endpoint standing in for the server's; each request is recorded
+const tokenRequests = [];
+let tokenResponse = () => ({ access_token: `token-${tokenRequests.length}`, token_type: 'Bearer', expires_in: 3600 });
+const tokenServer = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    tokenRequests.push(Object.fromEntries(new URLSearchParams(body)));
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(tokenResponse()));
+  });
+});
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'backend-services-'));
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+let tokenEndpoint;
+let backendServices;
+
+function decodeAssertion(jwt) {
+  const [header, payload, signature] = jwt.split('.');
+  const valid = crypto.verify('sha384', Buffer.from(`${header}.${payload}`), publicKey, Buffer.from(signature, 'base64url'));
+  return {
+    header: JSON.parse(Buffer.from(header, 'base64url')),
+    payload: JSON.parse(Buffer.from(payload, 'base64url')),
+    valid
+  };
+}
+
+before(async () => {
+  await new Promise(resolve => tokenServer.listen(0, '127.0.0.1', resolve));
+  tokenEndpoint = `http://127.0.0.1:${tokenServer.address().port}/oauth2/token`;
+  const keyFile = path.join(dir, 'backend.pem');
+  fs.writeFileSync(keyFile, privateKey.export({ type: 'pkcs8', format: 'pem' }));
+  fs.writeFileSync(path.join(dir, 'fhir-servers.json'), JSON.stringify({
+    servers: [{
+      name: 'test-server',
+      fhirBaseUrl: 'http://127.0.0.1:1/api/FHIR/R4',
+      clientId: 'user-client',
+      backendServices: {
+        clientId: 'backend-client',
+        privateKeyFile: keyFile,
+        scope: 'system/Patient.read',
+        tokenEndpoint
+      }
+    }]
+  }));
+  // The registry is read when it is first required
+  process.env.FHIR_SERVERS_FILE = path.join(dir, 'fhir-servers.json');
+  backendServices = require('../lib/backend-services');
+});
+
+after(() => {
+  tokenServer.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  tokenRequests.length = 0;
+  backendServices.clearSystemTokenCache();
+  tokenResponse = () => ({ access_token: `token-${tokenRequests.length}`, token_type: 'Bearer', expires_in: 3600 });
+});
+
+test('client_credentials request carries a signed private_key_jwt assertion', async () => {
+  const token = await backendServices.getSystemToken('test-server');
+
+  assert.equal(token.accessToken, 'token-1');
+  assert.equal(tokenRequests.length, 1);
+  const request = tokenRequests[0];
+  assert.equal(request.grant_type, 'client_credentials');
+  assert.equal(request.scope, 'system/Patient.read');
+  assert.equal(request.client_assertion_type, 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer');
+
+  const { header, payload, valid } = decodeAssertion(request.client_assertion);
+  assert.ok(valid, 'assertion signature verifies with the backend public key');
+  assert.equal(header.alg, 'RS384');
+  assert.ok(header.kid);
+  assert.equal(payload.iss, 'backend-client');
+  assert.equal(payload.sub, 'backend-client');
+  assert.equal(payload.aud, tokenEndpoint);
+  assert.ok(payload.jti);
+  assert.ok(payload.exp - payload.iat <= 300, 'assertion lives at most 5 minutes');
+});
+
+test('tokens are cached per scope and shared between concurrent callers', async () => {
+  const [a, b] = await Promise.all([
+    backendServices.getSystemToken('test-server'),
+    backendServices.getSystemToken('test-server')
+  ]);
+  const c = await backendServices.getSystemToken('test-server');
+  assert.equal(tokenRequests.length, 1);
+  assert.equal(a.accessToken, b.accessToken);
+  assert.equal(a.accessToken, c.accessToken);
+
+  const other = await backendServices.getSystemToken('test-server', { scope: 'system/Observation.read' });
+  assert.equal(tokenRequests.length, 2);
+  assert.equal(tokenRequests[1].scope, 'system/Observation.read');
+  assert.notEqual(other.accessToken, a.accessToken);
+
+  // Every request signs a new assertion
+  const jtis = tokenRequests.map(r => decodeAssertion(r.client_assertion).payload.jti);
+  assert.notEqual(jtis[0], jtis[1]);
+});
+
+test('forceRefresh and nearly expired tokens request a new token', async () => {
+  await backendServices.getSystemToken('test-server');
+  await backendServices.getSystemToken('test-server', { forceRefresh: true });
+  assert.equal(tokenRequests.length, 2);
+
+  // Expires inside the refresh margin, so it is not reused
+  backendServices.clearSystemTokenCache();
+  tokenResponse = () => ({ access_token: `short-${tokenRequests.length}`, expires_in: 30 });
+  const first = await backendServices.getSystemToken('test-server');
+  const second = await backendServices.getSystemToken('test-server');
+  assert.notEqual(first.accessToken, second.accessToken);
+  assert.equal(tokenRequests.length, 4);
+});
+
+test('token endpoint errors are reported with the status and error description', async () => {
+  const failing = http.createServer((req, res) => {
+    req.resume();
+    req.on('end', () => {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'invalid_client', error_description: 'Unknown JWK' }));
+    });
+  });
+  await new Promise(resolve => failing.listen(0, '127.0.0.1', resolve));
+  const server = require('../lib/server-registry').getServer('test-server');
+  server.backendServices.tokenEndpoint = `http://127.0.0.1:${failing.address().port}/token`;
+  try {
+    await assert.rejects(backendServices.getSystemToken('test-server'), error => {
+      assert.equal(error.status, 400);
+      assert.match(error.message, /Unknown JWK/);
+      return true;
+    });
+  } finally {
+    server.backendServices.tokenEndpoint = tokenEndpoint;
+    failing.close();
+  }
+});
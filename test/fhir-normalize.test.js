@@ -0,0 +1,211 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  normalizeCondition,
+  normalizeMedicationRequest,
+  normalizeObservation,
+  parseReference,
+  toSummaryView
+} = require('../lib/fhir-normalize');
+
+const observations = require('../mock/fixtures/Observation.json');
+const conditions = require('../mock/fixtures/Condition.json');
+const medicationRequests = require('../mock/fixtures/MedicationRequest.json');
+const medications = require('../mock/fixtures/Medication.json');
+
+// A searchset the way Epic returns it: matches first, `_include`d resources after
+function searchset(matches, included = []) {
+  return {
+    resourceType: 'Bundle',
+    type: 'searchset',
+    total: matches.length,
+    link: [{ relation: 'self', url: 'https://example.org/fhir/Test' }],
+    entry: [
+      ...matches.map(resource => ({ resource, search: { mode: 'match' } })),
+      ...included.map(resource => ({ resource, search: { mode: 'include' } }))
+    ]
+  };
+}
+
+function fixture(list, id) {
+  return structuredClone(list.find(r => r.id === id));
+}
+
+test('toSummaryView maps an observation bundle to view models', () => {
+  const view = toSummaryView(searchset(observations));
+
+  assert.equal(view.view, 'summary');
+  assert.equal(view.total, observations.length);
+  assert.deepEqual(view.link, [{ relation: 'self', url: 'https://example.org/fhir/Test' }]);
+  assert.equal(view.entry, undefined);
+
+  const glucose = view.items.find(i => i.reference === 'Observation/mock-obs-glucose-1');
+  assert.equal(glucose.resourceType, 'Observation');
+  assert.equal(glucose.title, 'Glucose [Mass/volume] in Serum or Plasma');
+  assert.equal(glucose.value, 182);
+  assert.equal(glucose.unit, 'mg/dL');
+  assert.equal(glucose.display, '182 mg/dL');
+  assert.equal(glucose.date, '2026-01-28T08:05:00Z');
+  assert.equal(glucose.status, 'final');
+  assert.equal(glucose.category, 'Laboratory');
+  assert.deepEqual(glucose.codings, [
+    { system: 'http://loinc.org', code: '2345-7', display: 'Glucose [Mass/volume] in Serum or Plasma' }
+  ]);
+
+  // Blood pressure has no value[x]; its display is built from the components
+  const bp = view.items.find(i => i.reference === 'Observation/mock-obs-bp-1');
+  assert.equal(bp.value, null);
+  assert.equal(bp.display, 'Systolic blood pressure: 136 mm[Hg] / Diastolic blood pressure: 88 mm[Hg]');
+  assert.deepEqual(bp.components.map(c => c.title), ['Systolic blood pressure', 'Diastolic blood pressure']);
+});
+
+test('toSummaryView maps conditions and medication requests', () => {
+  const conditionView = toSummaryView(searchset(conditions));
+  assert.equal(conditionView.total, conditions.length);
+  const asthma = conditionView.items.find(i => i.reference === 'Condition/mock-cond-asthma');
+  assert.equal(asthma.title, 'Asthma');
+  assert.equal(asthma.value, null);
+  assert.deepEqual(asthma.codings.map(c => c.code), ['195967001']);
+
+  const medicationView = toSummaryView(searchset(medicationRequests, medications));
+  // Included Medications resolve references but are not items themselves
+  assert.equal(medicationView.total, medicationRequests.length);
+  assert.ok(medicationView.items.every(i => i.resourceType === 'MedicationRequest'));
+  const lisinopril = medicationView.items.find(i => i.reference === 'MedicationRequest/mock-medreq-lisinopril');
+  assert.equal(lisinopril.title, 'Lisinopril 10 mg tablet');
+  assert.equal(lisinopril.display, 'Take 1 tablet by mouth daily');
+  assert.equal(lisinopril.date, '2024-01-15');
+  assert.deepEqual(lisinopril.rxnorm.map(c => c.code), ['314076']);
+  assert.equal(lisinopril.medication, null);
+});
+
+test('toSummaryView skips resource types it has no view model for', () => {
+  const view = toSummaryView(searchset([{ resourceType: 'OperationOutcome', issue: [] }, observations[0]]));
+  assert.equal(view.total, 1);
+  assert.equal(toSummaryView(undefined).total, 0);
+});
+
+test('observation titles fall back from code to category, components and members', () => {
+  const obs = fixture(observations, 'mock-obs-hr-1');
+  assert.equal(normalizeObservation(obs).title, 'Heart rate');
+
+  obs.code = { coding: [{ system: 'http://loinc.org', code: '8867-4' }] };
+  assert.equal(normalizeObservation(obs).title, '8867-4');
+
+  delete obs.code;
+  assert.equal(normalizeObservation(obs).title, 'Vital Signs');
+
+  delete obs.category;
+  assert.equal(normalizeObservation(obs).title, 'Observation');
+
+  const bp = fixture(observations, 'mock-obs-bp-1');
+  delete bp.code;
+  delete bp.category;
+  assert.equal(normalizeObservation(bp).title, 'Composite Observation');
+
+  const panel = { resourceType: 'Observation', id: 'panel', hasMember: [{ reference: 'Observation/a' }, { reference: 'Observation/b' }] };
+  const normalized = normalizeObservation(panel);
+  assert.equal(normalized.title, 'Observation Panel (2)');
+  assert.equal(normalized.display, 'Panel (2 items)');
+  assert.equal(normalized.status, 'unknown');
+});
+
+test('condition titles fall back from code to body site, severity, category and status', () => {
+  const cond = fixture(conditions, 'mock-cond-asthma');
+  delete cond.code;
+  cond.bodySite = [{ text: 'Left lung' }];
+  assert.equal(normalizeCondition(cond).title, 'Left lung');
+
+  delete cond.bodySite;
+  cond.severity = { coding: [{ display: 'Severe' }] };
+  assert.equal(normalizeCondition(cond).title, 'Severe Condition');
+
+  delete cond.severity;
+  cond.category = [{ text: 'Problem List Item' }];
+  assert.equal(normalizeCondition(cond).title, 'Problem List Item');
+
+  delete cond.category;
+  cond.clinicalStatus = { coding: [{ code: 'active' }] };
+  assert.equal(normalizeCondition(cond).title, 'Active Condition');
+
+  delete cond.clinicalStatus;
+  assert.equal(normalizeCondition(cond).title, 'Condition');
+});
+
+test('medication request titles fall back through reference display, identifier, reason, category and status', () => {
+  const med = fixture(medicationRequests, 'mock-medreq-atorvastatin');
+  // Unresolved reference: the reference display is used
+  assert.equal(normalizeMedicationRequest(med).title, 'Atorvastatin 20 mg tablet');
+
+  delete med.medicationReference;
+  med.identifier = [{ value: 'ORD-0123456789-ABCDEFGHIJ' }];
+  assert.equal(normalizeMedicationRequest(med).title, 'Medication (ID: ORD-0123456789-ABCDE)');
+
+  delete med.identifier;
+  med.reasonCode = [{ text: 'High cholesterol' }];
+  assert.equal(normalizeMedicationRequest(med).title, 'Medication for High cholesterol');
+
+  delete med.reasonCode;
+  med.category = [{ coding: [{ code: 'outpatient', display: 'Outpatient' }] }];
+  assert.equal(normalizeMedicationRequest(med).title, 'Outpatient Medication');
+
+  delete med.category;
+  assert.equal(normalizeMedicationRequest(med).title, 'Active Medication');
+
+  delete med.status;
+  const normalized = normalizeMedicationRequest(med);
+  assert.equal(normalized.title, 'Unknown Medication');
+  assert.equal(normalized.status, 'unknown');
+});
+
+test('medication references resolve against included Medications', () => {
+  const view = toSummaryView(searchset(medicationRequests, medications));
+  const atorvastatin = view.items.find(i => i.reference === 'MedicationRequest/mock-medreq-atorvastatin');
+
+  assert.equal(atorvastatin.medication.reference, 'Medication/mock-med-atorvastatin');
+  assert.equal(atorvastatin.medication.title, 'Atorvastatin 20 mg tablet');
+  assert.deepEqual(atorvastatin.rxnorm.map(c => c.code), ['617310']);
+  assert.deepEqual(atorvastatin.codings.map(c => c.code), ['617310']);
+
+  // Without the include only the reference display is left
+  const unresolved = toSummaryView(searchset(medicationRequests))
+    .items.find(i => i.reference === 'MedicationRequest/mock-medreq-atorvastatin');
+  assert.equal(unresolved.medication, null);
+  assert.deepEqual(unresolved.rxnorm, []);
+});
+
+test('medication references resolve contained Medications', () => {
+  const med = fixture(medicationRequests, 'mock-medreq-albuterol');
+  const medication = fixture(medications, 'mock-med-albuterol');
+  medication.id = 'med1';
+  med.contained = [medication];
+  med.medicationReference = { reference: '#med1' };
+
+  const normalized = normalizeMedicationRequest(med);
+  assert.equal(normalized.title, 'Albuterol 90 mcg/actuation inhaler');
+  assert.equal(normalized.medication.reference, 'Medication/med1');
+  assert.deepEqual(normalized.rxnorm.map(c => c.code), ['745752']);
+
+  med.medicationReference = { reference: '#missing', display: 'Inhaler' };
+  assert.equal(normalizeMedicationRequest(med).medication, null);
+  assert.equal(normalizeMedicationRequest(med).title, 'Inhaler');
+});
+
+test('versioned and absolute medication references resolve to the included Medication', () => {
+  for (const reference of [
+    'Medication/mock-med-atorvastatin/_history/2',
+    'https://fhir.example.org/api/FHIR/R4/Medication/mock-med-atorvastatin',
+    'https://fhir.example.org/api/FHIR/R4/Medication/mock-med-atorvastatin/_history/7'
+  ]) {
+    const med = fixture(medicationRequests, 'mock-medreq-atorvastatin');
+    med.medicationReference = { reference };
+    const view = toSummaryView(searchset([med], medications));
+    assert.equal(view.items[0].medication?.reference, 'Medication/mock-med-atorvastatin', reference);
+  }
+
+  assert.deepEqual(parseReference('Medication/abc/_history/3'), { type: 'Medication', id: 'abc' });
+  assert.equal(parseReference('Patient/abc')?.type, 'Patient');
+  assert.equal(parseReference('#abc'), null);
+  assert.equal(parseReference(undefined), null);
+});
@@ -0,0 +1,48 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { belongsToPatient, filterSearchParams, patientParams } = require('../lib/fhir-proxy');
+const { toOperationOutcome } = require('../lib/errors');
+
+test('searches are pinned to the session patient', () => {
+  assert.deepEqual(patientParams('Observation', 'eJason-Argonaut'), { patient: 'eJason-Argonaut' });
+  assert.deepEqual(patientParams('Patient', 'eJason-Argonaut'), { _id: 'eJason-Argonaut' });
+});
+
+test('without a session patient nothing is searched', () => {
+  for (const patientId of [undefined, null, '']) {
+    assert.throws(() => patientParams('Observation', patientId), error => {
+      assert.equal(error.status, 409);
+      assert.equal(error.code, 'NO_PATIENT_CONTEXT');
+      const outcome = toOperationOutcome(error, 'correlation-1');
+      assert.equal(outcome.resourceType, 'OperationOutcome');
+      assert.equal(outcome.issue[0].details.coding[0].code, 'NO_PATIENT_CONTEXT');
+      return true;
+    });
+    assert.throws(() => patientParams('Patient', patientId), { code: 'NO_PATIENT_CONTEXT' });
+  }
+});
+
+test('the caller cannot choose the patient', () => {
+  const { params, rejected } = filterSearchParams('Observation', {
+    patient: 'someone-else',
+    subject: 'Patient/someone-else',
+    category: 'laboratory',
+    view: 'summary',
+    'code:text': 'glucose',
+    unknown: 'x'
+  });
+  assert.deepEqual(params, { category: 'laboratory', 'code:text': 'glucose' });
+  assert.deepEqual(rejected, ['unknown']);
+});
+
+test('reads only return resources about the session patient', () => {
+  const observation = { resourceType: 'Observation', subject: { reference: 'Patient/p1' } };
+  const allergy = { resourceType: 'AllergyIntolerance', patient: { reference: 'https://fhir.example.org/Patient/p1' } };
+  assert.equal(belongsToPatient(observation, 'p1'), true);
+  assert.equal(belongsToPatient(observation, 'p2'), false);
+  assert.equal(belongsToPatient(observation, undefined), false);
+  assert.equal(belongsToPatient(allergy, 'p1'), true);
+  assert.equal(belongsToPatient({ resourceType: 'Patient', id: 'p1' }, 'p1'), true);
+  assert.equal(belongsToPatient({ resourceType: 'Coverage', beneficiary: { reference: 'Group/p1' } }, 'p1'), false);
+});
@@ -0,0 +1,161 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+
+const { verifyIdToken, parseFhirUser } = require('../lib/id-token');
+
+const ISSUER = 'https://auth.example.org/oauth2';
+const CLIENT_ID = 'test-client';
+const rsaKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const ecKey = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+const rotatedKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+function jwk(keyPair, kid) {
+  return { ...keyPair.publicKey.export({ format: 'jwk' }), kid, use: 'sig' };
+}
+
+// Published keys and how often they were fetched, per JWKS path
+let published = {};
+const fetches = {};
+const jwksServer = http.createServer((req, res) => {
+  fetches[req.url] = (fetches[req.url] || 0) + 1;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify({ keys: published[req.url] || [] }));
+});
+let jwksBase;
+
+function sign({ header = {}, claims = {}, keyPair = rsaKey, kid = 'rsa-1', alg = 'RS256' } = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const head = encode({ alg, kid, typ: 'JWT', ...header });
+  const payload = encode({ iss: ISSUER, sub: 'user-1', aud: CLIENT_ID, iat: now, exp: now + 300, nonce: 'nonce-1', ...claims });
+  const hash = { RS256: 'sha256', ES256: 'sha256' }[alg];
+  const key = alg.startsWith('ES') ? { key: keyPair.privateKey, dsaEncoding: 'ieee-p1363' } : keyPair.privateKey;
+  return `${head}.${payload}.${crypto.sign(hash, Buffer.from(`${head}.${payload}`), key).toString('base64url')}`;
+}
+
+// Each test gets its own JWKS URL, so the module's JWKS cache starts empty
+let jwksCount = 0;
+function newJwks(keys) {
+  const path = `/jwks-${++jwksCount}`;
+  published[path] = keys;
+  return { path, jwksUri: `${jwksBase}${path}` };
+}
+
+function options(jwksUri, overrides = {}) {
+  return { jwksUri, issuer: ISSUER, clientId: CLIENT_ID, nonce: 'nonce-1', ...overrides };
+}
+
+before(async () => {
+  await new Promise(resolve => jwksServer.listen(0, '127.0.0.1', resolve));
+  jwksBase = `http://127.0.0.1:${jwksServer.address().port}`;
+});
+
+after(() => {
+  jwksServer.close();
+  published = {};
+});
+
+test('a valid RS256 or ES256 id_token returns its claims', async () => {
+  const { jwksUri } = newJwks([jwk(rsaKey, 'rsa-1'), jwk(ecKey, 'ec-1')]);
+
+  const claims = await verifyIdToken(sign({ claims: { fhirUser: 'Practitioner/abc' } }), options(jwksUri));
+  assert.equal(claims.sub, 'user-1');
+  assert.equal(claims.fhirUser, 'Practitioner/abc');
+
+  const ecClaims = await verifyIdToken(sign({ keyPair: ecKey, kid: 'ec-1', alg: 'ES256' }), options(jwksUri));
+  assert.equal(ecClaims.sub, 'user-1');
+
+  // An issuer with a trailing slash and aud as a list are fine
+  await verifyIdToken(sign({ claims: { aud: ['other', CLIENT_ID] } }), options(jwksUri, { issuer: `${ISSUER}/` }));
+});
+
+test('a bad signature is rejected', async () => {
+  const { jwksUri } = newJwks([jwk(rsaKey, 'rsa-1')]);
+  const [header, , signature] = sign().split('.');
+  const forged = Buffer.from(JSON.stringify({ iss: ISSUER, sub: 'admin', aud: CLIENT_ID, exp: 9999999999, nonce: 'nonce-1' })).toString('base64url');
+  await assert.rejects(verifyIdToken(`${header}.${forged}.${signature}`, options(jwksUri)), /signature is invalid/);
+
+  // Signed by a key the issuer doesn't publish under that kid
+  await assert.rejects(verifyIdToken(sign({ keyPair: rotatedKey }), options(jwksUri)), /signature is invalid/);
+  await assert.rejects(verifyIdToken('not-a-jwt', options(jwksUri)), /not a compact JWS/);
+  await assert.rejects(verifyIdToken(sign({ alg: 'HS256' }), options(jwksUri)), /Unsupported id_token signing algorithm: HS256/);
+});
+
+test('issuer, audience, expiry and nonce are checked', async () => {
+  const { jwksUri } = newJwks([jwk(rsaKey, 'rsa-1')]);
+  await assert.rejects(verifyIdToken(sign({ claims: { iss: 'https://evil.example.org' } }), options(jwksUri)), /issuer mismatch/);
+  await assert.rejects(verifyIdToken(sign({ claims: { aud: 'another-client' } }), options(jwksUri)), /audience does not match/);
+
+  const now = Math.floor(Date.now() / 1000);
+  await assert.rejects(verifyIdToken(sign({ claims: { exp: now - 120 } }), options(jwksUri)), /has expired/);
+  // Within the allowed clock skew
+  await verifyIdToken(sign({ claims: { exp: now - 30 } }), options(jwksUri));
+
+  await assert.rejects(verifyIdToken(sign({ claims: { nonce: 'replayed' } }), options(jwksUri)), /nonce mismatch/);
+  await assert.rejects(verifyIdToken(sign({ claims: { nonce: undefined } }), options(jwksUri)), /nonce mismatch/);
+});
+
+test('a key of the wrong type for the algorithm is refused', async () => {
+  const { jwksUri } = newJwks([jwk(rsaKey, 'rsa-1'), jwk(ecKey, 'ec-1')]);
+  // ES256 header pointing at the RSA key
+  await assert.rejects(
+    verifyIdToken(sign({ keyPair: ecKey, kid: 'rsa-1', alg: 'ES256' }), options(jwksUri)),
+    /JWKS key "rsa-1" is RSA, but the id_token algorithm needs EC/
+  );
+  // Without a kid only keys of the algorithm's type are candidates
+  const claims = await verifyIdToken(sign({ keyPair: ecKey, alg: 'ES256', header: { kid: undefined } }), options(jwksUri));
+  assert.equal(claims.sub, 'user-1');
+});
+
+test('an unknown kid re-fetches the JWKS, at most every 30 seconds', async t => {
+  const { path, jwksUri } = newJwks([jwk(rsaKey, 'rsa-1')]);
+  await verifyIdToken(sign(), options(jwksUri));
+  assert.equal(fetches[path], 1);
+
+  // The issuer rotates its keys
+  published[path] = [jwk(rsaKey, 'rsa-1'), jwk(rotatedKey, 'rsa-2')];
+  const rotated = sign({ keyPair: rotatedKey, kid: 'rsa-2' });
+
+  // Just fetched: not again yet
+  await assert.rejects(verifyIdToken(rotated, options(jwksUri)), /No signing key found in JWKS for kid "rsa-2"/);
+  assert.equal(fetches[path], 1);
+
+  const realNow = Date.now();
+  t.mock.method(Date, 'now', () => realNow + 31 * 1000);
+  const claims = await verifyIdToken(rotated, options(jwksUri));
+  assert.equal(claims.sub, 'user-1');
+  assert.equal(fetches[path], 2);
+
+  // Cached now
+  await verifyIdToken(rotated, options(jwksUri));
+  assert.equal(fetches[path], 2);
+});
+
+test('fhirUser URLs are only built on the session FHIR server', () => {
+  const base = 'https://fhir.example.org/api/FHIR/R4';
+
+  assert.deepEqual(parseFhirUser({ fhirUser: 'Practitioner/abc' }, base), {
+    reference: 'Practitioner/abc',
+    resourceType: 'Practitioner',
+    id: 'abc',
+    url: `${base}/Practitioner/abc`
+  });
+  assert.equal(parseFhirUser({ fhirUser: `${base}/Practitioner/abc/_history/2` }, base).url, `${base}/Practitioner/abc`);
+  assert.equal(parseFhirUser({ profile: `${base}/Patient/p1` }, `${base}/`).url, `${base}/Patient/p1`);
+
+  for (const foreign of [
+    'https://evil.example.org/api/FHIR/R4/Practitioner/abc',
+    'https://fhir.example.org/other/Practitioner/abc',
+    'https://fhir.example.org/api/FHIR/R4-other/Practitioner/abc',
+    'http://fhir.example.org/api/FHIR/R4/Practitioner/abc'
+  ]) {
+    const parsed = parseFhirUser({ fhirUser: foreign }, base);
+    assert.equal(parsed.reference, 'Practitioner/abc', foreign);
+    assert.equal(parsed.url, null, foreign);
+  }
+
+  assert.equal(parseFhirUser({ fhirUser: 'Organization/abc' }, base), null);
+  assert.equal(parseFhirUser({}, base), null);
+});
@@ -0,0 +1,83 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { SECTIONS } = require('../lib/capability-report');
+const {
+  buildLaunchScopes,
+  missingSectionScopes,
+  parseSections,
+  reauthorizationScope,
+  scopeSyntax,
+  sectionScopes
+} = require('../lib/launch-scopes');
+
+const CATEGORY_SYSTEM = 'http://terminology.hl7.org/CodeSystem/observation-category';
+const V1_SCOPES = 'launch/patient openid fhirUser patient/Patient.read patient/Observation.read patient/Condition.read patient/MedicationRequest.read';
+const V2_SCOPES = 'launch/patient openid fhirUser offline_access patient/Patient.r patient/Observation.rs';
+const categories = ['laboratory', 'vital-signs'];
+
+function scopeList(scopeString) {
+  return scopeString.split(' ');
+}
+
+test('the baseline sections build exactly the baseline scopes', () => {
+  const server = { scopes: V1_SCOPES };
+  assert.equal(buildLaunchScopes(['patient', 'observations', 'conditions'], { server, observationCategories: categories }),
+    'launch/patient openid fhirUser patient/Patient.read patient/Observation.read patient/Condition.read');
+  // Medications read the MedicationRequest and the Medication it points at
+  assert.deepEqual(sectionScopes('medications', { syntax: 'v1' }), ['patient/MedicationRequest.read', 'patient/Medication.read']);
+});
+
+test('enabling a section adds only that section\'s scopes', () => {
+  for (const server of [{ scopes: V1_SCOPES }, { scopes: V2_SCOPES }]) {
+    const syntax = scopeSyntax(server);
+    const without = scopeList(buildLaunchScopes(['patient'], { server, observationCategories: categories }));
+    for (const { key } of SECTIONS.filter(s => s.key !== 'patient')) {
+      const withSection = scopeList(buildLaunchScopes(['patient', key], { server, observationCategories: categories }));
+      assert.deepEqual(withSection.slice(0, without.length), without, key);
+      assert.deepEqual(withSection.slice(without.length), sectionScopes(key, { syntax, observationCategories: categories }), key);
+    }
+  }
+});
+
+test('v2 servers get cruds letters and Observation scopes narrowed to the categories', () => {
+  const server = { scopes: V2_SCOPES };
+  assert.equal(scopeSyntax(server), 'v2');
+  assert.equal(scopeSyntax({ scopes: V2_SCOPES, scopeVersion: 'v1' }), 'v1');
+  assert.equal(
+    buildLaunchScopes(['patient', 'observations', 'documents'], { server, observationCategories: categories }),
+    [
+      'launch/patient openid fhirUser offline_access patient/Patient.r',
+      `patient/Observation.rs?category=${CATEGORY_SYSTEM}|laboratory`,
+      `patient/Observation.rs?category=${CATEGORY_SYSTEM}|vital-signs`,
+      'patient/DocumentReference.rs patient/Binary.r'
+    ].join(' ')
+  );
+  assert.deepEqual(sectionScopes('observations', { syntax: 'v2' }), ['patient/Observation.rs']);
+});
+
+test('sections are parsed from lists and unknown keys reported', () => {
+  assert.deepEqual(parseSections('observations, conditions,observations'), { sections: ['observations', 'conditions'], unknown: [] });
+  assert.deepEqual(parseSections(['patient', 'vitals']), { sections: ['patient'], unknown: ['vitals'] });
+  assert.deepEqual(parseSections(undefined), { sections: [], unknown: [] });
+});
+
+test('re-consent asks for what the token lacks and keeps what it has', () => {
+  const server = { scopes: V2_SCOPES };
+  const grantedScope = `launch/patient openid patient/Patient.r patient/Observation.rs?category=${CATEGORY_SYSTEM}|laboratory`;
+
+  assert.deepEqual(missingSectionScopes('observations', grantedScope, { syntax: 'v2', observationCategories: categories }), [
+    `patient/Observation.rs?category=${CATEGORY_SYSTEM}|vital-signs`
+  ]);
+  const { requestedScope, additional } = reauthorizationScope('observations', { server, grantedScope, observationCategories: categories });
+  assert.deepEqual(additional, [`patient/Observation.rs?category=${CATEGORY_SYSTEM}|vital-signs`]);
+  assert.deepEqual(scopeList(requestedScope), [
+    'launch/patient', 'openid', 'fhirUser', 'offline_access',
+    'patient/Patient.r',
+    `patient/Observation.rs?category=${CATEGORY_SYSTEM}|laboratory`,
+    `patient/Observation.rs?category=${CATEGORY_SYSTEM}|vital-signs`
+  ]);
+
+  // Nothing missing by the scopes: the section's scopes are asked for again
+  assert.deepEqual(reauthorizationScope('patient', { server, grantedScope }).additional, ['patient/Patient.r']);
+});
@@ -0,0 +1,62 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The level is read when the logger is first required
+process.env.LOG_LEVEL = 'info';
+const logger = require('../lib/logger');
+
+const patients = require('../mock/fixtures/Patient.json');
+const observations = require('../mock/fixtures/Observation.json');
+
+// Everything the logger writes while `log` runs
+function captureLog(t, log) {
+  const lines = [];
+  t.mock.method(process.stdout, 'write', chunk => { lines.push(String(chunk)); return true; });
+  t.mock.method(process.stderr, 'write', chunk => { lines.push(String(chunk)); return true; });
+  try {
+    log();
+  } finally {
+    process.stdout.write.mock.restore();
+    process.stderr.write.mock.restore();
+  }
+  return lines.join('');
+}
+
+test('logging a full Patient and Observation leaves no patient identifiers', t => {
+  const patient = {
+    ...structuredClone(patients[0]),
+    text: {
+      status: 'generated',
+      div: '<div xmlns="http://www.w3.org/1999/xhtml">Jason A Argonaut, male, born 1985-08-01, MRN MOCK1001</div>'
+    },
+    maritalStatus: { text: 'Married' },
+    contact: [{ name: { text: 'Jane Argonaut' }, telecom: [{ system: 'phone', value: '(555) 555-4321' }] }]
+  };
+  const observation = {
+    ...structuredClone(observations[0]),
+    note: [{ authorString: 'Dr. Smith', text: 'Jason says he skipped breakfast' }],
+    interpretation: [{ text: 'High' }],
+    referenceRange: [{ low: { value: 70 }, high: { value: 99 }, text: 'Fasting', comment: 'Jason prefers morning draws' }]
+  };
+
+  const output = captureLog(t, () => {
+    logger.info('Patient fetched', { resource: patient });
+    logger.info('Observation fetched', { resource: observation });
+    logger.warn('Search result', { bundle: { resourceType: 'Bundle', entry: [{ resource: patient }, { resource: observation }] } });
+  });
+
+  for (const value of [
+    'eJason-Argonaut', 'MOCK1001', 'Jason', 'Argonaut', '1985-08-01', 'male', 'Married',
+    '555-1234', '555-4321', 'jason.argonaut@example.com', 'Milky Way', '53703',
+    'skipped breakfast', 'Dr. Smith', 'morning draws'
+  ]) {
+    assert.ok(!output.includes(value), `"${value}" was logged:\n${output}`);
+  }
+
+  // The clinical content stays readable
+  const [, observationLine] = output.trim().split('\n').map(line => JSON.parse(line));
+  assert.equal(observationLine.resource.code.text, 'Glucose [Mass/volume] in Serum or Plasma');
+  assert.equal(observationLine.resource.valueQuantity.value, 182);
+  assert.equal(observationLine.resource.interpretation[0].text, 'High');
+  assert.equal(observationLine.resource.subject, '[REDACTED]');
+});
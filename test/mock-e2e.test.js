@@ -0,0 +1,205 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// The mock logs through lib/logger.js in this process
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+const { createMockFhirServer } = require('../mock/epic-fhir-server');
+
+// The app runs as its own process (server.js listens on PORT when loaded) against
+// the mock Epic server running here, both on ephemeral ports
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mock-e2e-'));
+const mockServer = http.createServer();
+let mockUrl;
+let appUrl;
+let appProcess;
+let appOutput = '';
+let cookie = '';
+// offline_access, so the mock issues a refresh token
+const SMART_SCOPES = 'launch/patient openid fhirUser offline_access patient/Patient.read patient/Observation.read patient/Condition.read patient/MedicationRequest.read';
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = http.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    }).on('error', reject);
+  });
+}
+
+async function waitForApp() {
+  const deadline = Date.now() + 15000;
+  while (Date.now() < deadline) {
+    if (appProcess.exitCode !== null) break;
+    try {
+      if ((await fetch(`${appUrl}/health`)).ok) return;
+    } catch {
+      // Not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error(`App did not start:\n${appOutput}`);
+}
+
+// GET against the app with the session cookie; redirects are returned, not followed
+async function appGet(pathname) {
+  const response = await fetch(`${appUrl}${pathname}`, { redirect: 'manual', headers: cookie ? { cookie } : {} });
+  const setCookie = response.headers.getSetCookie().find(c => c.startsWith('connect.sid='));
+  if (setCookie) cookie = setCookie.split(';')[0];
+  return response;
+}
+
+async function mockRequest(method, pathname, body) {
+  const response = await fetch(`${mockUrl}${pathname}`, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : {},
+    body: body ? JSON.stringify(body) : undefined
+  });
+  assert.equal(response.status, 200, `${method} ${pathname}`);
+  return response.json();
+}
+
+function errorCode(outcome) {
+  return outcome.issue[0].details.coding[0].code;
+}
+
+before(async () => {
+  await new Promise(resolve => mockServer.listen(0, '127.0.0.1', resolve));
+  mockUrl = `http://127.0.0.1:${mockServer.address().port}`;
+  const port = await freePort();
+  appUrl = `http://127.0.0.1:${port}`;
+  mockServer.on('request', createMockFhirServer({
+    baseUrl: mockUrl,
+    pageSize: 5,
+    clientId: 'mock-client',
+    launchUrl: `${appUrl}/launch`
+  }));
+
+  appProcess = spawn(process.execPath, ['server.js'], {
+    cwd: path.join(__dirname, '..'),
+    env: {
+      PATH: process.env.PATH,
+      NODE_ENV: 'test',
+      PORT: String(port),
+      FHIR_BASE_URL: `${mockUrl}/api/FHIR/R4`,
+      FHIR_SERVERS_FILE: path.join(dir, 'no-fhir-servers.json'),
+      CLIENT_ID: 'mock-client',
+      SMART_SCOPES,
+      REDIRECT_URI: `${appUrl}/callback`,
+      SESSION_SECRET: 'mock-e2e-session-secret',
+      SESSION_STORE: 'memory',
+      AUDIT_LOG_FILE: path.join(dir, 'audit.ndjson'),
+      BULK_EXPORT_DIR: path.join(dir, 'bulk-export'),
+      // Every request must reach the mock, or expired tokens and denials go unnoticed
+      FHIR_CACHE_ENABLED: 'false',
+      LOG_LEVEL: 'error'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  appProcess.stdout.on('data', chunk => { appOutput += chunk; });
+  appProcess.stderr.on('data', chunk => { appOutput += chunk; });
+  await waitForApp();
+});
+
+after(async () => {
+  if (appProcess && appProcess.exitCode === null) {
+    const exited = new Promise(resolve => appProcess.once('exit', resolve));
+    appProcess.kill();
+    await exited;
+  }
+  await new Promise(resolve => mockServer.close(resolve));
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('API routes answer 401 OperationOutcomes before login', async () => {
+  const response = await appGet('/api/patient');
+  assert.equal(response.status, 401);
+  const outcome = await response.json();
+  assert.equal(outcome.resourceType, 'OperationOutcome');
+  assert.equal(errorCode(outcome), 'NOT_AUTHENTICATED');
+});
+
+test('standalone launch signs in with the mock patient', async () => {
+  const launch = await appGet('/launch');
+  assert.equal(launch.status, 302);
+  const authorizeUrl = new URL(launch.headers.get('location'));
+  assert.equal(authorizeUrl.origin, mockUrl);
+  assert.equal(authorizeUrl.searchParams.get('code_challenge_method'), 'S256');
+  // Without sections the launch asks for exactly the configured scopes
+  assert.equal(authorizeUrl.searchParams.get('scope'), SMART_SCOPES);
+
+  const authorize = await fetch(authorizeUrl, { redirect: 'manual' });
+  assert.equal(authorize.status, 302);
+  const callbackUrl = new URL(authorize.headers.get('location'));
+  assert.equal(callbackUrl.searchParams.get('error'), null);
+
+  const callback = await appGet(`${callbackUrl.pathname}${callbackUrl.search}`);
+  assert.equal(callback.status, 302, appOutput);
+  assert.equal(callback.headers.get('location'), '/dashboard');
+
+  const patient = await appGet('/api/patient');
+  assert.equal(patient.status, 200);
+  const body = await patient.json();
+  assert.equal(body.resourceType, 'Patient');
+  assert.equal(body.id, 'eJason-Argonaut');
+});
+
+test('observation searches follow next links across pages', async () => {
+  const response = await appGet('/api/observations');
+  assert.equal(response.status, 200);
+  const bundle = await response.json();
+  // 6 laboratory and 8 vital-signs Observations at 5 per page
+  assert.equal(bundle.total, 14);
+  assert.deepEqual(bundle.paging.map(p => [p.category, p.pagesFetched, p.truncated]), [
+    ['laboratory', 2, false],
+    ['vital-signs', 2, false]
+  ]);
+  assert.ok(bundle.entry.every(e => e.resource.subject.reference === 'Patient/eJason-Argonaut'));
+});
+
+test('an expired access token is refreshed and the call retried', async () => {
+  const { expired } = await mockRequest('POST', '/mock/expire-tokens');
+  assert.ok(expired >= 1);
+
+  const response = await appGet('/api/conditions');
+  assert.equal(response.status, 200);
+  const bundle = await response.json();
+  assert.equal(bundle.resourceType, 'Bundle');
+  // The fifth Condition fixture belongs to another patient
+  assert.equal(bundle.total, 4);
+});
+
+test('injected denials surface as OperationOutcomes', async () => {
+  await mockRequest('PUT', '/mock/denials', { denials: 'Condition,Observation?category=vital-signs' });
+  try {
+    const conditions = await appGet('/api/conditions');
+    assert.equal(conditions.status, 403);
+    assert.match(conditions.headers.get('content-type'), /application\/fhir\+json/);
+    const outcome = await conditions.json();
+    assert.equal(outcome.resourceType, 'OperationOutcome');
+    assert.equal(errorCode(outcome), 'UPSTREAM_FORBIDDEN');
+    assert.match(outcome.issue[0].diagnostics, /Client not authorized for Condition Search/);
+
+    // One denied category doesn't fail the others
+    const observations = await appGet('/api/observations');
+    assert.equal(observations.status, 200);
+    const bundle = await observations.json();
+    assert.equal(bundle.total, 6);
+    assert.deepEqual(bundle.paging.map(p => p.category), ['laboratory']);
+  } finally {
+    await mockRequest('DELETE', '/mock/denials');
+  }
+
+  const restored = await appGet('/api/conditions');
+  assert.equal(restored.status, 200);
+});
+
+test('unknown API routes answer 404 OperationOutcomes', async () => {
+  const response = await appGet('/api/no-such-route');
+  assert.equal(response.status, 404);
+  assert.equal(errorCode(await response.json()), 'NOT_FOUND');
+});
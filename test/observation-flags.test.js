@@ -0,0 +1,86 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { flagElement, flagObservation, formatReferenceRange } = require('../lib/observation-flags');
+
+const NORMAL_RANGE = [{ low: { value: 3.5, unit: 'mmol/L' }, high: { value: 5.1, unit: 'mmol/L' } }];
+
+function potassium(value, extra = {}) {
+  return { resourceType: 'Observation', valueQuantity: { value, unit: 'mmol/L' }, referenceRange: NORMAL_RANGE, ...extra };
+}
+
+function interpretation(code, text) {
+  return [{ coding: code ? [{ system: 'http://terminology.hl7.org/CodeSystem/v3-ObservationInterpretation', code }] : [], text }];
+}
+
+test('the reference range flags numeric values', () => {
+  assert.deepEqual(flagElement(potassium(3.1)), { flag: 'low', flagSource: 'referenceRange' });
+  assert.deepEqual(flagElement(potassium(5.6)), { flag: 'high', flagSource: 'referenceRange' });
+  assert.deepEqual(flagElement(potassium(4.2)), { flag: 'normal', flagSource: 'referenceRange' });
+  assert.equal(formatReferenceRange(NORMAL_RANGE), '3.5–5.1 mmol/L');
+
+  // Ranges for other populations don't count
+  const therapeutic = [{ type: { coding: [{ code: 'treatment' }] }, low: { value: 2 }, high: { value: 3 } }];
+  assert.equal(flagElement(potassium(4.2, { referenceRange: therapeutic })).flag, null);
+});
+
+test('interpretation takes precedence over the reference range', () => {
+  // In range, but the lab says critical
+  assert.deepEqual(flagElement(potassium(4.2, { interpretation: interpretation('HH') })), { flag: 'critical-high', flagSource: 'interpretation' });
+  // Out of range, but the lab says normal
+  assert.deepEqual(flagElement(potassium(5.6, { interpretation: interpretation('N') })), { flag: 'normal', flagSource: 'interpretation' });
+  // An unknown code leaves it to the range
+  assert.deepEqual(flagElement(potassium(5.6, { interpretation: interpretation('XYZ') })), { flag: 'high', flagSource: 'referenceRange' });
+});
+
+test('interpretation text is used when there is no code', () => {
+  const flag = text => flagElement(potassium(undefined, { interpretation: interpretation(null, text) })).flag;
+  assert.equal(flag('Critical High'), 'critical-high');
+  assert.equal(flag('critically-low'), 'critical-low');
+  assert.equal(flag('Low'), 'low');
+  assert.equal(flag('Above high normal'), 'high');
+  assert.equal(flag('Abnormal'), 'abnormal');
+  assert.equal(flag('Within normal limits'), 'normal');
+
+  // Words inside another phrase don't count
+  assert.equal(flag('Below threshold – normal'), 'normal');
+  assert.equal(flag('Low risk - normal'), 'normal');
+  assert.equal(flag('Abnormally shaped cells: abnormal'), 'abnormal');
+  assert.equal(flag('High-sensitivity assay'), null);
+  assert.equal(flag('Not normal'), null);
+
+  // Display of an unrecognized coding
+  const display = [{ coding: [{ system: 'urn:local', code: '7', display: 'High' }] }];
+  assert.equal(flagElement({ interpretation: display }).flag, 'high');
+});
+
+test('a value in another unit than its range is not flagged', () => {
+  const mg = { value: 160, unit: 'mg/dL' };
+  assert.deepEqual(flagElement(potassium(undefined, { valueQuantity: mg })), { flag: null, flagSource: null });
+
+  // Only the bound in the value's unit is compared
+  const mixed = [{ low: { value: 70, unit: 'mg/dL' }, high: { value: 5.5, unit: 'mmol/L' } }];
+  assert.equal(flagElement(potassium(undefined, { valueQuantity: mg, referenceRange: mixed })).flag, 'normal');
+  assert.equal(flagElement(potassium(undefined, { valueQuantity: { value: 60, unit: 'mg/dL' }, referenceRange: mixed })).flag, 'low');
+});
+
+test('a panel takes the most severe flag of itself and its components', () => {
+  const component = (value, interpretationCode) => ({
+    code: { text: 'component' },
+    valueQuantity: { value, unit: 'mmol/L' },
+    referenceRange: NORMAL_RANGE,
+    ...(interpretationCode ? { interpretation: interpretation(interpretationCode) } : {})
+  });
+  const panel = {
+    resourceType: 'Observation',
+    interpretation: interpretation('A'),
+    component: [component(4.2), component(5.6), component(4.0, 'LL')]
+  };
+  assert.deepEqual(flagObservation(panel), { flag: 'critical-low', flagSource: 'interpretation' });
+
+  panel.component.pop();
+  assert.deepEqual(flagObservation(panel), { flag: 'high', flagSource: 'referenceRange' });
+
+  assert.deepEqual(flagObservation({ resourceType: 'Observation', component: [component(4.2)] }), { flag: 'normal', flagSource: 'referenceRange' });
+  assert.deepEqual(flagObservation({ resourceType: 'Observation' }), { flag: null, flagSource: null });
+});
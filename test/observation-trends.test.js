@@ -0,0 +1,121 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildTrends, matchesDateFilters, parseCodes, parseDateFilters } = require('../lib/observation-trends');
+
+const UCUM = 'http://unitsofmeasure.org';
+
+function observation(id, code, date, value, unit, extra = {}) {
+  return {
+    resourceType: 'Observation',
+    id,
+    status: 'final',
+    code: { coding: [{ system: 'http://loinc.org', code, display: `LOINC ${code}` }] },
+    effectiveDateTime: date,
+    ...(value === undefined ? {} : { valueQuantity: { value, unit, system: UCUM, code: unit } }),
+    ...extra
+  };
+}
+
+function series(trends, code) {
+  return trends.find(s => s.code === code);
+}
+
+test('temperatures convert between °F and °C with the offset', () => {
+  const celsius = buildTrends([
+    observation('t1', '8310-5', '2025-01-01', 37, 'Cel'),
+    observation('t2', '8310-5', '2025-01-02', 36.5, 'Cel'),
+    observation('t3', '8310-5', '2025-01-03', 98.6, '[degF]')
+  ]);
+  const [temperature] = celsius;
+  assert.equal(temperature.unit, '°C');
+  assert.equal(temperature.ucum, 'Cel');
+  assert.deepEqual(temperature.points.map(p => p.value), [37, 36.5, 37]);
+  assert.equal(temperature.points[2].originalValue, 98.6);
+  assert.equal(temperature.points[2].originalUnit, '[degF]');
+
+  // Display units as Epic sends them, most of them in °F
+  const [fahrenheit] = buildTrends([
+    observation('t1', '8310-5', '2025-01-01', 98.6, undefined, { valueQuantity: { value: 98.6, unit: '°F' } }),
+    observation('t2', '8310-5', '2025-01-02', 100.4, undefined, { valueQuantity: { value: 100.4, unit: 'degF' } }),
+    observation('t3', '8310-5', '2025-01-03', 0, 'Cel')
+  ]);
+  assert.equal(fahrenheit.unit, '°F');
+  assert.deepEqual(fahrenheit.points.map(p => p.value), [98.6, 100.4, 32]);
+});
+
+test('points in another dimension or an unknown unit are skipped', () => {
+  const [weight] = buildTrends([
+    observation('w1', '29463-7', '2025-01-01', 80, 'kg'),
+    observation('w2', '29463-7', '2025-02-01', 81, 'kg'),
+    observation('w3', '29463-7', '2025-03-01', 176, '[lb_av]'),
+    observation('w4', '29463-7', '2025-04-01', 1.8, 'm'),
+    observation('w5', '29463-7', '2025-05-01', 3, 'stone')
+  ]);
+  assert.equal(weight.unit, 'kg');
+  assert.equal(weight.count, 3);
+  assert.equal(weight.skipped, 2);
+  assert.deepEqual(weight.points.map(p => p.value), [80, 81, 79.83]);
+  assert.deepEqual([weight.min, weight.max, weight.latest.value], [79.83, 81, 79.83]);
+});
+
+test('component Observations split into one series per component', () => {
+  const bloodPressure = (id, date, systolic, diastolic) => observation(id, '85354-9', date, undefined, undefined, {
+    component: [
+      { code: { coding: [{ system: 'http://loinc.org', code: '8480-6', display: 'Systolic' }] }, valueQuantity: { value: systolic, unit: 'mm[Hg]', system: UCUM, code: 'mm[Hg]' } },
+      { code: { coding: [{ system: 'http://loinc.org', code: '8462-4', display: 'Diastolic' }] }, valueQuantity: { value: diastolic, unit: 'mm[Hg]', system: UCUM, code: 'mm[Hg]' } }
+    ]
+  });
+  const trends = buildTrends([
+    bloodPressure('bp2', '2025-02-01', 128, 82),
+    bloodPressure('bp1', '2025-01-01', 136, 88),
+    observation('hr1', '8867-4', '2025-01-01', 72, '/min')
+  ]);
+
+  assert.deepEqual(trends.map(s => s.code), ['8462-4', '8867-4', '8480-6']);
+  const systolic = series(trends, '8480-6');
+  assert.deepEqual(systolic.parent, { code: '85354-9', title: 'LOINC 85354-9' });
+  assert.deepEqual(systolic.points.map(p => [p.date, p.value, p.reference]), [
+    ['2025-01-01', 136, 'Observation/bp1'],
+    ['2025-02-01', 128, 'Observation/bp2']
+  ]);
+  assert.deepEqual(series(trends, '8462-4').points.map(p => p.value), [88, 82]);
+
+  // Asking for the panel code returns its component series
+  const onlyPanel = buildTrends([bloodPressure('bp1', '2025-01-01', 136, 88)], { codes: parseCodes('http://loinc.org|85354-9') });
+  assert.deepEqual(onlyPanel.map(s => s.code).sort(), ['8462-4', '8480-6']);
+});
+
+test('date prefixes compare at the precision of the filter value', () => {
+  const month = parseDateFilters('ge2024-01');
+  assert.equal(matchesDateFilters('2024-01-01T00:00:00Z', month), true);
+  assert.equal(matchesDateFilters('2024-01-31', month), true);
+  assert.equal(matchesDateFilters('2023-12-31T23:59:59Z', month), false);
+
+  const year = parseDateFilters(['ge2024', 'lt2025']);
+  assert.equal(matchesDateFilters('2024-06-15', year), true);
+  assert.equal(matchesDateFilters('2025-01-01', year), false);
+
+  const day = parseDateFilters('2024-03-05');
+  assert.equal(day[0].prefix, 'eq');
+  assert.equal(matchesDateFilters('2024-03-05T10:30:00Z', day), true);
+  assert.equal(matchesDateFilters('2024-03-06T00:00:00Z', day), false);
+  assert.equal(matchesDateFilters('2024-03-06', parseDateFilters('ne2024-03-05')), true);
+  assert.equal(matchesDateFilters('2024-03-06', parseDateFilters('sa2024-03-05')), true);
+  assert.equal(matchesDateFilters(null, month), false);
+
+  const trends = buildTrends([
+    observation('a', '4548-4', '2023-12-15', 6.1, '%'),
+    observation('b', '4548-4', '2024-01-20', 6.4, '%'),
+    observation('c', '4548-4', '2024-02-10', 6.8, '%', { meta: { lastUpdated: '2024-02-11T00:00:00Z' } })
+  ], { dateFilters: parseDateFilters('ge2024-01'), lastUpdatedFilters: parseDateFilters('le2024-02-10', '_lastUpdated') });
+  assert.deepEqual(trends[0].points.map(p => p.reference), ['Observation/b']);
+});
+
+test('malformed filters and the ap prefix are refused', () => {
+  for (const raw of ['ap2024-01-01', 'ge2024-1-1', 'yesterday', 'ge']) {
+    assert.throws(() => parseDateFilters(raw), error => error.status === 400, raw);
+  }
+  assert.throws(() => parseDateFilters('ap2024', '_lastUpdated'), /Unsupported _lastUpdated prefix "ap"/);
+  assert.deepEqual(parseDateFilters(['', undefined]), []);
+});
@@ -0,0 +1,112 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const MODULE = require.resolve('../lib/session-crypto');
+const ENV = ['SESSION_SECRET', 'SESSION_ENCRYPTION_KEYS'];
+const saved = Object.fromEntries(ENV.map(name => [name, process.env[name]]));
+
+// Keys are read once per process, so each configuration gets a fresh copy of the module
+function load(env) {
+  for (const name of ENV) {
+    if (env[name] === undefined) delete process.env[name];
+    else process.env[name] = env[name];
+  }
+  delete require.cache[MODULE];
+  return require(MODULE);
+}
+
+function randomKey() {
+  return crypto.randomBytes(32).toString('base64');
+}
+
+const session = {
+  patientId: 'eJason-Argonaut',
+  accessToken: 'access-token-1',
+  refreshToken: 'refresh-token-1',
+  idToken: 'header.payload.signature',
+  codeVerifier: 'verifier-1'
+};
+
+afterEach(() => {
+  for (const name of ENV) {
+    if (saved[name] === undefined) delete process.env[name];
+    else process.env[name] = saved[name];
+  }
+  delete require.cache[MODULE];
+});
+
+test('sealed sessions open to the same session, with only the tokens encrypted', () => {
+  for (const env of [{ SESSION_SECRET: 'secret-a' }, { SESSION_ENCRYPTION_KEYS: `k1:${randomKey()}` }]) {
+    const { sealSession, openSession } = load(env);
+    const sealed = sealSession(session);
+    assert.equal(sealed.patientId, session.patientId);
+    for (const field of ['accessToken', 'refreshToken', 'idToken', 'codeVerifier']) {
+      assert.match(sealed[field], /^enc:v1:/);
+      assert.ok(!sealed[field].includes(session[field]));
+    }
+    assert.deepEqual(openSession(sealed), session);
+    // Already sealed values aren't encrypted twice
+    assert.deepEqual(sealSession(sealed), sealed);
+  }
+});
+
+test('a tampered ciphertext, tag or key id does not open', () => {
+  const { encryptValue, decryptValue } = load({ SESSION_ENCRYPTION_KEYS: `k1:${randomKey()},k2:${randomKey()}` });
+  const value = encryptValue('access-token-1');
+  const [prefix, version, id, iv, tag, data] = value.split(':');
+
+  const flip = text => {
+    const bytes = Buffer.from(text, 'base64url');
+    bytes[0] ^= 1;
+    return bytes.toString('base64url');
+  };
+  assert.throws(() => decryptValue([prefix, version, id, iv, tag, flip(data)].join(':')), /authenticate/);
+  assert.throws(() => decryptValue([prefix, version, id, iv, flip(tag), data].join(':')), /authenticate/);
+  assert.throws(() => decryptValue([prefix, version, id, flip(iv), tag, data].join(':')), /authenticate/);
+  // The key id is authenticated: relabelling the value for another configured key fails
+  assert.throws(() => decryptValue([prefix, version, 'k2', iv, tag, data].join(':')), /authenticate/);
+  assert.throws(() => decryptValue([prefix, version, 'k9', iv, tag, data].join(':')), /key "k9" is no longer configured/);
+});
+
+test('SESSION_ENCRYPTION_KEYS rotate newest first', () => {
+  const k1 = `k1:${randomKey()}`;
+  const k2 = `k2:${randomKey()}`;
+  const old = load({ SESSION_ENCRYPTION_KEYS: k1 }).sealSession(session);
+
+  const rotated = load({ SESSION_ENCRYPTION_KEYS: `${k2},${k1}` });
+  assert.deepEqual(rotated.openSession(old), session);
+  assert.match(rotated.sealSession(session).accessToken, /^enc:v1:k2:/);
+
+  assert.throws(() => load({ SESSION_ENCRYPTION_KEYS: k2 }).openSession(old), /key "k1" is no longer configured/);
+  assert.throws(() => load({ SESSION_ENCRYPTION_KEYS: 'k1:short' }).encryptValue('x'), /SESSION_ENCRYPTION_KEYS entries/);
+});
+
+test('adding a SESSION_SECRET in front keeps sessions sealed with the old one readable', () => {
+  const old = load({ SESSION_SECRET: 'secret-a' }).sealSession(session);
+
+  const rotated = load({ SESSION_SECRET: 'secret-b, secret-a' });
+  assert.deepEqual(rotated.sessionSecrets(), ['secret-b', 'secret-a']);
+  assert.deepEqual(rotated.openSession(old), session);
+
+  // New sessions use the first secret's key, which the old secret alone can't open
+  const fresh = rotated.sealSession(session);
+  assert.notEqual(fresh.accessToken.split(':')[2], old.accessToken.split(':')[2]);
+  assert.throws(() => load({ SESSION_SECRET: 'secret-a' }).openSession(fresh), /is no longer configured/);
+
+  // Once the old secret is dropped its sessions are gone
+  assert.throws(() => load({ SESSION_SECRET: 'secret-b' }).openSession(old), /is no longer configured/);
+});
+
+test('values sealed under the single "derived" key id still open', () => {
+  // How a key was derived from SESSION_SECRET before each secret had its own key id
+  const key = Buffer.from(crypto.hkdfSync('sha256', 'secret-a', Buffer.alloc(0), 'smart-epic-salesforce session tokens', 32));
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(Buffer.from('derived'));
+  const data = Buffer.concat([cipher.update('access-token-1', 'utf8'), cipher.final()]);
+  const legacy = `enc:v1:derived:${iv.toString('base64url')}:${cipher.getAuthTag().toString('base64url')}:${data.toString('base64url')}`;
+
+  assert.equal(load({ SESSION_SECRET: 'secret-b,secret-a' }).decryptValue(legacy), 'access-token-1');
+  assert.throws(() => load({ SESSION_SECRET: 'secret-b' }).decryptValue(legacy), /authenticate/);
+});
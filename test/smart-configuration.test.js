@@ -0,0 +1,101 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+// Both are read when the module is first required
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+process.env.SMART_CONFIG_TTL_SECONDS = '3600';
+const { discoverSmartConfiguration } = require('../lib/smart-configuration');
+
+const TTL_MS = 3600 * 1000;
+
+// Each FHIR base path answers from its own state; `failing` makes both discovery URLs fail
+const servers = {};
+const requests = [];
+const fhirServer = http.createServer((req, res) => {
+  requests.push(req.url);
+  const base = Object.keys(servers).find(path => req.url.startsWith(`${path}/`));
+  const state = servers[base];
+  if (!state || state.failing) {
+    res.statusCode = 503;
+    return res.end();
+  }
+  res.setHeader('Content-Type', 'application/json');
+  if (req.url === `${base}/.well-known/smart-configuration`) {
+    return res.end(JSON.stringify({
+      authorization_endpoint: `https://auth.example.org${base}/authorize`,
+      token_endpoint: `https://auth.example.org${base}/token/${state.version}`,
+      capabilities: ['launch-standalone'],
+      code_challenge_methods_supported: ['S256']
+    }));
+  }
+  res.statusCode = 404;
+  res.end();
+});
+let origin;
+
+function fhirBase(name, state = {}) {
+  servers[`/${name}`] = { version: 1, failing: false, ...state };
+  return { state: servers[`/${name}`], url: `${origin}/${name}` };
+}
+
+before(async () => {
+  await new Promise(resolve => fhirServer.listen(0, '127.0.0.1', resolve));
+  origin = `http://127.0.0.1:${fhirServer.address().port}`;
+});
+
+after(() => {
+  fhirServer.close();
+});
+
+test('configurations are cached and concurrent lookups share one request', async () => {
+  const { url } = fhirBase('cached');
+  const [first, second] = await Promise.all([discoverSmartConfiguration(url), discoverSmartConfiguration(`${url}/`)]);
+  assert.equal(first, second);
+  assert.equal(first.source, 'well-known');
+  assert.equal(first.cached, false);
+  assert.equal(requests.filter(r => r.startsWith('/cached/')).length, 1);
+
+  const again = await discoverSmartConfiguration(url);
+  assert.equal(again.cached, true);
+  assert.equal(again.config.token_endpoint, first.config.token_endpoint);
+  assert.equal(requests.filter(r => r.startsWith('/cached/')).length, 1);
+});
+
+test('a failed refresh returns the last good configuration marked stale', async t => {
+  const { state, url } = fhirBase('stale');
+  const good = await discoverSmartConfiguration(url);
+  assert.equal(good.stale, undefined);
+
+  const realNow = Date.now();
+  t.mock.method(Date, 'now', () => realNow + TTL_MS + 1000);
+  state.failing = true;
+  const stale = await discoverSmartConfiguration(url);
+  assert.equal(stale.stale, true);
+  assert.equal(stale.cached, true);
+  assert.match(stale.refreshError, /Could not find SMART configuration/);
+  assert.equal(stale.fetchedAt, good.fetchedAt);
+  assert.deepEqual(stale.config, good.config);
+
+  // An explicit refresh falls back the same way
+  assert.equal((await discoverSmartConfiguration(url, { refresh: true })).stale, true);
+
+  // Every lookup tries again, and the first success replaces the stale entry
+  state.failing = false;
+  state.version = 2;
+  const recovered = await discoverSmartConfiguration(url);
+  assert.equal(recovered.stale, undefined);
+  assert.equal(recovered.cached, false);
+  assert.match(recovered.config.token_endpoint, /\/token\/2$/);
+});
+
+test('without a good configuration a failure throws with both reasons', async () => {
+  const { url } = fhirBase('never', { failing: true });
+  await assert.rejects(discoverSmartConfiguration(url), error => {
+    assert.equal(error.wellKnownError, 'HTTP 503');
+    assert.equal(error.metadataError, 'HTTP 503');
+    return true;
+  });
+  // Nothing was cached
+  await assert.rejects(discoverSmartConfiguration(url), /Could not find SMART configuration/);
+});
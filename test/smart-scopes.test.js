@@ -0,0 +1,85 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseScope, parseScopes, requiredScopes, scopesAllow, scopeVersion, unsupportedScopes } = require('../lib/smart-scopes');
+
+test('v1 and v2 resource scopes parse to the same permissions', () => {
+  assert.deepEqual(parseScope('patient/Observation.read'), {
+    scope: 'patient/Observation.read',
+    context: 'patient',
+    resourceType: 'Observation',
+    version: 1,
+    read: true,
+    search: true,
+    write: false,
+    constraints: null
+  });
+  assert.deepEqual(parseScope('patient/Observation.rs'), {
+    ...parseScope('patient/Observation.read'),
+    scope: 'patient/Observation.rs',
+    version: 2
+  });
+
+  assert.equal(parseScope('patient/Observation.r').search, false);
+  assert.equal(parseScope('user/Condition.cud').write, true);
+  assert.equal(parseScope('user/Condition.cud').read, false);
+  assert.equal(parseScope('patient/Observation.write').read, false);
+  assert.equal(parseScope('system/*.*').write, true);
+
+  // Letters out of cruds order or repeated aren't v2 scopes
+  for (const other of ['patient/Observation.sr', 'patient/Observation.rr', 'launch/patient', 'openid', 'fhirUser', 'offline_access']) {
+    assert.deepEqual(parseScope(other), { scope: other, resourceType: null }, other);
+  }
+});
+
+test('wildcards and v1 read allow reads and searches of any type', () => {
+  for (const granted of ['patient/*.rs', 'patient/*.read', 'patient/*.*']) {
+    const scopes = parseScopes(`launch/patient openid ${granted}`);
+    assert.equal(scopesAllow(scopes, 'Observation', 'search'), true, granted);
+    assert.equal(scopesAllow(scopes, 'MedicationRequest', 'read'), true, granted);
+  }
+
+  const readOnly = parseScopes('patient/*.r patient/Condition.s');
+  assert.equal(scopesAllow(readOnly, 'Observation', 'read'), true);
+  assert.equal(scopesAllow(readOnly, 'Observation', 'search'), false);
+  assert.equal(scopesAllow(readOnly, 'Condition', 'search'), true);
+  assert.equal(scopesAllow(parseScopes('openid fhirUser'), 'Patient', 'read'), false);
+});
+
+test('a v2 query limits the scope to matching requests', () => {
+  const scopes = parseScopes('patient/Observation.rs?category=http://terminology.hl7.org/CodeSystem/observation-category|laboratory');
+
+  assert.equal(scopesAllow(scopes, 'Observation', 'search', { category: 'laboratory' }), true);
+  assert.equal(scopesAllow(scopes, 'Observation', 'search', { category: 'http://terminology.hl7.org/CodeSystem/observation-category|laboratory' }), true);
+  assert.equal(scopesAllow(scopes, 'Observation', 'search', { category: 'vital-signs' }), false);
+  assert.equal(scopesAllow(scopes, 'Observation', 'search', { category: 'laboratory,vital-signs' }), false);
+  assert.equal(scopesAllow(scopes, 'Observation', 'search'), false);
+
+  // Two scopes together cover both categories
+  const both = parseScopes('patient/Observation.rs?category=laboratory patient/Observation.rs?category=vital-signs');
+  assert.equal(scopesAllow(both, 'Observation', 'search', { category: 'vital-signs' }), true);
+  assert.deepEqual(both[0].constraints, { category: ['laboratory'] });
+});
+
+test('scope versions and the scopes that would grant an interaction', () => {
+  assert.equal(scopeVersion(parseScopes('openid patient/Patient.read')), 'v1');
+  assert.equal(scopeVersion(parseScopes('openid patient/Patient.rs')), 'v2');
+  assert.equal(scopeVersion(parseScopes('patient/Patient.read patient/Condition.rs')), 'mixed');
+  assert.equal(scopeVersion(parseScopes('openid launch')), null);
+
+  assert.deepEqual(requiredScopes('Condition', 'search'), ['patient/Condition.read', 'patient/Condition.s']);
+  assert.deepEqual(requiredScopes('Condition', 'read'), ['patient/Condition.read', 'patient/Condition.r']);
+});
+
+test('unsupportedScopes lists requested scopes no advertised scope covers', () => {
+  const advertised = ['launch', 'launch/patient', 'openid', 'fhirUser', 'patient/*.rs', 'user/Practitioner.read'];
+
+  assert.deepEqual(unsupportedScopes('launch/patient openid patient/Observation.rs patient/Condition.read', advertised), []);
+  // A query doesn't change what the scope needs
+  assert.deepEqual(unsupportedScopes('patient/Observation.rs?category=laboratory', advertised), []);
+  assert.deepEqual(
+    unsupportedScopes('offline_access patient/Observation.cruds user/Observation.read system/Patient.rs user/Practitioner.r', advertised),
+    ['offline_access', 'patient/Observation.cruds', 'user/Observation.read', 'system/Patient.rs']
+  );
+  assert.deepEqual(unsupportedScopes('patient/Patient.read', undefined), ['patient/Patient.read']);
+});
@@ -0,0 +1,197 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// A token endpoint whose refresh tokens are single-use, and a FHIR server that only
+// accepts the access tokens in `validTokens`
+const tokenRequests = [];
+const liveRefreshTokens = new Set();
+const validTokens = new Set();
+let issued = 0;
+const fhirRequests = [];
+// Refuse every access token, e.g. after the user revoked the app
+let fhirRefusesAll = false;
+
+const server = http.createServer((req, res) => {
+  res.setHeader('Content-Type', 'application/json');
+  if (req.method === 'POST') {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const params = Object.fromEntries(new URLSearchParams(body));
+      tokenRequests.push(params);
+      if (!liveRefreshTokens.delete(params.refresh_token)) {
+        res.statusCode = 400;
+        return res.end(JSON.stringify({ error: 'invalid_grant' }));
+      }
+      issued += 1;
+      liveRefreshTokens.add(`refresh-${issued}`);
+      validTokens.add(`access-${issued}`);
+      res.end(JSON.stringify({ access_token: `access-${issued}`, refresh_token: `refresh-${issued}`, token_type: 'Bearer', expires_in: 3600 }));
+    });
+    return;
+  }
+  const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+  fhirRequests.push(token);
+  if (fhirRefusesAll || !validTokens.has(token)) {
+    res.statusCode = 401;
+    return res.end(JSON.stringify({ resourceType: 'OperationOutcome', issue: [] }));
+  }
+  res.end(JSON.stringify({ resourceType: 'Patient', id: 'p1' }));
+});
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'token-manager-'));
+let baseUrl;
+let tokenManager;
+let store;
+const entries = new Map();
+
+// A session as a request sees it: its own copy of what the store held when the request arrived
+function loadRequest(sid) {
+  return new Promise((resolve, reject) => {
+    store.get(sid, (error, data) => {
+      if (error) return reject(error);
+      const session = {
+        ...data,
+        save(callback) {
+          const { save, ...sess } = this;
+          store.set(sid, sess, callback);
+        }
+      };
+      resolve({ sessionID: sid, sessionStore: store, session });
+    });
+  });
+}
+
+function saveSession(sid, sess) {
+  return new Promise((resolve, reject) => store.set(sid, sess, error => (error ? reject(error) : resolve())));
+}
+
+// A logged-in session whose access token expires in `expiresInMs`
+async function newSession(sid, expiresInMs) {
+  issued += 1;
+  liveRefreshTokens.add(`refresh-${issued}`);
+  validTokens.add(`access-${issued}`);
+  await saveSession(sid, {
+    serverName: 'test-server',
+    tokenEndpoint: `${baseUrl}/oauth2/token`,
+    accessToken: `access-${issued}`,
+    refreshToken: `refresh-${issued}`,
+    tokenExpiresAt: Date.now() + expiresInMs,
+    tokenIssuedAt: Date.now() - 1000
+  });
+  tokenRequests.length = 0;
+  fhirRequests.length = 0;
+}
+
+function storedSession(sid) {
+  return new Promise((resolve, reject) => store.get(sid, (error, sess) => (error ? reject(error) : resolve(sess))));
+}
+
+before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  fs.writeFileSync(path.join(dir, 'fhir-servers.json'), JSON.stringify({
+    servers: [{ name: 'test-server', fhirBaseUrl: `${baseUrl}/fhir`, clientId: 'test-client' }]
+  }));
+  // The registry is read when it is first required
+  process.env.FHIR_SERVERS_FILE = path.join(dir, 'fhir-servers.json');
+  process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+  tokenManager = require('../lib/token-manager');
+  const { createSessionStore } = require('../lib/session-store');
+  store = createSessionStore({
+    async get(key) { return entries.get(key); },
+    async set(key, value) { entries.set(key, value); },
+    async delete(key) { entries.delete(key); }
+  });
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('a token inside the refresh window is refreshed before the call', async () => {
+  await newSession('proactive', 5 * 60 * 1000);
+  const fresh = await loadRequest('proactive');
+  await tokenManager.fhirGet(fresh, `${baseUrl}/fhir/Patient/p1`);
+  assert.equal(tokenRequests.length, 0);
+
+  await newSession('proactive-expiring', 30 * 1000);
+  const expiring = await loadRequest('proactive-expiring');
+  const response = await tokenManager.fhirGet(expiring, `${baseUrl}/fhir/Patient/p1`);
+  assert.equal(response.data.id, 'p1');
+  assert.equal(tokenRequests.length, 1);
+  assert.equal(fhirRequests.length, 1);
+  assert.equal(fhirRequests[0], expiring.session.accessToken);
+  assert.equal((await storedSession('proactive-expiring')).accessToken, expiring.session.accessToken);
+});
+
+test('concurrent requests share one refresh', async () => {
+  await newSession('concurrent', 30 * 1000);
+  const requests = await Promise.all([loadRequest('concurrent'), loadRequest('concurrent'), loadRequest('concurrent')]);
+  await Promise.all(requests.map(req => tokenManager.fhirGet(req, `${baseUrl}/fhir/Patient/p1`)));
+
+  assert.equal(tokenRequests.length, 1);
+  const { accessToken } = await storedSession('concurrent');
+  assert.ok(requests.every(req => req.session.accessToken === accessToken));
+});
+
+test('a 401 is retried exactly once, with a refreshed token', async () => {
+  await newSession('retry', 60 * 60 * 1000);
+  const req = await loadRequest('retry');
+  validTokens.delete(req.session.accessToken);
+  const response = await tokenManager.fhirGet(req, `${baseUrl}/fhir/Patient/p1`);
+  assert.equal(response.data.id, 'p1');
+  assert.equal(tokenRequests.length, 1);
+  assert.equal(fhirRequests.length, 2);
+
+  // Still refused after the refresh: the 401 is the caller's
+  await newSession('retry-refused', 60 * 60 * 1000);
+  const refused = await loadRequest('retry-refused');
+  fhirRefusesAll = true;
+  try {
+    await assert.rejects(tokenManager.fhirGet(refused, `${baseUrl}/fhir/Patient/p1`), error => error.response?.status === 401);
+  } finally {
+    fhirRefusesAll = false;
+  }
+  assert.equal(tokenRequests.length, 1);
+  assert.equal(fhirRequests.length, 2);
+});
+
+test('a request holding an older token uses the newer stored one instead of refreshing again', async () => {
+  await newSession('stale', 60 * 60 * 1000);
+  const first = await loadRequest('stale');
+  const second = await loadRequest('stale');
+  const oldToken = first.session.accessToken;
+  validTokens.delete(oldToken);
+
+  // The first request refreshes and saves; its refresh token is now spent
+  await tokenManager.fhirGet(first, `${baseUrl}/fhir/Patient/p1`);
+  assert.equal(tokenRequests.length, 1);
+
+  // The second one still sent the old token, gets a 401 and picks up the stored token
+  await tokenManager.fhirGet(second, `${baseUrl}/fhir/Patient/p1`);
+  assert.equal(tokenRequests.length, 1);
+  assert.equal(second.session.accessToken, first.session.accessToken);
+  assert.deepEqual(fhirRequests, [oldToken, first.session.accessToken, oldToken, first.session.accessToken]);
+});
+
+test('saving a session copy from before a refresh keeps the newer tokens', async () => {
+  await newSession('overwrite', 30 * 1000);
+  const stale = await loadRequest('overwrite');
+  const req = await loadRequest('overwrite');
+  await tokenManager.ensureFreshToken(req);
+
+  // e.g. the rolling cookie touch at the end of the older request
+  stale.session.patientId = 'p1';
+  await new Promise(resolve => stale.session.save(resolve));
+  const stored = await storedSession('overwrite');
+  assert.equal(stored.patientId, 'p1');
+  assert.equal(stored.accessToken, req.session.accessToken);
+  assert.equal(stored.refreshToken, req.session.refreshToken);
+  assert.notEqual(stored.refreshToken, stale.session.refreshToken);
+});